@@ -0,0 +1,261 @@
+import {
+  isGroupMarkCharCode,
+  isJotoWhitespaceCharCode,
+  trimEndJotoWhitespaceIndex,
+} from "./parse-helpers.js";
+import { decimalMarkCharCode, groupMarks } from "./parse-options.js";
+
+/**
+ * Expression-specific parse error codes.
+ *
+ * - `ExpectedOperand`: an operator or parenthesis is not followed by a quantity, number or `(`.
+ * - `ExpectedOperator`: two operands are not separated by an operator.
+ * - `UnbalancedParen`: a `(` is never closed, or a `)` was never opened.
+ * - `DimensionMismatch`: a quantity and a plain number are added or subtracted.
+ * - `NonLinear`: two quantities are multiplied, or a value is divided by a quantity.
+ * - `DivisionByZero`: a value is divided by zero.
+ * - `TooDeep`: parentheses are nested more than `MAX_DEPTH` (100) deep.
+ *
+ * @typedef {"ExpectedOperand"|"ExpectedOperator"|"UnbalancedParen"|"DimensionMismatch"|"NonLinear"|"DivisionByZero"|"TooDeep"} ExprErrorCode
+ */
+
+/**
+ * The value of an expression in base units; `exact` is `false` when a division left a fraction of
+ * a base unit, and `value` was rounded to the nearest base unit (ties away from zero).
+ *
+ * @typedef {{ value: number, exact: boolean }} ExprValue
+ */
+
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER);
+
+// The deepest nesting of parentheses, which bounds the recursion of `parseFactor`.
+const MAX_DEPTH = 100;
+
+function isAsciiDigitCharCode(c) {
+  return c >= 0x30 && c <= 0x39;
+}
+
+function isAddCharCode(c) {
+  return c === 0x2b /* + */ || c === 0x2d /* - */ || c === 0x2212 /* − */;
+}
+
+function isMulCharCode(c) {
+  return c === 0x2a /* * */ || c === 0xd7 /* × */ || c === 0x22c5 /* ⋅ */;
+}
+
+function isDivCharCode(c) {
+  return c === 0x2f /* / */ || c === 0xf7 /* ÷ */;
+}
+
+function isOperatorCharCode(c) {
+  return isAddCharCode(c) || isMulCharCode(c) || isDivCharCode(c) || c === 0x28 /* ( */ || c === 0x29 /* ) */;
+}
+
+function fail(code, index) {
+  return { ok: false, error: { code, index } };
+}
+
+function ok(value) {
+  return { ok: true, value };
+}
+
+function gcd(a, b) {
+  if (a < 0n) a = -a;
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+// An exact rational value `n / d` (`d > 0`); `dim` is whether it is a quantity rather than a number.
+function rational(n, d, dim) {
+  const g = gcd(n, d);
+  return g > 1n ? { n: n / g, d: d / g, dim } : { n, d, dim };
+}
+
+function skipJotoWhitespace(st) {
+  while (st.i < st.end && isJotoWhitespaceCharCode(st.s.charCodeAt(st.i))) st.i += 1;
+}
+
+// sum := product (('+' | '-') product)*
+function parseSum(st) {
+  const first = parseProduct(st);
+  if (!first.ok) return first;
+  let acc = first.value;
+  for (;;) {
+    skipJotoWhitespace(st);
+    const at = st.i;
+    const c = st.s.charCodeAt(at);
+    if (at >= st.end || !isAddCharCode(c)) return ok(acc);
+    st.i += 1;
+    const r = parseProduct(st);
+    if (!r.ok) return r;
+    const rhs = r.value;
+    if (rhs.dim !== acc.dim) return fail("DimensionMismatch", at);
+    const n = c === 0x2b /* + */ ? acc.n * rhs.d + rhs.n * acc.d : acc.n * rhs.d - rhs.n * acc.d;
+    acc = rational(n, acc.d * rhs.d, acc.dim);
+  }
+}
+
+// product := factor (('*' | '/') factor)*
+function parseProduct(st) {
+  const first = parseFactor(st);
+  if (!first.ok) return first;
+  let acc = first.value;
+  for (;;) {
+    skipJotoWhitespace(st);
+    const at = st.i;
+    const c = st.s.charCodeAt(at);
+    const mul = isMulCharCode(c);
+    if (at >= st.end || (!mul && !isDivCharCode(c))) return ok(acc);
+    st.i += 1;
+    const r = parseFactor(st);
+    if (!r.ok) return r;
+    const rhs = r.value;
+    if (mul) {
+      if (acc.dim && rhs.dim) return fail("NonLinear", at);
+      acc = rational(acc.n * rhs.n, acc.d * rhs.d, acc.dim || rhs.dim);
+    } else {
+      if (rhs.dim) return fail("NonLinear", at);
+      if (rhs.n === 0n) return fail("DivisionByZero", at);
+      const n = rhs.n < 0n ? -acc.n * rhs.d : acc.n * rhs.d;
+      acc = rational(n, rhs.n < 0n ? -acc.d * rhs.n : acc.d * rhs.n, acc.dim);
+    }
+  }
+}
+
+// factor := ('+' | '-')* ('(' sum ')' | operand)
+function parseFactor(st) {
+  // Fold a run of signs in a loop, so that it needs no recursion however long it is.
+  let negative = false;
+  let at;
+  let c;
+  for (;;) {
+    skipJotoWhitespace(st);
+    at = st.i;
+    if (at >= st.end) return fail("ExpectedOperand", at);
+    c = st.s.charCodeAt(at);
+    if (!isAddCharCode(c)) break;
+    if (c !== 0x2b /* + */) negative = !negative;
+    st.i += 1;
+  }
+
+  let r;
+  if (c === 0x28 /* ( */) {
+    if (st.depth >= MAX_DEPTH) return fail("TooDeep", at);
+    st.i += 1;
+    st.depth += 1;
+    r = parseSum(st);
+    st.depth -= 1;
+    if (!r.ok) return r;
+    skipJotoWhitespace(st);
+    if (st.s.charCodeAt(st.i) !== 0x29 /* ) */ || st.i >= st.end) return fail("UnbalancedParen", at);
+    st.i += 1;
+  } else {
+    r = parseOperand(st);
+    if (!r.ok) return r;
+  }
+  return negative ? ok({ ...r.value, n: -r.value.n }) : r;
+}
+
+function nextOperatorIndex(s, start, end) {
+  let i = start + 1;
+  while (i < end && !isOperatorCharCode(s.charCodeAt(i))) i += 1;
+  return i;
+}
+
+// The most operators one quantity spans (`1'-6 1/2"` spans two).
+const MAX_OPERAND_OPERATORS = 3;
+
+// operand := quantity | number
+//
+// Quantities may themselves contain `-` and `/` (e.g. `1'-6"`, `1/8"`), so this takes the longest
+// text up to one of the next few operators which the domain parser accepts in full. Looking no
+// further than `MAX_OPERAND_OPERATORS` keeps parsing linear in the length of the expression.
+function parseOperand(st) {
+  const { s, domain } = st;
+  const start = st.i;
+  const ends = [];
+  for (let end = start; end < st.end && ends.length <= MAX_OPERAND_OPERATORS; ) {
+    end = nextOperatorIndex(s, end, st.end);
+    ends.push(end);
+  }
+
+  let error = null;
+  for (let k = ends.length - 1; k >= 0; k -= 1) {
+    const end = ends[k];
+    const text = s.slice(start, trimEndJotoWhitespaceIndex(s, end));
+    const unit = domain.unitAt(text, text.length);
+    if (unit < 0) continue;
+    const span = { start: 0 };
+    const r = domain.parse(text, st.options, span);
+    if (r.ok && span.start === 0) {
+      st.i = end;
+      return ok({ n: BigInt(domain.delta(r.value, unit)), d: 1n, dim: true });
+    }
+    // Keep the error of the shortest candidate, which is the one nearest the operand.
+    error = r.ok ? fail("ExpectedOperator", start + span.start) : { ok: false, error: { ...r.error, index: start + r.error.index } };
+  }
+
+  const num = parseNumber(st);
+  if (num) {
+    st.i = num.end;
+    skipJotoWhitespace(st);
+    if (st.i >= st.end || isOperatorCharCode(s.charCodeAt(st.i))) return ok(rational(num.n, num.d, false));
+  }
+  return error ?? (num ? fail("ExpectedOperator", st.i) : fail("ExpectedOperand", start));
+}
+
+// Parse a plain decimal number at `st.i`, returning its value as `n / d` and where it ends.
+function parseNumber(st) {
+  const { s } = st;
+  let n = 0n;
+  let d = 1n;
+  let digits = 0;
+  let i = st.i;
+  for (; i < st.end; i += 1) {
+    const c = s.charCodeAt(i);
+    if (isAsciiDigitCharCode(c)) {
+      n = n * 10n + BigInt(c - 0x30);
+      digits += 1;
+    } else if (!(digits > 0 && isGroupMarkCharCode(c, st.groups) && isAsciiDigitCharCode(s.charCodeAt(i + 1)))) {
+      break;
+    }
+  }
+  if (s.charCodeAt(i) === st.dec && i < st.end) {
+    for (i += 1; i < st.end && isAsciiDigitCharCode(s.charCodeAt(i)); i += 1) {
+      n = n * 10n + BigInt(s.charCodeAt(i) - 0x30);
+      d *= 10n;
+      digits += 1;
+    }
+  }
+  return digits > 0 ? { n, d, end: i } : null;
+}
+
+// Evaluate an arithmetic expression of quantities with a domain adapter (see `parseToleranceWith`).
+// The expression must evaluate to a quantity; each quantity's value is `delta(value, unit)`.
+export function parseExprWith(s, options, domain) {
+  const dec = decimalMarkCharCode(options);
+  const st = {
+    s,
+    i: 0,
+    end: trimEndJotoWhitespaceIndex(s),
+    depth: 0,
+    options,
+    domain,
+    dec,
+    groups: groupMarks(options, dec),
+  };
+  const r = parseSum(st);
+  if (!r.ok) return r;
+  skipJotoWhitespace(st);
+  if (st.i < st.end) {
+    return fail(st.s.charCodeAt(st.i) === 0x29 /* ) */ ? "UnbalancedParen" : "ExpectedOperator", st.i);
+  }
+
+  const { n, d, dim } = /** @type {{ n: bigint, d: bigint, dim: boolean }} */ (r.value);
+  if (!dim) return fail("NoUnit", st.end);
+  let q = n / d;
+  const rem = n % d;
+  if (2n * (rem < 0n ? -rem : rem) >= d) q += n < 0n ? -1n : 1n;
+  if (q > MAX_SAFE_BIGINT || q < -MAX_SAFE_BIGINT) return fail("TooBig", st.end);
+  return ok({ value: Number(q), exact: rem === 0n });
+}
@@ -1,7 +1,25 @@
-export function assertSafeInt(n) {
-  if (!Number.isSafeInteger(n)) {
-    throw new RangeError("q must be a safe integer");
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER);
+
+export function normalizeQuantity(q) {
+  if (typeof q === "bigint") {
+    return q >= -MAX_SAFE_BIGINT && q <= MAX_SAFE_BIGINT ? Number(q) : q;
+  }
+  if (!Number.isSafeInteger(q)) {
+    throw new RangeError("q must be a safe integer or a bigint");
   }
+  return q;
+}
+
+export function truncDiv(n, d) {
+  if (typeof n === "bigint") {
+    const quo = n / BigInt(d);
+    return quo <= MAX_SAFE_BIGINT ? Number(quo) : quo;
+  }
+  return Math.trunc(n / d);
+}
+
+export function truncRem(n, d) {
+  return typeof n === "bigint" ? Number(n % BigInt(d)) : n % d;
 }
 
 export function formatWhole(n, thousandsSeparator) {
@@ -1,19 +1,16 @@
+export function isJotoWhitespaceCharCode(code) {
+  return (
+    code === 0x20 ||
+    code === 0xa0 ||
+    code === 0xfeff ||
+    code === 0x202f ||
+    (code >= 0x2000 && code <= 0x200b)
+  );
+}
+
 export function trimEndJotoWhitespaceIndex(s, end = s.length) {
   let i = end;
-  while (i > 0) {
-    const code = s.charCodeAt(i - 1);
-    if (
-      code === 0x20 ||
-      code === 0xa0 ||
-      code === 0xfeff ||
-      code === 0x202f ||
-      (code >= 0x2000 && code <= 0x200b)
-    ) {
-      i -= 1;
-      continue;
-    }
-    break;
-  }
+  while (i > 0 && isJotoWhitespaceCharCode(s.charCodeAt(i - 1))) i -= 1;
   return i;
 }
 
@@ -41,6 +38,263 @@ export function trimTrailingAsciiZeroes(s) {
   return end === s.length ? s : s.slice(0, end);
 }
 
-export function isGroupSeparatorCharCode(c) {
-  return c === 0x2c /* , */ || c === 0x2008 /* punctuation space */;
+export function isGroupMarkCharCode(c, marks) {
+  for (let i = 0; i < marks.length; i += 1) {
+    if (marks.charCodeAt(i) === c) return true;
+  }
+  return false;
+}
+
+// Decimal and group marks of some locale which are not spaces (`.`, `,`, `'`, U+2019, U+066B and
+// U+066C).
+function isNumberMarkCharCode(c) {
+  return c === 0x2e || c === 0x2c || c === 0x27 || c === 0x2019 || c === 0x066b || c === 0x066c;
+}
+
+// Whether a number starting at `end` directly follows a digit and a number mark which the number
+// did not take, such as the `2.` of `2.5 cm` when the decimal mark is `,`. Reading just the `5`
+// would silently misread the quantity.
+export function followsStrayMark(s, end) {
+  return end >= 2 && isNumberMarkCharCode(s.charCodeAt(end - 1)) && isAsciiDigitCharCode(s.charCodeAt(end - 2));
+}
+
+export function endsWithCharCode(s, c) {
+  return s.length > 0 && s.charCodeAt(s.length - 1) === c;
+}
+
+function isAsciiDigitCharCode(c) {
+  return c >= 0x30 && c <= 0x39;
+}
+
+export function isAsciiLetterCharCode(c) {
+  return (c >= 0x41 && c <= 0x5a) || (c >= 0x61 && c <= 0x7a);
+}
+
+// Find `word` (lowercase ASCII) as a whole word ending at `end`, ignoring ASCII case. Returns the
+// index where the word starts, or -1.
+export function asciiWordStartIndex(s, end, word) {
+  const start = end - word.length;
+  if (start < 0) return -1;
+  if (start > 0 && isAsciiLetterCharCode(s.charCodeAt(start - 1))) return -1;
+  for (let i = 0; i < word.length; i += 1) {
+    const c = s.charCodeAt(start + i);
+    if ((c >= 0x41 && c <= 0x5a ? c | 0x20 : c) !== word.charCodeAt(i)) return -1;
+  }
+  return start;
+}
+
+function superscriptDigit(c) {
+  switch (c) {
+    case 0x2070:
+      return 0;
+    case 0xb9:
+      return 1;
+    case 0xb2:
+      return 2;
+    case 0xb3:
+      return 3;
+    default:
+      return c >= 0x2074 && c <= 0x2079 ? c - 0x2070 : -1;
+  }
+}
+
+function subscriptDigit(c) {
+  return c >= 0x2080 && c <= 0x2089 ? c - 0x2080 : -1;
+}
+
+// Numerator and denominator of a vulgar fraction character, packed as `num << 8 | den`, or 0.
+function vulgarFraction(c) {
+  switch (c) {
+    case 0xbc /* ¼ */:
+      return (1 << 8) | 4;
+    case 0xbd /* ½ */:
+      return (1 << 8) | 2;
+    case 0xbe /* ¾ */:
+      return (3 << 8) | 4;
+    case 0x2150 /* ⅐ */:
+      return (1 << 8) | 7;
+    case 0x2151 /* ⅑ */:
+      return (1 << 8) | 9;
+    case 0x2152 /* ⅒ */:
+      return (1 << 8) | 10;
+    case 0x2153 /* ⅓ */:
+      return (1 << 8) | 3;
+    case 0x2154 /* ⅔ */:
+      return (2 << 8) | 3;
+    case 0x2155 /* ⅕ */:
+      return (1 << 8) | 5;
+    case 0x2156 /* ⅖ */:
+      return (2 << 8) | 5;
+    case 0x2157 /* ⅗ */:
+      return (3 << 8) | 5;
+    case 0x2158 /* ⅘ */:
+      return (4 << 8) | 5;
+    case 0x2159 /* ⅙ */:
+      return (1 << 8) | 6;
+    case 0x215a /* ⅚ */:
+      return (5 << 8) | 6;
+    case 0x215b /* ⅛ */:
+      return (1 << 8) | 8;
+    case 0x215c /* ⅜ */:
+      return (3 << 8) | 8;
+    case 0x215d /* ⅝ */:
+      return (5 << 8) | 8;
+    case 0x215e /* ⅞ */:
+      return (7 << 8) | 8;
+    case 0x2189 /* ↉ */:
+      return (0 << 8) | 3;
+    default:
+      return 0;
+  }
+}
+
+// Take a fraction ending at `end` written as a vulgar fraction character (`⅝`), or as superscript
+// digits, `/` or U+2044 FRACTION SLASH, and subscript digits (`¹⁵⁄₁₆`). On success, sets
+// `out.start` (where the fraction starts), `out.numEnd` (where the numerator ends), `out.num` and
+// `out.den`, and returns `true`.
+export function takeUnicodeFraction(s, end, out) {
+  if (end === 0) return false;
+  const packed = vulgarFraction(s.charCodeAt(end - 1));
+  if (packed !== 0) {
+    out.start = end - 1;
+    out.numEnd = end - 1;
+    out.num = packed >> 8;
+    out.den = packed & 0xff;
+    return true;
+  }
+
+  let i = end;
+  let den = 0;
+  let pv = 1;
+  for (; i > 0; i -= 1) {
+    const d = subscriptDigit(s.charCodeAt(i - 1));
+    if (d < 0) break;
+    den += d * pv;
+    pv *= 10;
+  }
+  if (i === end || i === 0) return false;
+  const sep = s.charCodeAt(i - 1);
+  if (sep !== 0x2f /* / */ && sep !== 0x2044 /* ⁄ */) return false;
+
+  // An empty numerator is taken as 0, for the caller to reject.
+  const numEnd = i - 1;
+  let num = 0;
+  pv = 1;
+  for (i = numEnd; i > 0; i -= 1) {
+    const d = superscriptDigit(s.charCodeAt(i - 1));
+    if (d < 0) break;
+    num += d * pv;
+    pv *= 10;
+  }
+
+  out.start = i;
+  out.numEnd = numEnd;
+  out.num = num;
+  out.den = den;
+  return true;
+}
+
+function isTimesCharCode(c) {
+  return c === 0xd7 /* × */ || c === 0x2a /* * */ || c === 0x22c5 /* ⋅ */ || c === 0x78 /* x */;
+}
+
+// Take a number in E-notation (`1.5e-3`) or power-of-ten notation (`2.2×10³`, `2.2×10^3`) ending
+// at `end`. On success, sets `out.start` (where the mantissa starts), `out.at` (where the exponent
+// starts), `out.mantissa` (the mantissa's digits) and `out.exponent` (the power of ten they are
+// scaled by), and returns `true`.
+export function takeExponentNotation(s, end, dec, groups, out) {
+  if (end === 0) return false;
+  const superscript = superscriptDigit(s.charCodeAt(end - 1)) >= 0;
+  let i = end;
+  let exponent = 0;
+  let pv = 1;
+  for (; i > 0; i -= 1) {
+    const c = s.charCodeAt(i - 1);
+    const d = superscript ? superscriptDigit(c) : isAsciiDigitCharCode(c) ? c - 0x30 : -1;
+    if (d < 0) break;
+    // Clamp a long run of digits, which is out of range anyway, so that `0 * Infinity` cannot
+    // make the exponent `NaN`.
+    exponent = Math.min(exponent + d * pv, Number.MAX_SAFE_INTEGER);
+    pv = Math.min(pv * 10, Number.MAX_SAFE_INTEGER);
+  }
+  if (i === end || i === 0) return false;
+
+  const sign = s.charCodeAt(i - 1);
+  if (superscript ? sign === 0x207b /* ⁻ */ : sign === 0x2d /* - */ || sign === 0x2212 /* − */) {
+    exponent = -exponent;
+    i -= 1;
+  } else if (sign === (superscript ? 0x207a /* ⁺ */ : 0x2b /* + */)) {
+    i -= 1;
+  }
+
+  let at;
+  const marker = s.charCodeAt(i - 1);
+  if (superscript || marker === 0x5e /* ^ */) {
+    if (!superscript) i -= 1;
+    if (i < 2 || s.charCodeAt(i - 1) !== 0x30 /* 0 */ || s.charCodeAt(i - 2) !== 0x31 /* 1 */) return false;
+    i = trimEndJotoWhitespaceIndex(s, i - 2);
+    if (i === 0 || !isTimesCharCode(s.charCodeAt(i - 1))) return false;
+    at = i - 1;
+    i = trimEndJotoWhitespaceIndex(s, at);
+  } else if (marker === 0x65 /* e */ || marker === 0x45 /* E */) {
+    at = i - 1;
+    i = at;
+  } else {
+    return false;
+  }
+
+  if (!takeDecimalMantissa(s, i, dec, groups, out)) return false;
+  out.at = at;
+  out.exponent += exponent;
+  return true;
+}
+
+// Take a plain decimal number ending at `end` as its digits scaled by a power of ten. On success,
+// sets `out.start` (where the number starts), `out.mantissa` (its digits) and `out.exponent` (the
+// negated number of fraction digits), and returns `true`.
+export function takeDecimalMantissa(s, end, dec, groups, out) {
+  let i = end;
+  let mantissa = 0n;
+  let digitPv = 1n;
+  let digits = 0;
+  let fracDigits = 0;
+  let hadDecimalMark = false;
+  for (; i > 0; i -= 1) {
+    const c = s.charCodeAt(i - 1);
+    if (isAsciiDigitCharCode(c)) {
+      mantissa += BigInt(c - 0x30) * digitPv;
+      digitPv *= 10n;
+      digits += 1;
+    } else if (c === dec && !hadDecimalMark) {
+      hadDecimalMark = true;
+      fracDigits = digits;
+    } else if (!(digits > 0 && isGroupMarkCharCode(c, groups) && i > 1 && isAsciiDigitCharCode(s.charCodeAt(i - 2)))) {
+      break;
+    }
+  }
+  if (digits === 0) return false;
+
+  out.start = i;
+  out.mantissa = mantissa;
+  out.exponent = -fracDigits;
+  return true;
+}
+
+const MAX_EXPONENT = 1_000;
+
+// Scale `mantissa × 10^exponent` units of `unitScale` to base units exactly. Returns the error
+// code instead when the result is not a whole number of base units, or the exponent is out of
+// range. With rounding state `rnd`, a fraction of a base unit is truncated and recorded in `rnd`.
+export function scaleByPowerOfTen(mantissa, unitScale, exponent, rnd) {
+  if (mantissa === 0n) return 0n;
+  const v = mantissa * BigInt(unitScale);
+  if (exponent >= 0) return exponent > MAX_EXPONENT ? "TooBig" : v * 10n ** BigInt(exponent);
+  if (exponent < -MAX_EXPONENT) return "TooPrecise";
+  const p = 10n ** BigInt(-exponent);
+  const rem = v % p;
+  if (rem === 0n) return v / p;
+  if (!rnd) return "TooPrecise";
+  rnd.n = rem;
+  rnd.d = p;
+  return v / p;
 }
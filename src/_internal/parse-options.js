@@ -0,0 +1,105 @@
+import { isGroupMarkCharCode } from "./parse-helpers.js";
+
+/**
+ * Rounding modes for quantities more precise than the base unit.
+ *
+ * - `halfEven`: to the nearest base unit, ties to an even number of base units.
+ * - `halfUp`: to the nearest base unit, ties away from zero.
+ * - `floor`: toward negative infinity.
+ * - `ceil`: toward positive infinity.
+ * - `trunc`: toward zero.
+ *
+ * Temperatures are rounded as differences from the origin of their unit, so `floor` and `ceil`
+ * round toward lower and higher temperatures respectively.
+ *
+ * @typedef {"halfEven"|"halfUp"|"floor"|"ceil"|"trunc"} RoundingMode
+ */
+
+/**
+ * Options selecting the number marks accepted by the parsers, and how they round.
+ *
+ * Digits are always ASCII digits.
+ *
+ * @typedef {object} ParseOptions
+ * @property {string} [decimalMark]
+ *   Decimal mark, a single UTF-16 code unit (e.g. `,` or U+066B ARABIC DECIMAL SEPARATOR).
+ *   Defaults to `.`.
+ * @property {string} [groupMarks]
+ *   Group marks accepted in whole parts, as a string of UTF-16 code units (e.g. `.\u2009`).
+ *   Defaults to `,` and U+2008 PUNCTUATION SPACE, less the decimal mark.
+ * @property {RoundingMode} [rounding]
+ *   Round quantities with more decimals than the base unit can represent (e.g. `.1nm`), rather
+ *   than rejecting them as `TooPrecise`. Exponents beyond ±1000 are still rejected.
+ */
+
+const DEFAULT_GROUP_MARKS = ",\u2008";
+
+export function decimalMarkCharCode(options) {
+  const mark = options?.decimalMark;
+  if (mark == null) return 0x2e /* . */;
+  if (mark.length !== 1) throw new RangeError("decimalMark must be a single UTF-16 code unit");
+  return mark.charCodeAt(0);
+}
+
+export function roundingMode(options) {
+  const mode = options?.rounding;
+  switch (mode) {
+    case undefined:
+    case null:
+      return null;
+    case "halfEven":
+    case "halfUp":
+    case "floor":
+    case "ceil":
+    case "trunc":
+      return mode;
+    default:
+      throw new RangeError(`unknown rounding mode: ${mode}`);
+  }
+}
+
+export function groupMarks(options, decimalMark) {
+  const marks = options?.groupMarks;
+  if (marks == null) return decimalMark === 0x2c /* , */ ? "\u2008" : DEFAULT_GROUP_MARKS;
+  if (isGroupMarkCharCode(decimalMark, marks)) throw new RangeError("groupMarks must not contain the decimal mark");
+  return marks;
+}
+
+/**
+ * Make parse options with the decimal and group marks of a locale, as reported by
+ * `Intl.NumberFormat`.
+ *
+ * Common typed stand-ins for the locale's group mark are accepted too: `'` where the locale uses
+ * U+2019 RIGHT SINGLE QUOTATION MARK (e.g. `de-CH`), and U+00A0, U+2009, U+202F and a typed
+ * U+0020 SPACE where it uses any of those spaces (e.g. `fr-FR`). U+2008 PUNCTUATION SPACE is always
+ * accepted.
+ *
+ * @param {string | string[]} [locales]
+ * @returns {Required<Pick<ParseOptions, "decimalMark" | "groupMarks">>}
+ */
+export function localeParseOptions(locales) {
+  const parts = new Intl.NumberFormat(locales, { useGrouping: true }).formatToParts(1234567.5);
+  let decimalMark = ".";
+  let group = "";
+  for (const part of parts) {
+    if (part.type === "decimal") decimalMark = part.value;
+    else if (part.type === "group" && group.length === 0) group = part.value;
+  }
+
+  let marks = group;
+  switch (group) {
+    case "\u2019":
+      marks += "'";
+      break;
+    case "\u00a0":
+    case "\u2009":
+    case "\u202f":
+      marks = "\u00a0\u2009\u202f ";
+      break;
+    default:
+      break;
+  }
+  if (decimalMark !== "\u2008") marks += "\u2008";
+
+  return { decimalMark, groupMarks: marks };
+}
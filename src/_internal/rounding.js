@@ -0,0 +1,74 @@
+import { roundingMode } from "./parse-options.js";
+
+/**
+ * The exact value less the rounded value of a quantity, in base units, as the rational
+ * `numerator / denominator` in lowest terms (`denominator > 0`).
+ *
+ * @typedef {{ numerator: bigint, denominator: bigint }} Residual
+ */
+
+function gcd(a, b) {
+  if (a < 0n) a = -a;
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+// Rounding state for one parse with `options`, or `null` if it does not round: `n / d` is the
+// fraction of a base unit dropped from the magnitude of the quantity, and, once the quantity is
+// rounded, its signed residual.
+export function roundingState(options, mode = roundingMode(options)) {
+  return mode == null ? null : { mode, n: 0n, d: 1n };
+}
+
+/**
+ * @param {{ n: bigint, d: bigint } | null} rnd
+ * @returns {Residual}
+ */
+export function residual(rnd) {
+  return rnd ? { numerator: rnd.n, denominator: rnd.d } : { numerator: 0n, denominator: 1n };
+}
+
+// Split `0.<digits>` units of `unitScale` into whole base units, which are returned, and the
+// fraction of a base unit left over, which is recorded in `rnd`.
+export function splitDecimalFraction(rnd, digits, unitScale) {
+  const d = 10n ** BigInt(digits.length);
+  const v = BigInt(digits) * BigInt(unitScale);
+  rnd.n = v % d;
+  rnd.d = d;
+  return Number(v / d);
+}
+
+function isOdd(acc) {
+  return typeof acc === "bigint" ? acc % 2n !== 0n : acc % 2 !== 0;
+}
+
+// Round the magnitude `acc` (plus the fraction recorded in `rnd`) of a quantity which is negative
+// or below its origin if `negative`, and record the signed residual in `rnd`.
+export function roundMagnitude(rnd, acc, negative) {
+  const { n, d } = rnd;
+  let up = false;
+  if (n !== 0n) {
+    switch (rnd.mode) {
+      case "halfEven":
+        up = 2n * n > d || (2n * n === d && isOdd(acc));
+        break;
+      case "halfUp":
+        up = 2n * n >= d;
+        break;
+      case "floor":
+        up = negative;
+        break;
+      case "ceil":
+        up = !negative;
+        break;
+      default:
+        break;
+    }
+  }
+  const r = up ? n - d : n;
+  const g = gcd(r, d);
+  rnd.n = negative ? -r / g : r / g;
+  rnd.d = d / g;
+  if (!up) return acc;
+  return typeof acc === "bigint" ? acc + 1n : acc + 1;
+}
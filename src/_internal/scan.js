@@ -0,0 +1,76 @@
+import { decimalMarkCharCode, groupMarks } from "./parse-options.js";
+import { isAsciiLetterCharCode, isGroupMarkCharCode, isJotoWhitespaceCharCode } from "./parse-helpers.js";
+
+function isAsciiAlnumCharCode(c) {
+  return (c >= 0x30 && c <= 0x39) || isAsciiLetterCharCode(c);
+}
+
+function isSignCharCode(c) {
+  return c === 0x2b /* + */ || c === 0x2d /* - */ || c === 0x2212 /* − */;
+}
+
+// Scan `text` right to left for quantities of one domain.
+//
+// Every index followed by a word boundary where `unitAt(text, end)` finds a unit is a candidate
+// end; `parseAt(text.slice(0, end), span)` parses the candidate and reports where the quantity
+// starts in `span.start`. Candidates which fail to parse are skipped, and a match consumes the
+// text it spans.
+export function scanMatches(text, options, domain, unitAt, parseAt) {
+  const groups = groupMarks(options, decimalMarkCharCode(options));
+  const span = { start: 0 };
+  const matches = [];
+
+  let end = text.length;
+  while (end > 0) {
+    if (end < text.length && isAsciiAlnumCharCode(text.charCodeAt(end))) {
+      end -= 1;
+      continue;
+    }
+    const unit = unitAt(text, end);
+    if (unit < 0) {
+      end -= 1;
+      continue;
+    }
+    let r = parseAt(text.slice(0, end), span);
+    // A quantity after a unit which cannot precede it in a compound (e.g. the `5 mm` of
+    // `2 in 5 mm`) stands on its own.
+    if (!r.ok && r.error.code === "InvalidCompound") {
+      const from = r.error.index;
+      r = parseAt(text.slice(from, end), span);
+      span.start += from;
+    } else if (!r.ok && r.error.code === "InvalidSign" && r.error.index > 0) {
+      // The parsers take no sign directly after other text (e.g. the dash of `3-5mm`), but a
+      // match may still start at it.
+      const from = r.error.index;
+      if (!isJotoWhitespaceCharCode(text.charCodeAt(from - 1))) {
+        r = parseAt(text.slice(from, end), span);
+        span.start += from;
+      }
+    }
+    if (!r.ok) {
+      end -= 1;
+      continue;
+    }
+
+    let start = span.start;
+    let value = r.value;
+    while (start < end) {
+      const c = text.charCodeAt(start);
+      if (!isJotoWhitespaceCharCode(c) && !isGroupMarkCharCode(c, groups)) break;
+      start += 1;
+    }
+    // A sign directly after a word or number is punctuation (e.g. the dash in `3-5mm`).
+    if (isSignCharCode(text.charCodeAt(start)) && start > 0 && isAsciiAlnumCharCode(text.charCodeAt(start - 1))) {
+      const unsigned = parseAt(text.slice(start + 1, end), span);
+      if (unsigned.ok) {
+        start += 1;
+        value = unsigned.value;
+      }
+    }
+
+    matches.push({ start, end, value, unit, domain });
+    end = start;
+  }
+
+  return matches.reverse();
+}
@@ -0,0 +1,175 @@
+import { isJotoWhitespaceCharCode, trimEndJotoWhitespaceIndex } from "./parse-helpers.js";
+
+/**
+ * The part of a tolerance notation a parse error refers to.
+ *
+ * - `nominal`: the nominal quantity.
+ * - `tolerance`: the tolerance of a symmetric (`±`) notation.
+ * - `upper`, `lower`: the upper and lower deviation of an asymmetric notation, or the upper and
+ *   lower limit of a limit notation.
+ *
+ * @typedef {"nominal"|"tolerance"|"upper"|"lower"} TolerancePart
+ */
+
+/**
+ * Tolerance-specific parse error codes.
+ *
+ * - `NoTolerance`: the input has no `±`, `+a/-b` or `a–b` notation.
+ * - `UnexpectedText`: a part has text before its quantity.
+ * - `InvertedLimits`: the upper limit is less than the lower limit.
+ *
+ * @typedef {"NoTolerance"|"UnexpectedText"|"InvertedLimits"} ToleranceErrorCode
+ */
+
+/**
+ * A toleranced quantity; `upper` and `lower` are the absolute limits, and `nominal` is `null` for
+ * limit notation.
+ *
+ * @typedef {{ nominal: number | null, upper: number, lower: number }} Tolerance
+ */
+
+function isSignCharCode(c) {
+  return c === 0x2b /* + */ || c === 0x2d /* - */ || c === 0x2212 /* − */;
+}
+
+function skipJotoWhitespace(s, i, end) {
+  while (i < end && isJotoWhitespaceCharCode(s.charCodeAt(i))) i += 1;
+  return i;
+}
+
+function fail(error, part, offset) {
+  return { ok: false, error: { ...error, index: error.index + offset, part } };
+}
+
+// Find `+/-` or U+00B1 PLUS-MINUS SIGN; returns [index, length] or null.
+function findPlusMinus(s) {
+  const i = s.indexOf("\u00b1");
+  if (i >= 0) return [i, 1];
+  const j = s.indexOf("+/-");
+  if (j >= 0) return [j, 3];
+  return null;
+}
+
+// Find the `/` between the deviations of `+a/-b`, which is the only `/` followed by a sign.
+function findDeviationSlash(s, from) {
+  for (let i = s.indexOf("/", from); i >= 0; i = s.indexOf("/", i + 1)) {
+    const next = skipJotoWhitespace(s, i + 1, s.length);
+    if (isSignCharCode(s.charCodeAt(next))) return i;
+  }
+  return -1;
+}
+
+function unitOfPart(s, start, end, domain) {
+  const partEnd = trimEndJotoWhitespaceIndex(s, end);
+  return partEnd > start ? domain.unitAt(s, partEnd) : -1;
+}
+
+// Parse `s[start, end)` as a whole quantity, in `unit` when the part has no unit of its own.
+function parsePart(s, start, end, unit, part, domain, options) {
+  const from = skipJotoWhitespace(s, start, end);
+  const text = s.slice(from, end);
+  const textEnd = trimEndJotoWhitespaceIndex(text);
+  const span = { start: 0 };
+  let r;
+  if (domain.unitAt(text, textEnd) >= 0) {
+    r = domain.parse(text, options, span);
+  } else if (unit >= 0) {
+    r = domain.parseAs(text, unit, options, span);
+  } else {
+    return fail({ code: "NoUnit", index: textEnd }, part, from);
+  }
+  if (!r.ok) return fail(r.error, part, from);
+  if (span.start !== 0) return fail({ code: "UnexpectedText", index: 0 }, part, from);
+  return r;
+}
+
+// Parse an unsigned deviation, as a delta in base units.
+function parseDeviation(s, start, end, unit, part, domain, options) {
+  const r = parsePart(s, start, end, unit, part, domain, options);
+  if (!r.ok) return r;
+  const partUnit = unitOfPart(s, start, end, domain);
+  const delta = domain.delta(r.value, partUnit >= 0 ? partUnit : unit);
+  if (delta < 0) return fail({ code: "InvalidSign", index: 0 }, part, skipJotoWhitespace(s, start, end));
+  return { ok: true, value: delta };
+}
+
+// Check the limits of a toleranced quantity; errors point at the end of the input.
+function limits(nominal, upper, lower, upperPart, lowerPart, end, domain) {
+  if (!Number.isSafeInteger(upper)) return fail({ code: "TooBig", index: end }, upperPart, 0);
+  if (!Number.isSafeInteger(lower)) return fail({ code: "TooBig", index: end }, lowerPart, 0);
+  if (domain.absolute && lower < 0) return fail({ code: "TooSmall", index: end }, lowerPart, 0);
+  if (upper < lower) return fail({ code: "InvertedLimits", index: end }, upperPart, 0);
+  return { ok: true, value: { nominal, upper, lower } };
+}
+
+// Parse tolerance notation with a domain adapter:
+// - `unitAt(s, end)`: the unit ending at `end`, or -1.
+// - `parse(s, options, span)`, `parseAs(s, unit, options, span)`: the domain's diagnostic parsers,
+//   reporting where the quantity starts in `span.start`.
+// - `delta(value, unit)`: the difference a deviation quantity in `unit` denotes.
+// - `absolute`: whether limits below zero are invalid.
+export function parseToleranceWith(s, options, domain) {
+  const end = trimEndJotoWhitespaceIndex(s);
+  const first = skipJotoWhitespace(s, 0, end);
+
+  // Symmetric: <nominal> ± <tolerance>.
+  const pm = findPlusMinus(s);
+  if (pm) {
+    const [at, len] = pm;
+    const unit = firstUnit(s, [[0, at], [at + len, end]], domain);
+    const nominal = parsePart(s, 0, at, unit, "nominal", domain, options);
+    if (!nominal.ok) return nominal;
+    const tol = parseDeviation(s, at + len, end, unit, "tolerance", domain, options);
+    if (!tol.ok) return tol;
+    const upper = nominal.value + tol.value;
+    const lower = nominal.value - tol.value;
+    return limits(nominal.value, upper, lower, "tolerance", "tolerance", end, domain);
+  }
+
+  // Asymmetric: <nominal> <sign><upper>/<sign><lower>.
+  const slash = findDeviationSlash(s, first);
+  if (slash >= 0) {
+    let upperSign = slash - 1;
+    while (upperSign > first && !isSignCharCode(s.charCodeAt(upperSign))) upperSign -= 1;
+    if (upperSign > first) {
+      const lowerSign = skipJotoWhitespace(s, slash + 1, end);
+      const nominalPart = [0, upperSign];
+      const upperPart = [upperSign + 1, slash];
+      const lowerPart = [lowerSign + 1, end];
+      // Deviations share a unit written after either of them (e.g. `2 lb +1/-0 oz`).
+      const unit = firstUnit(s, [nominalPart, upperPart, lowerPart], domain);
+      const deviationUnit = firstUnit(s, [lowerPart, upperPart, nominalPart], domain);
+      const nominal = parsePart(s, 0, upperSign, unit, "nominal", domain, options);
+      if (!nominal.ok) return nominal;
+      const upper = parseDeviation(s, upperSign + 1, slash, deviationUnit, "upper", domain, options);
+      if (!upper.ok) return upper;
+      const lower = parseDeviation(s, lowerSign + 1, end, deviationUnit, "lower", domain, options);
+      if (!lower.ok) return lower;
+      const up = s.charCodeAt(upperSign) === 0x2b /* + */ ? upper.value : -upper.value;
+      const down = s.charCodeAt(lowerSign) === 0x2b /* + */ ? lower.value : -lower.value;
+      return limits(nominal.value, nominal.value + up, nominal.value + down, "upper", "lower", end, domain);
+    }
+  }
+
+  // Limit: <lower> – <upper>, split at the first U+2013 EN DASH which leaves two quantities.
+  let firstError = null;
+  for (let at = s.indexOf("\u2013", first + 1); at >= 0; at = s.indexOf("\u2013", at + 1)) {
+    const unit = firstUnit(s, [[at + 1, end], [0, at]], domain);
+    const lower = parsePart(s, 0, at, unit, "lower", domain, options);
+    const upper = lower.ok ? parsePart(s, at + 1, end, unit, "upper", domain, options) : lower;
+    if (lower.ok && upper.ok) return limits(null, upper.value, lower.value, "upper", "lower", end, domain);
+    firstError ??= upper;
+  }
+  if (firstError) return firstError;
+
+  return fail({ code: "NoTolerance", index: end }, "tolerance", 0);
+}
+
+// The unit a part without its own unit inherits: the first unit among `parts`, or -1.
+function firstUnit(s, parts, domain) {
+  for (const [start, end] of parts) {
+    const unit = unitOfPart(s, start, end, domain);
+    if (unit >= 0) return unit;
+  }
+  return -1;
+}
@@ -0,0 +1,193 @@
+import { isAsciiLetterCharCode } from "./parse-helpers.js";
+
+/**
+ * A user-defined unit; see `createRegistry`.
+ *
+ * @typedef {object} UnitDefinition
+ * @property {number} scale
+ *   Size of the unit in base units, a positive safe integer.
+ * @property {string[]} symbols
+ *   Symbols and names the parsers accept for the unit, matched exactly. The first is the symbol
+ *   used for formatting.
+ * @property {string} [asciiSymbol]
+ *   Symbol used for ASCII output. Defaults to the first symbol, which must then be ASCII.
+ * @property {number} [maxDecimalDigits]
+ *   Decimal fraction digits parsed and formatted, each of which must be exact in base units.
+ *   Defaults to every digit which is.
+ * @property {number | null} [superior]
+ *   The next larger unit in compounds (built in or user-defined), or `null`.
+ * @property {string} [name]
+ *   Name reported by `unitInfo`. Defaults to the first symbol.
+ */
+
+/**
+ * The metadata of a user-defined unit.
+ *
+ * @typedef {Readonly<{
+ *   unit: number,
+ *   name: string,
+ *   scale: number,
+ *   origin: number,
+ *   symbol: string,
+ *   asciiSymbol: string,
+ *   maxDecimalDigits: number,
+ *   superior: number | null
+ * }>} UserUnit
+ */
+
+/**
+ * @typedef {{ domain: string, units: Map<number, UserUnit>, symbols: [string, number][] }} UnitTable
+ */
+
+/** @type {WeakMap<object, UnitTable>} */
+const tables = new WeakMap();
+
+/** @type {UnitTable | null} */
+let active = null;
+
+function isAsciiDigitCharCode(c) {
+  return c >= 0x30 && c <= 0x39;
+}
+
+function isPrintableAscii(s) {
+  for (let i = 0; i < s.length; i += 1) {
+    const c = s.charCodeAt(i);
+    if (c < 0x21 || c > 0x7e) return false;
+  }
+  return s.length > 0;
+}
+
+// Digits of a decimal fraction of `scale` base units which are exact in base units.
+function exactDecimalDigits(scale) {
+  let digits = 0;
+  while (scale % 10 ** (digits + 1) === 0) digits += 1;
+  return digits;
+}
+
+/**
+ * @param {string} domain
+ * @returns {UnitTable}
+ */
+export function unitTable(domain) {
+  return { domain, units: new Map(), symbols: [] };
+}
+
+// Associate a registry object with its table, for `registryTable`.
+export function registerTable(registry, table) {
+  tables.set(registry, table);
+  return registry;
+}
+
+/**
+ * @param {object} registry
+ * @param {string} domain
+ * @returns {UnitTable}
+ */
+export function registryTable(registry, domain) {
+  const table = tables.get(registry);
+  if (table?.domain !== domain) throw new TypeError(`not a ${domain} unit registry`);
+  return table;
+}
+
+// Call `f(...args)` with the units of `table` in effect. Parsing and formatting are synchronous,
+// so the table applies for exactly the duration of the call.
+export function withUnits(table, f, ...args) {
+  const prev = active;
+  active = table;
+  try {
+    return f(...args);
+  } finally {
+    active = prev;
+  }
+}
+
+/**
+ * The user-defined `unit` of `domain` in effect, if any.
+ *
+ * @param {string} domain
+ * @param {number} unit
+ * @returns {UserUnit | undefined}
+ */
+export function userUnit(domain, unit) {
+  return active !== null && active.domain === domain ? active.units.get(unit) : undefined;
+}
+
+// The first user-defined unit of `domain` in effect whose superior is `unit`, or `null`.
+export function userInferior(domain, unit) {
+  if (active === null || active.domain !== domain) return null;
+  for (const u of active.units.values()) {
+    if (u.superior === unit) return u.unit;
+  }
+  return null;
+}
+
+// Strip the longest user-defined symbol of `domain` in effect which ends at `end`, like
+// `stripUnitAt`. A symbol which starts with a letter must not follow a letter.
+export function stripUserUnitAt(domain, s, end, out) {
+  if (active === null || active.domain !== domain) return false;
+  for (const [symbol, unit] of active.symbols) {
+    const start = end - symbol.length;
+    if (start < 0 || !s.startsWith(symbol, start)) continue;
+    if (start > 0 && isAsciiLetterCharCode(symbol.charCodeAt(0)) && isAsciiLetterCharCode(s.charCodeAt(start - 1))) {
+      continue;
+    }
+    out.restEnd = start;
+    out.unit = unit;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Check a unit definition and add it to `table` as `unit`.
+ *
+ * `isBuiltinSymbol(symbol)` tells whether the domain already parses `symbol` as a unit.
+ *
+ * @param {UnitTable} table
+ * @param {number} unit
+ * @param {UnitDefinition & { origin?: number }} definition
+ * @param {(symbol: string) => boolean} isBuiltinSymbol
+ * @returns {number}
+ */
+export function addUnit(table, unit, definition, isBuiltinSymbol) {
+  const { scale, symbols } = definition;
+  if (!Number.isSafeInteger(scale) || scale <= 0) throw new RangeError("scale must be a positive safe integer");
+  if (!Array.isArray(symbols) || symbols.length === 0) throw new RangeError("symbols must be a non-empty array");
+  for (const symbol of symbols) {
+    if (typeof symbol !== "string" || symbol.length === 0) throw new RangeError("symbols must be non-empty strings");
+    if (isAsciiDigitCharCode(symbol.charCodeAt(symbol.length - 1))) {
+      throw new RangeError(`symbol must not end with a digit: ${symbol}`);
+    }
+    if (isBuiltinSymbol(symbol) || table.symbols.some(([s]) => s === symbol)) {
+      throw new RangeError(`symbol already names a unit: ${symbol}`);
+    }
+  }
+
+  const asciiSymbol = definition.asciiSymbol ?? symbols[0];
+  if (!isPrintableAscii(asciiSymbol)) throw new RangeError("asciiSymbol must be printable ASCII");
+
+  const maxDecimalDigits = definition.maxDecimalDigits ?? exactDecimalDigits(scale);
+  if (!Number.isInteger(maxDecimalDigits) || maxDecimalDigits < 0 || scale % 10 ** maxDecimalDigits !== 0) {
+    throw new RangeError("maxDecimalDigits must only allow digits which are exact in base units");
+  }
+
+  const origin = definition.origin ?? 0;
+  if (!Number.isSafeInteger(origin)) throw new RangeError("origin must be a safe integer");
+
+  table.units.set(
+    unit,
+    Object.freeze({
+      unit,
+      name: definition.name ?? symbols[0],
+      scale,
+      origin,
+      symbol: symbols[0],
+      asciiSymbol,
+      maxDecimalDigits,
+      superior: definition.superior ?? null,
+    }),
+  );
+  for (const symbol of symbols) table.symbols.push([symbol, unit]);
+  table.symbols.sort((a, b) => b[0].length - a[0].length);
+  return unit;
+}
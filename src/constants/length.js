@@ -43,6 +43,10 @@ export const CENTIMETER = 10 * MILLIMETER;
 export const DECIMETER = 10 * CENTIMETER;
 /** Meter. @type {number} */
 export const METER = 1_000 * MILLIMETER;
+/** Kilometer. @type {number} */
+export const KILOMETER = 1_000 * METER;
+/** International nautical mile — exactly 1852 `METER`. @type {number} */
+export const NAUTICAL_MILE = 1_852 * METER;
 
 /** 1⁄64 `INCH`. @type {number} */
 export const SIXTY_FOURTH = 3_571_875 * IOTA;
@@ -58,6 +62,14 @@ export const QUARTER = 2 * EIGHTH;
 export const HALF = 2 * QUARTER;
 /** 1⁄100000 `INCH`. @type {number} */
 export const HUNDRED_THOUSANDTH = 2_286 * IOTA;
+/**
+ * Microinch — 1⁄1000000 `INCH`.
+ *
+ * This is not a whole number of iota, so this is the nearest iota (0.4 iota over).
+ *
+ * @type {number}
+ */
+export const MICROINCH = 229 * IOTA;
 /** 1⁄10000 `INCH`. @type {number} */
 export const TEN_THOUSANDTH = 10 * HUNDRED_THOUSANDTH;
 /**
@@ -80,6 +92,45 @@ export const THOU = 10 * TEN_THOUSANDTH;
 export const POINT = 3_175_000 * IOTA;
 /** Pica — exactly 1⁄6 `INCH` or 12 `POINT`. @type {number} */
 export const PICA = 12 * POINT;
+/**
+ * Big point — the PostScript and PDF point, the same as `POINT`.
+ *
+ * @type {number}
+ */
+export const BIG_POINT = POINT;
+/** Twip — exactly 1⁄20 `POINT` or 1⁄1440 `INCH`, as used by RTF and DOCX. @type {number} */
+export const TWIP = 158_750 * IOTA;
+/** CSS pixel — exactly 1⁄96 `INCH`. @type {number} */
+export const PIXEL = 2_381_250 * IOTA;
+/**
+ * TeX point — the American printer's point, 1⁄72.27 `INCH`.
+ *
+ * This is not a whole number of iota, so this is the nearest iota (0.23 iota short).
+ *
+ * https://en.wikipedia.org/wiki/Point_(typography)#American_points
+ *
+ * @type {number}
+ */
+export const TEX_POINT = 3_163_138 * IOTA;
+/**
+ * Didot point — as defined by TeX, 1238⁄1157 `TEX_POINT` (about 0.376 mm).
+ *
+ * This is not a whole number of iota, so this is the nearest iota (0.25 iota short).
+ *
+ * https://en.wikipedia.org/wiki/Point_(typography)#Didot
+ *
+ * @type {number}
+ */
+export const DIDOT_POINT = 3_384_585 * IOTA;
+/**
+ * Cicero — 12 Didot points.
+ *
+ * This is not a whole number of iota, so this is the nearest iota (0.04 iota over), which is
+ * not exactly 12 `DIDOT_POINT`.
+ *
+ * @type {number}
+ */
+export const CICERO = 40_615_023 * IOTA;
 /** Inch — exactly 1⁄12 `FOOT`. @type {number} */
 export const INCH = 6 * PICA;
 /** Foot — exactly 1⁄3 `YARD`. @type {number} */
@@ -92,3 +143,41 @@ export const FOOT = 12 * INCH;
  * @type {number}
  */
 export const YARD = 3 * FOOT;
+/** Hand — exactly 4 `INCH`, used for the height of horses. @type {number} */
+export const HAND = 4 * INCH;
+/** Fathom — exactly 2 `YARD`. @type {number} */
+export const FATHOM = 2 * YARD;
+/** Rod (a.k.a. pole or perch) — exactly 5 1⁄2 `YARD`. @type {number} */
+export const ROD = 198 * INCH;
+/** Gunter's chain — exactly 4 `ROD` or 22 `YARD`. @type {number} */
+export const CHAIN = 4 * ROD;
+/** Furlong — exactly 10 `CHAIN` or 220 `YARD`. @type {number} */
+export const FURLONG = 10 * CHAIN;
+/** Mile — exactly 8 `FURLONG` or 1760 `YARD`. @type {number} */
+export const MILE = 8 * FURLONG;
+/**
+ * US survey foot — exactly 1200⁄3937 `METER`, the foot of the US public land survey before 2023.
+ *
+ * This is not a whole number of iota, so this is the nearest iota (0.41 iota short).
+ *
+ * https://en.wikipedia.org/wiki/Foot_(unit)#US_survey_foot
+ *
+ * @type {number}
+ */
+export const SURVEY_FOOT = 2_743_205_486 * IOTA;
+/**
+ * US survey mile — exactly 5280 US survey feet.
+ *
+ * This is not a whole number of iota, so this is the nearest iota (0.06 iota over).
+ *
+ * @type {number}
+ */
+export const SURVEY_MILE = 14_484_124_968_250 * IOTA;
+/**
+ * Gunter's link — 1⁄100 of a chain in US survey feet, or exactly 0.66 US survey feet.
+ *
+ * This is not a whole number of iota, so this is the nearest iota (0.03 iota short).
+ *
+ * @type {number}
+ */
+export const LINK = 1_810_515_621 * IOTA;
@@ -73,3 +73,38 @@ export const GRAIN = 207_356_512 * WHIT;
 export const PENNYWEIGHT = 24 * GRAIN;
 /** Troy ounce — exactly 20 `PENNYWEIGHT` or 480 `GRAIN`. @type {number} */
 export const TROY_OUNCE = 20 * PENNYWEIGHT;
+/** Troy pound — exactly 12 `TROY_OUNCE` or 5760 `GRAIN`. @type {number} */
+export const TROY_POUND = 12 * TROY_OUNCE;
+/** Scruple — exactly 20 `GRAIN`, in the apothecaries' system. @type {number} */
+export const SCRUPLE = 20 * GRAIN;
+/**
+ * Apothecaries' dram — exactly 3 `SCRUPLE` or 60 `GRAIN`.
+ *
+ * This is not the avoirdupois `DRAM` (1⁄16 `OUNCE`, about 27.34 grains).
+ *
+ * @type {number}
+ */
+export const APOTHECARY_DRAM = 3 * SCRUPLE;
+/** Apothecaries' ounce — exactly 8 `APOTHECARY_DRAM`, the same as `TROY_OUNCE`. @type {number} */
+export const APOTHECARY_OUNCE = 8 * APOTHECARY_DRAM;
+/** Apothecaries' pound — exactly 12 `APOTHECARY_OUNCE`, the same as `TROY_POUND`. @type {number} */
+export const APOTHECARY_POUND = 12 * APOTHECARY_OUNCE;
+/** Metric carat — exactly 200 `MILLIGRAM`, used for gemstones. @type {number} */
+export const CARAT = 200 * MILLIGRAM;
+/** Carat point — exactly 1⁄100 `CARAT`. @type {number} */
+export const CARAT_POINT = 2 * MILLIGRAM;
+/** Tola — exactly 180 `GRAIN` (about 11.66 g), used for bullion in South Asia. @type {number} */
+export const TOLA = 180 * GRAIN;
+/** Momme — exactly 3.75 g, used for pearls and silk in Japan. @type {number} */
+export const MOMME = 3_750 * MILLIGRAM;
+/**
+ * Tael — exactly 10 `MOMME` or 37.5 g, the tael of Taiwan.
+ *
+ * The Hong Kong tael (1⁄12 `POUND`) is not a whole number of whit; the Hong Kong troy tael
+ * (37.429 g) and Chinese market tael (50 g) can be defined with `createRegistry`.
+ *
+ * @type {number}
+ */
+export const TAEL = 10 * MOMME;
+/** Catty — exactly 16 `TAEL` or 600 g, the catty of Taiwan (and the Japanese kin). @type {number} */
+export const CATTY = 16 * TAEL;
@@ -79,3 +79,35 @@ export const THOUSANDTH_RANKINE = 50 * SMIDGE;
 export const RANKINE = 1_000 * THOUSANDTH_RANKINE;
 /** 0°F — exactly 459,670 `THOUSANDTH_RANKINE`. @type {number} */
 export const ZERO_FAHRENHEIT = 459_670 * THOUSANDTH_RANKINE;
+
+// ITS-90 defining fixed points, as assigned temperatures T90. Each is given to at most 0.1 mK, so
+// each is exact in smidge. The parsers accept the names in parentheses.
+
+/** Triple point of equilibrium hydrogen (`e-H2 TP`) — 13.8033 K. @type {number} */
+export const TRIPLE_POINT_HYDROGEN = (138_033 * MILLIKELVIN) / 10;
+/** Triple point of neon (`Ne TP`) — 24.5561 K. @type {number} */
+export const TRIPLE_POINT_NEON = (245_561 * MILLIKELVIN) / 10;
+/** Triple point of oxygen (`O2 TP`) — 54.3584 K. @type {number} */
+export const TRIPLE_POINT_OXYGEN = (543_584 * MILLIKELVIN) / 10;
+/** Triple point of argon (`Ar TP`) — 83.8058 K. @type {number} */
+export const TRIPLE_POINT_ARGON = (838_058 * MILLIKELVIN) / 10;
+/** Triple point of mercury (`Hg TP`) — 234.3156 K. @type {number} */
+export const TRIPLE_POINT_MERCURY = (2_343_156 * MILLIKELVIN) / 10;
+/** Triple point of water (`TPW`) — 273.16 K, or 0.01 °C. @type {number} */
+export const TRIPLE_POINT_WATER = 273_160 * MILLIKELVIN;
+/** Melting point of gallium (`Ga MP`) — 302.9146 K. @type {number} */
+export const MELTING_POINT_GALLIUM = (3_029_146 * MILLIKELVIN) / 10;
+/** Freezing point of indium (`In FP`) — 429.7485 K. @type {number} */
+export const FREEZING_POINT_INDIUM = (4_297_485 * MILLIKELVIN) / 10;
+/** Freezing point of tin (`Sn FP`) — 505.078 K. @type {number} */
+export const FREEZING_POINT_TIN = 505_078 * MILLIKELVIN;
+/** Freezing point of zinc (`Zn FP`) — 692.677 K. @type {number} */
+export const FREEZING_POINT_ZINC = 692_677 * MILLIKELVIN;
+/** Freezing point of aluminium (`Al FP`) — 933.473 K. @type {number} */
+export const FREEZING_POINT_ALUMINIUM = 933_473 * MILLIKELVIN;
+/** Freezing point of silver (`Ag FP`) — 1234.93 K. @type {number} */
+export const FREEZING_POINT_SILVER = 1_234_930 * MILLIKELVIN;
+/** Freezing point of gold (`Au FP`) — 1337.33 K. @type {number} */
+export const FREEZING_POINT_GOLD = 1_337_330 * MILLIKELVIN;
+/** Freezing point of copper (`Cu FP`) — 1357.77 K. @type {number} */
+export const FREEZING_POINT_COPPER = 1_357_770 * MILLIKELVIN;
@@ -7,7 +7,14 @@
  * @module joto/format/length
  */
 
-import { assertSafeInt, formatDecimalFraction, formatWhole } from "../_internal/format-helpers.js";
+import {
+  formatDecimalFraction,
+  formatWhole,
+  normalizeQuantity,
+  truncDiv,
+  truncRem,
+} from "../_internal/format-helpers.js";
+import { registryTable, userInferior, userUnit, withUnits } from "../_internal/units.js";
 import { Unit, abbr, asciiAbbr } from "../parse/length.js";
 
 export { Unit };
@@ -34,6 +41,15 @@ export { Unit };
  *   Allow a fraction type other than the preferred one, if it is more exact?
  * @property {boolean} [mixed]
  *   Allow mixed units in output (e.g. feet and inches)?
+ * @property {boolean} [architectural]
+ *   Use architectural feet-inches notation (e.g. `5\u2032\u20116\u2033`)?
+ *
+ *   When formatting as feet, the feet part is always shown (e.g. `0\u2032\u20113\u20444\u2033`)
+ *   and is separated from the inch part by U+2011 NON-BREAKING HYPHEN (`-` in ASCII mode). This
+ *   takes precedence over `mixed`.
+ * @property {boolean} [explicitZeroInches]
+ *   In architectural notation, show a zero inch part (e.g. `12\u2032\u20110\u2033`) instead of
+ *   omitting it?
  * @property {"complex"|"ascii"} [outputDeviceMode]
  *   Output device mode.
  */
@@ -80,6 +96,8 @@ export function defaultFormat() {
     fracType: FracType.Whole,
     allowFracFallback: true,
     mixed: true,
+    architectural: false,
+    explicitZeroInches: false,
     outputDeviceMode: OutputDeviceMode.Complex,
   };
 }
@@ -90,8 +108,21 @@ function maxDecimalDigits(unit) {
     case Unit.Pica:
     case Unit.Yard:
     case Unit.Foot:
+    case Unit.Chain:
+    case Unit.Fathom:
+    case Unit.Rod:
+    case Unit.Hand:
+    case Unit.SurveyFoot:
+    case Unit.Link:
       return 5;
+    case Unit.Mile:
+    case Unit.Furlong:
+    case Unit.SurveyMile:
+      return 6;
+    case Unit.Kilometer:
+      return 12;
     case Unit.Meter:
+    case Unit.NauticalMile:
       return 9;
     case Unit.Decimeter:
       return 8;
@@ -100,23 +131,68 @@ function maxDecimalDigits(unit) {
     case Unit.Millimeter:
       return 6;
     case Unit.Q:
+    case Unit.Cicero:
       return 4;
     case Unit.Micrometer:
     case Unit.Point:
+    case Unit.TexPoint:
+    case Unit.DidotPoint:
       return 3;
-    default:
+    case Unit.Pixel:
+    case Unit.Twip:
+      return 1;
+    case Unit.Mil:
+      return 2;
+    case Unit.Microinch:
       return 0;
+    default:
+      return userUnit("length", unit)?.maxDecimalDigits ?? 0;
   }
 }
 
+// The size of `unit` in iota: the value of a built-in unit, or the scale of a user-defined unit.
+function unitScale(unit) {
+  return userUnit("length", unit)?.scale ?? unit;
+}
+
 function leastSignificantDigitValue(unit) {
   const digits = maxDecimalDigits(unit);
-  if (digits === 0) return unit;
-  return Math.trunc(unit / 10 ** digits);
+  if (digits === 0) return unitScale(unit);
+  return Math.trunc(unitScale(unit) / 10 ** digits);
+}
+
+// Units which are not a whole number of iota, so that their scale is only the nearest iota.
+function isApproximate(unit) {
+  switch (unit) {
+    case Unit.TexPoint:
+    case Unit.DidotPoint:
+    case Unit.Cicero:
+    case Unit.SurveyFoot:
+    case Unit.SurveyMile:
+    case Unit.Link:
+      return true;
+    default:
+      return false;
+  }
+}
+
+// A microinch is 1143⁄5 iota, so whole microinches are counted in fifths of an iota, rounded to the
+// nearest microinch (1143 is odd, so there are no ties).
+function formatMicroinches(q, thousandsSeparator, ascii) {
+  const uq = q < 0 ? -q : q;
+  const fifths = typeof uq === "bigint" || uq > (Number.MAX_SAFE_INTEGER - 571) / 5 ? BigInt(uq) * 5n : uq * 5;
+  const quo = typeof fifths === "bigint" ? truncDiv(fifths + 571n, 1_143) : truncDiv(fifths + 571, 1_143);
+  const exact = truncRem(fifths, 1_143) === 0;
+  const whole = formatWhole(quo, thousandsSeparator);
+  const text = ascii
+    ? `${q < 0 ? "-" : ""}${whole}${asciiAbbr(Unit.Microinch)}`
+    : `${q < 0 ? "\u2212" : ""}${whole}${abbr(Unit.Microinch)}`;
+  return { text, exact };
 }
 
 function inferior(unit) {
-  return unit === Unit.Foot ? Unit.Inch : null;
+  if (unit === Unit.Foot) return Unit.Inch;
+  return userUnit("length", unit) ? userInferior("length", unit) : null;
 }
 
 function formatDecimalFracForUnit(rem, unit, maxDecimalFractionDigits) {
@@ -217,32 +293,41 @@ function chooseInchFrac(rem, wholeHasDigits, fracType, allowFracFallback, ascii,
  * Format a quantity `q` (in iota) as `unit`.
  *
  * - When `format.mixed` is `true`, the formatter may output a compound feet+inches quantity.
+ * - When `format.architectural` is `true`, feet are formatted in architectural feet-inches
+ *   notation (e.g. `5\u2032\u20116\uFEFF1\u20442\u2033`).
  * - When `unit` is inches, whole fractions down to 64ths may be used (depending on options).
+ * - Microinches are formatted as the nearest whole number, which is exact for multiples of 5 µin.
+ * - A nonzero quantity in an approximate unit (TeX points, Didot points, ciceros and the US survey
+ *   units) is never exact, as these units are not a whole number of iota.
  *
- * Throws if `q` is not a safe integer.
+ * `q` may be a `bigint` of any magnitude; the output is identical to formatting the same quantity
+ * as a `number`. Throws if `q` is a `number` that is not a safe integer.
  *
- * @param {number} q Quantity in iota (safe integer).
+ * @param {number | bigint} q Quantity in iota (safe integer or `bigint`).
  * @param {number} unit Output unit (from `Unit`).
  * @param {LengthFormat} [format] Formatting options.
  * @returns {{ text: string, exact: boolean }}
  */
 export function formatDim(q, unit, format) {
-  assertSafeInt(q);
+  q = normalizeQuantity(q);
   const maxDecimalFractionDigits = format?.maxDecimalFractionDigits ?? null;
   const thousandsSeparator = format?.thousandsSeparator ?? null;
   const fracType = format?.fracType ?? FracType.Whole;
   const allowFracFallback = format?.allowFracFallback ?? true;
   const mixed = format?.mixed ?? true;
+  const architectural = format?.architectural ?? false;
+  const explicitZeroInches = format?.explicitZeroInches ?? false;
   const outputDeviceMode = format?.outputDeviceMode ?? OutputDeviceMode.Complex;
   const ascii = outputDeviceMode === "ascii";
+  if (unit === Unit.Microinch) return formatMicroinches(q, thousandsSeparator, ascii);
 
-  const uq = Math.abs(q);
+  const uq = q < 0 ? -q : q;
 
   let finalUnit = unit;
 
   // In mixed modes, always format as the inferior unit when the quantity
   // is nonzero and less than the primary unit.
-  if (mixed && uq !== 0 && uq < unit) {
+  if (mixed && !architectural && uq !== 0 && uq < unitScale(unit)) {
     const inf = inferior(unit);
     if (inf != null) {
       finalUnit = inf;
@@ -250,15 +335,24 @@ export function formatDim(q, unit, format) {
     }
   }
 
-  let quo = Math.trunc(uq / unit);
-  let rem = uq % unit;
+  let quo = truncDiv(uq, unitScale(unit));
+  let rem = truncRem(uq, unitScale(unit));
 
+  let superiorText = "";
   let whole = "";
-  if (mixed) {
+  if (architectural && inferior(unit) != null) {
+    const unitInf = inferior(unit);
+    if (rem !== 0 || explicitZeroInches) {
+      superiorText = formatWhole(quo, thousandsSeparator) + (ascii ? asciiAbbr(unit) + "-" : abbr(unit) + "\u2011");
+      finalUnit = unitInf;
+      quo = Math.trunc(rem / unitScale(unitInf));
+      rem = rem % unitScale(unitInf);
+    }
+  } else if (mixed) {
     const unitInf = inferior(unit);
     if (unitInf != null && rem !== 0) {
-      const infQuo = Math.trunc(rem / unitInf);
-      const infRem = rem % unitInf;
+      const infQuo = Math.trunc(rem / unitScale(unitInf));
+      const infRem = rem % unitScale(unitInf);
       if (infQuo !== 0) {
         finalUnit = unitInf;
         rem = infRem;
@@ -298,9 +392,34 @@ export function formatDim(q, unit, format) {
   if (whole.length === 0 && fracText.length === 0) {
     whole = "0";
   }
+  if (uq !== 0 && isApproximate(finalUnit)) exact = false;
 
   const text = ascii
-        ? `${q < 0 ? "-" : ""}${whole}${fracText}${asciiAbbr(finalUnit)}`
-        : `${q < 0 ? "\u2212" : ""}${whole}${fracText}${abbr(finalUnit)}`;
+        ? `${q < 0 ? "-" : ""}${superiorText}${whole}${fracText}${asciiAbbr(finalUnit)}`
+        : `${q < 0 ? "\u2212" : ""}${superiorText}${whole}${fracText}${abbr(finalUnit)}`;
   return { text, exact };
 }
+
+/**
+ * A length formatter for the units of a registry; see `createFormatter`.
+ *
+ * @typedef {object} LengthFormatter
+ * @property {typeof formatDim} formatDim
+ */
+
+/**
+ * Create a formatter which formats the user-defined units of `registry` (from `createRegistry` in
+ * `joto/parse/length`) as well as the built-in units.
+ *
+ * With `mixed`, a user-defined unit is formatted with the first user-defined unit whose superior
+ * it is (e.g. `2bd3pl`).
+ *
+ * @param {import("../parse/length.js").LengthRegistry} registry
+ * @returns {LengthFormatter}
+ */
+export function createFormatter(registry) {
+  const table = registryTable(registry, "length");
+  return {
+    formatDim: (q, unit, format) => withUnits(table, formatDim, q, unit, format),
+  };
+}
@@ -7,7 +7,14 @@
  * @module joto/format/mass
  */
 
-import { assertSafeInt, formatDecimalFraction, formatWhole } from "../_internal/format-helpers.js";
+import {
+  formatDecimalFraction,
+  formatWhole,
+  normalizeQuantity,
+  truncDiv,
+  truncRem,
+} from "../_internal/format-helpers.js";
+import { registryTable, userInferior, userUnit, withUnits } from "../_internal/units.js";
 import { Unit, abbr, asciiAbbr } from "../parse/mass.js";
 
 export { Unit };
@@ -25,6 +32,13 @@ export { Unit };
  *   Thousands separator (a single code point), or `null` for no separator.
  * @property {"complex"|"ascii"} [outputDeviceMode]
  *   Output device mode.
+ * @property {boolean} [mixed]
+ *   Allow mixed units in output (e.g. stones and pounds)?
+ *
+ *   For a unit with a conventional inferior (`st` → `lb`, `lb` → `oz`, `oz` → `dr`,
+ *   `tn.l` → `cwt.l` → `st`, `tn` → `cwt` → `lb`, `lb t` → `ozt` → `dwt` → `gr`,
+ *   `ʒ` → `℈` → `gr`, `catty` → `tael` → `momme`), the
+ *   remainder is formatted in the inferior unit (e.g. `11st 4lb`).
  */
 
 /**
@@ -55,6 +69,7 @@ export function defaultFormat() {
     maxDecimalFractionDigits: null,
     thousandsSeparator: null,
     outputDeviceMode: OutputDeviceMode.Complex,
+    mixed: false,
   };
 }
 
@@ -63,9 +78,17 @@ function maxDecimalDigits(unit) {
     case Unit.Microgram:
       return 2;
     case Unit.Milligram:
+    case Unit.CaratPoint:
       return 5;
+    case Unit.Carat:
+      return 7;
     case Unit.Gram:
       return 8;
+    case Unit.Momme:
+      return 9;
+    case Unit.Tael:
+    case Unit.Catty:
+      return 10;
     case Unit.Kilogram:
       return 11;
     case Unit.Megagram:
@@ -82,16 +105,59 @@ function maxDecimalDigits(unit) {
     case Unit.ShortTon:
       return 6;
     case Unit.TroyOunce:
+    case Unit.TroyPound:
+    case Unit.Scruple:
+    case Unit.ApothecaryDram:
+    case Unit.Tola:
       return 1;
     default:
-      return 0;
+      return userUnit("mass", unit)?.maxDecimalDigits ?? 0;
   }
 }
 
+// The size of `unit` in whit: the value of a built-in unit, or the scale of a user-defined unit.
+function unitScale(unit) {
+  return userUnit("mass", unit)?.scale ?? unit;
+}
+
 function leastSignificantDigitValue(unit) {
   const digits = maxDecimalDigits(unit);
-  if (digits === 0) return unit;
-  return Math.trunc(unit / 10 ** digits);
+  if (digits === 0) return unitScale(unit);
+  return Math.trunc(unitScale(unit) / 10 ** digits);
+}
+
+function inferior(unit) {
+  switch (unit) {
+    case Unit.LongTon:
+      return Unit.LongHundredweight;
+    case Unit.LongHundredweight:
+      return Unit.Stone;
+    case Unit.ShortTon:
+      return Unit.ShortHundredweight;
+    case Unit.ShortHundredweight:
+    case Unit.Stone:
+      return Unit.Pound;
+    case Unit.Pound:
+      return Unit.Ounce;
+    case Unit.Ounce:
+      return Unit.Dram;
+    case Unit.TroyPound:
+      return Unit.TroyOunce;
+    case Unit.TroyOunce:
+      return Unit.Pennyweight;
+    case Unit.ApothecaryDram:
+      return Unit.Scruple;
+    case Unit.Scruple:
+      return Unit.Grain;
+    case Unit.Pennyweight:
+      return Unit.Grain;
+    case Unit.Catty:
+      return Unit.Tael;
+    case Unit.Tael:
+      return Unit.Momme;
+    default:
+      return userUnit("mass", unit) ? userInferior("mass", unit) : null;
+  }
 }
 
 function formatDecimalFracForUnit(rem, unit, maxDecimalFractionDigits) {
@@ -108,27 +174,47 @@ function formatDecimalFracForUnit(rem, unit, maxDecimalFractionDigits) {
 /**
  * Format a quantity `q` (in whit) as `unit`.
  *
- * Throws if `q` is not a safe integer.
+ * `q` may be a `bigint` of any magnitude; the output is identical to formatting the same quantity
+ * as a `number`. Throws if `q` is a `number` that is not a safe integer.
  *
- * @param {number} q Quantity in whit (safe integer).
+ * @param {number | bigint} q Quantity in whit (safe integer or `bigint`).
  * @param {number} unit Output unit (from `Unit`).
  * @param {MassFormat} [format] Formatting options.
  * @returns {{ text: string, exact: boolean }}
  */
 export function formatDim(q, unit, format) {
-  assertSafeInt(q);
+  q = normalizeQuantity(q);
   const maxDecimalFractionDigits = format?.maxDecimalFractionDigits ?? null;
   const thousandsSeparator = format?.thousandsSeparator ?? null;
   const outputDeviceMode = format?.outputDeviceMode ?? OutputDeviceMode.Complex;
+  const mixed = format?.mixed ?? false;
   const ascii = outputDeviceMode === "ascii";
 
-  const uq = Math.abs(q);
+  const uq = q < 0 ? -q : q;
 
-  const quo = Math.trunc(uq / unit);
-  const rem = uq % unit;
+  // In mixed mode, format as the inferior unit when the quantity is nonzero and less than the
+  // primary unit.
+  if (mixed && uq !== 0 && uq < unitScale(unit)) unit = inferior(unit) ?? unit;
 
-  const whole = quo === 0 && rem === 0 ? "0" : (quo !== 0 ? formatWhole(quo, thousandsSeparator) : "");
-  const frac = formatDecimalFracForUnit(rem, unit, maxDecimalFractionDigits);
+  const quo = truncDiv(uq, unitScale(unit));
+  let rem = truncRem(uq, unitScale(unit));
+
+  let superiorText = "";
+  let finalUnit = unit;
+  const unitInf = mixed ? inferior(unit) : null;
+  if (unitInf != null && quo !== 0 && rem !== 0) {
+    superiorText = formatWhole(quo, thousandsSeparator) + (ascii ? asciiAbbr(unit) : abbr(unit)) + " ";
+    finalUnit = unitInf;
+  }
+
+  let whole;
+  if (finalUnit !== unit) {
+    whole = formatWhole(Math.trunc(rem / unitScale(unitInf)), thousandsSeparator);
+    rem = rem % unitScale(unitInf);
+  } else {
+    whole = quo === 0 && rem === 0 ? "0" : (quo !== 0 ? formatWhole(quo, thousandsSeparator) : "");
+  }
+  const frac = formatDecimalFracForUnit(rem, finalUnit, maxDecimalFractionDigits);
   let exact = frac.remainder === 0;
 
   let wholeFinal = whole;
@@ -136,7 +222,31 @@ export function formatDim(q, unit, format) {
   if (wholeFinal.length === 0 && frac.text.length === 0) wholeFinal = "0";
 
   const text = ascii
-    ? `${q < 0 ? "-" : ""}${wholeFinal}${frac.text}${asciiAbbr(unit)}`
-    : `${q < 0 ? "\u2212" : ""}${wholeFinal}${frac.text}${abbr(unit)}`;
+    ? `${q < 0 ? "-" : ""}${superiorText}${wholeFinal}${frac.text}${asciiAbbr(finalUnit)}`
+    : `${q < 0 ? "\u2212" : ""}${superiorText}${wholeFinal}${frac.text}${abbr(finalUnit)}`;
   return { text, exact };
 }
+
+/**
+ * A mass formatter for the units of a registry; see `createFormatter`.
+ *
+ * @typedef {object} MassFormatter
+ * @property {typeof formatDim} formatDim
+ */
+
+/**
+ * Create a formatter which formats the user-defined units of `registry` (from `createRegistry` in
+ * `joto/parse/mass`) as well as the built-in units.
+ *
+ * With `mixed`, a user-defined unit is formatted with the first user-defined unit whose superior
+ * it is (e.g. `2plt 3bag`).
+ *
+ * @param {import("../parse/mass.js").MassRegistry} registry
+ * @returns {MassFormatter}
+ */
+export function createFormatter(registry) {
+  const table = registryTable(registry, "mass");
+  return {
+    formatDim: (q, unit, format) => withUnits(table, formatDim, q, unit, format),
+  };
+}
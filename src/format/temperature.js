@@ -5,12 +5,21 @@
  * represented by the formatted string under the chosen options.
  *
  * For relative units (`°C`, `°F`), formatting is done relative to the appropriate origin offset
- * (`ZERO_CELSIUS`, `ZERO_FAHRENHEIT`).
+ * (`ZERO_CELSIUS`, `ZERO_FAHRENHEIT`). Delisle degrees count down from their origin, and Rømer and
+ * Newton degrees, which are not whole numbers of smidge, are rounded to the nearest digit shown.
+ * Gas marks are rounded to the nearest mark.
  *
  * @module joto/format/temperature
  */
 
-import { assertSafeInt, formatDecimalFraction, formatWhole } from "../_internal/format-helpers.js";
+import {
+  formatDecimalFraction,
+  formatWhole,
+  normalizeQuantity,
+  truncDiv,
+  truncRem,
+} from "../_internal/format-helpers.js";
+import { registryTable, withUnits } from "../_internal/units.js";
 import { Unit, abbr, asciiAbbr, maxDecimalDigits, leastSignificantDigitValue, originOffset, scale } from "../parse/temperature.js";
 
 export { Unit };
@@ -78,38 +87,154 @@ function formatDecimalFracForUnit(rem, unit, maxDecimalFractionDigits) {
  * For relative units, the output is relative to the origin:
  * - `t°C` is computed from `q - ZERO_CELSIUS`
  * - `t°F` is computed from `q - ZERO_FAHRENHEIT`
+ * - `t°De` is computed from the boiling point of water less `q`, as Delisle degrees count down
  *
- * Throws if `q` is not a safe integer.
+ * R\u00f8mer and Newton degrees are not whole numbers of smidge, so they are rounded to the nearest
+ * digit shown, and `exact` is `false` unless the text is the exact temperature.
  *
- * @param {number} q Absolute temperature in smidge (safe integer).
+ * `Unit.GasMark` formats the nearest gas mark (`Gas Mark 4`, `Gas Mark \u00bd`, or `Gas Mark 1/2` in
+ * ASCII output), with `exact: false` between marks; temperatures below mark \u00bc format as mark \u00bc.
+ *
+ * `q` may be a `bigint` of any magnitude; the output is identical to formatting the same quantity
+ * as a `number`. Throws if `q` is a `number` that is not a safe integer.
+ *
+ * @param {number | bigint} q Absolute temperature in smidge (safe integer or `bigint`).
  * @param {number} unit Output unit (from `Unit`).
  * @param {TemperatureFormat} [format] Formatting options.
  * @returns {{ text: string, exact: boolean }}
  */
 export function formatDim(q, unit, format) {
-  assertSafeInt(q);
+  return formatTemperature(q, unit, format, false);
+}
+
+/**
+ * Format a temperature interval `q` (a signed difference in smidge, e.g. from `parseDelta`) as
+ * `unit`.
+ *
+ * No origin is applied, so 5 K formats as `5\u00b0C` or `9\u00b0F`. To tell intervals apart from
+ * temperatures, units with an origin are marked with U+0394 GREEK CAPITAL LETTER DELTA
+ * (`5\u0394\u00b0C`), or with a following `diff` in ASCII output (`5C diff`); absolute units like
+ * `K` are not marked. The output is accepted by `parseDelta`.
+ *
+ * Gas marks are an ordinal scale with no intervals, so `Unit.GasMark` throws a `RangeError`.
+ *
+ * @param {number | bigint} q Temperature interval in smidge (safe integer or `bigint`).
+ * @param {number} unit Output unit (from `Unit`).
+ * @param {TemperatureFormat} [format] Formatting options.
+ * @returns {{ text: string, exact: boolean }}
+ */
+export function formatDelta(q, unit, format) {
+  if (unit === Unit.GasMark) throw new RangeError("gas marks have no intervals");
+  return formatTemperature(q, unit, format, true);
+}
+
+// Exact degrees in smidge of units which are not whole numbers of smidge, as `[numerator,
+// denominator, origin]`, where `origin / denominator` is the absolute temperature of their zero.
+const RATIO_SCALES = new Map([
+  [Unit.Romer, [1_200_000n, 7n, 163_084_500n]],
+  [Unit.Newton, [3_000_000n, 11n, 270_418_500n]],
+]);
+
+// Format `q` in a unit which is not a whole number of smidge as degrees rounded to the nearest
+// digit shown; returns the sign, whole and fraction text and whether they are exact.
+function formatRatio(q, unit, interval, maxDecimalFractionDigits, thousandsSeparator) {
+  const [num, den, origin] = RATIO_SCALES.get(unit);
+  const places = Math.min(maxDecimalDigits(unit), maxDecimalFractionDigits ?? Infinity);
+  const p = 10n ** BigInt(places);
+  const x = (BigInt(q) * den - (interval ? 0n : origin)) * p;
+  const abs = x < 0n ? -x : x;
+  const rem = abs % num;
+  const r = abs / num + (2n * rem >= num ? 1n : 0n);
+
+  const fracDigits = String(r % p).padStart(places, "0").replace(/0+$/u, "");
+  return {
+    negative: x < 0n && r !== 0n,
+    whole: formatWhole(normalizeQuantity(r / p), thousandsSeparator),
+    frac: fracDigits.length > 0 ? "." + fracDigits : "",
+    exact: rem === 0n,
+  };
+}
+
+// Format `q` as the nearest gas mark: mark \u00bc or \u00bd below 262.5 \u00b0F, and a whole mark from 1 up
+// otherwise, with ties going to the higher mark.
+function formatGasMark(q, ascii, thousandsSeparator) {
+  const t = BigInt(q) - BigInt(originOffset(Unit.GasMark));
+  const step = BigInt(scale(Unit.GasMark));
+  let mark;
+  let exact;
+  if (2n * t >= step) {
+    mark = formatWhole(normalizeQuantity((2n * t + step) / (2n * step)), thousandsSeparator);
+    exact = t % step === 0n;
+  } else if (2n * t >= -step) {
+    mark = ascii ? "1/2" : "\u00bd";
+    exact = t === 0n;
+  } else {
+    mark = ascii ? "1/4" : "\u00bc";
+    exact = t === -step;
+  }
+  return { text: `Gas Mark ${mark}`, exact };
+}
+
+function formatTemperature(q, unit, format, interval) {
+  q = normalizeQuantity(q);
   const maxDecimalFractionDigits = format?.maxDecimalFractionDigits ?? null;
   const thousandsSeparator = format?.thousandsSeparator ?? null;
   const outputDeviceMode = format?.outputDeviceMode ?? OutputDeviceMode.Complex;
   const ascii = outputDeviceMode == "ascii";
+  const marked = interval && originOffset(unit) !== 0;
+  if (unit === Unit.GasMark) return formatGasMark(q, ascii, thousandsSeparator);
 
-  const origin = originOffset(unit);
-  const delta = q - origin;
-  const negative = delta < 0;
-  const mag = negative ? -delta : delta;
+  let negative;
+  let whole;
+  let frac;
+  let exact;
+  if (RATIO_SCALES.has(unit)) {
+    ({ negative, whole, frac, exact } = formatRatio(q, unit, interval, maxDecimalFractionDigits, thousandsSeparator));
+  } else {
+    // Degrees of a scale which counts down (Delisle) are negated.
+    const origin = interval ? 0 : originOffset(unit);
+    const down = scale(unit) < 0;
+    const delta = typeof q === "bigint" ? normalizeQuantity(q - BigInt(origin)) : q - origin;
+    negative = down ? delta > 0 : delta < 0;
+    const mag = delta < 0 ? -delta : delta;
 
-  const unitScale = scale(unit);
-  const quo = Math.trunc(mag / unitScale);
-  const rem = mag % unitScale;
+    const unitScale = Math.abs(scale(unit));
+    const quo = truncDiv(mag, unitScale);
+    const rem = truncRem(mag, unitScale);
 
-  let whole = quo === 0 && rem === 0 ? "0" : (quo !== 0 ? formatWhole(quo, thousandsSeparator) : "");
-  const frac = formatDecimalFracForUnit(rem, unit, maxDecimalFractionDigits);
-  const exact = frac.remainder === 0;
-  if (whole.length === 0 && frac.text.startsWith(".")) whole = "0";
-  if (whole.length === 0 && frac.text.length === 0) whole = "0";
+    whole = quo === 0 && rem === 0 ? "0" : (quo !== 0 ? formatWhole(quo, thousandsSeparator) : "");
+    const decimal = formatDecimalFracForUnit(rem, unit, maxDecimalFractionDigits);
+    frac = decimal.text;
+    exact = decimal.remainder === 0;
+    if (whole.length === 0 && frac.startsWith(".")) whole = "0";
+    if (whole.length === 0 && frac.length === 0) whole = "0";
+  }
 
   const text = ascii
-    ? `${negative ? "-" : ""}${whole}${frac.text}${asciiAbbr(unit)}`
-    : `${negative ? "\u2212" : ""}${whole}${frac.text}${abbr(unit)}`;
+    ? `${negative ? "-" : ""}${whole}${frac}${asciiAbbr(unit)}${marked ? " diff" : ""}`
+    : `${negative ? "\u2212" : ""}${whole}${frac}${marked ? "\u0394" : ""}${abbr(unit)}`;
   return { text, exact };
 }
+
+/**
+ * A temperature formatter for the units of a registry; see `createFormatter`.
+ *
+ * @typedef {object} TemperatureFormatter
+ * @property {typeof formatDim} formatDim
+ * @property {typeof formatDelta} formatDelta
+ */
+
+/**
+ * Create a formatter which formats the user-defined units of `registry` (from `createRegistry` in
+ * `joto/parse/temperature`) as well as the built-in units.
+ *
+ * @param {import("../parse/temperature.js").TemperatureRegistry} registry
+ * @returns {TemperatureFormatter}
+ */
+export function createFormatter(registry) {
+  const table = registryTable(registry, "temperature");
+  return {
+    formatDim: (q, unit, format) => withUnits(table, formatDim, q, unit, format),
+    formatDelta: (q, unit, format) => withUnits(table, formatDelta, q, unit, format),
+  };
+}
@@ -4,12 +4,15 @@
  * - `parse/length`: parse dimension strings into *iota* (1⁄9 nm).
  * - `parse/mass`: parse mass strings into *whit* (1⁄3200 µg).
  * - `parse/temperature`: parse temperature strings into *smidge* (1⁄90 mK).
+ * - `parse/scan`: find quantities of every domain in free text.
  *
- * Parsers return native `number` safe integers (±2^53). For ergonomic JavaScript error reporting,
- * diagnostic parse errors use UTF-16 string indices (code unit indices) rather than byte offsets.
+ * Parsers return native `number` safe integers (±2^53), or `bigint` from the `…Big` variants. For
+ * ergonomic JavaScript error reporting, diagnostic parse errors use UTF-16 string indices (code
+ * unit indices) rather than byte offsets.
  *
  * @module joto/parse
  */
 export * as length from "./length.js";
 export * as mass from "./mass.js";
 export * as temperature from "./temperature.js";
+export * as scan from "./scan.js";
@@ -42,12 +42,36 @@
 
 import * as c from "../constants/length.js";
 import {
-  isGroupSeparatorCharCode,
+  asciiWordStartIndex,
+  endsWithCharCode,
+  followsStrayMark,
+  isGroupMarkCharCode,
+  isJotoWhitespaceCharCode,
+  scaleByPowerOfTen,
   stripTrailingAsciiDigits,
   trimEndJotoWhitespace,
   trimEndJotoWhitespaceIndex,
+  takeUnicodeFraction,
+  takeDecimalMantissa,
+  takeExponentNotation,
   trimTrailingAsciiZeroes,
 } from "../_internal/parse-helpers.js";
+import { decimalMarkCharCode, groupMarks, localeParseOptions, roundingMode } from "../_internal/parse-options.js";
+import { residual, roundMagnitude, roundingState, splitDecimalFraction } from "../_internal/rounding.js";
+import { scanMatches } from "../_internal/scan.js";
+import { parseExprWith } from "../_internal/expr.js";
+import { parseToleranceWith } from "../_internal/tolerance.js";
+import {
+  addUnit,
+  registerTable,
+  stripUserUnitAt,
+  unitTable,
+  userInferior,
+  userUnit,
+  withUnits,
+} from "../_internal/units.js";
+
+export { localeParseOptions };
 
 /**
  * A parse result used by the diagnostic parsing APIs.
@@ -57,10 +81,34 @@ import {
  * @typedef {{ ok: true, value: T } | { ok: false, error: E }} Result
  */
 
+/**
+ * Number mark options for parsing; see `localeParseOptions`.
+ *
+ * @typedef {import("../_internal/parse-options.js").ParseOptions} ParseOptions
+ */
+
+/**
+ * The residual of a rounded quantity; see `parseDimRoundedDiagnostic`.
+ *
+ * @typedef {import("../_internal/rounding.js").Residual} Residual
+ */
+
+/**
+ * A toleranced quantity; see `parseToleranceDiagnostic`.
+ *
+ * @typedef {import("../_internal/tolerance.js").Tolerance} Tolerance
+ */
+
+/**
+ * The value of an expression; see `parseExprDiagnostic`.
+ *
+ * @typedef {import("../_internal/expr.js").ExprValue} ExprValue
+ */
+
 /**
  * Parse error codes for length parsing.
  *
- * @typedef {"Empty"|"NoUnit"|"EmptyQuantity"|"TooBig"|"TooPrecise"|"BadDenominator"|"BadNumerator"|"InvalidCompound"} LengthParseErrorCode
+ * @typedef {"Empty"|"NoUnit"|"EmptyQuantity"|"TooBig"|"TooPrecise"|"BadDenominator"|"BadNumerator"|"InvalidCompound"|"InvalidSign"|"StrayMark"} LengthParseErrorCode
  */
 
 /**
@@ -69,6 +117,10 @@ import {
  * The `index` field is a UTF-16 code unit index (like `String.prototype.slice`) into the trimmed
  * input string.
  *
+ * An `InvalidCompound` error names the unit `found` out of order in a compound, the unit of the
+ * part after it (`inferior`), and, unless `inferior` is the largest unit of its chain, the next
+ * larger unit which was `expected` (e.g. `Foot` for `2m 3in`).
+ *
  * @typedef {{
  *   code: LengthParseErrorCode,
  *   index: number,
@@ -79,6 +131,23 @@ import {
  * }} LengthParseError
  */
 
+/**
+ * A length tolerance parse error, which also names the failing `part` of the notation.
+ *
+ * @typedef {Omit<LengthParseError, "code"> & {
+ *   code: LengthParseErrorCode | import("../_internal/tolerance.js").ToleranceErrorCode,
+ *   part: import("../_internal/tolerance.js").TolerancePart
+ * }} LengthToleranceParseError
+ */
+
+/**
+ * A length expression parse error.
+ *
+ * @typedef {Omit<LengthParseError, "code"> & {
+ *   code: LengthParseErrorCode | import("../_internal/expr.js").ExprErrorCode
+ * }} LengthExprParseError
+ */
+
 /**
  * Unit type for parsing.
  *
@@ -100,6 +169,32 @@ import {
  * @property {number} Decimeter Decimeter.
  * @property {number} Meter Meter.
  * @property {number} Q Q — quarter-millimeter; a typesetting unit primarily used in Japan (250 µm).
+ * @property {number} Pixel CSS pixel — exactly 1⁄96 of an inch.
+ * @property {number} Twip Twip — exactly 1⁄20 of a point, as used by RTF and DOCX.
+ * @property {number} TexPoint TeX point — 1⁄72.27 of an inch, to the nearest iota.
+ * @property {number} DidotPoint Didot point — 1238⁄1157 of a TeX point, to the nearest iota.
+ * @property {number} Cicero Cicero — 12 Didot points, to the nearest iota.
+ * @property {number} Kilometer Kilometer.
+ * @property {number} Mile Mile — exactly 1760 yards or 8 furlongs.
+ * @property {number} NauticalMile International nautical mile — exactly 1852 meters.
+ * @property {number} Chain Gunter's chain — exactly 22 yards or 4 rods.
+ * @property {number} Furlong Furlong — exactly 220 yards or 10 chains.
+ * @property {number} Fathom Fathom — exactly 2 yards.
+ * @property {number} Rod Rod — exactly 5 1⁄2 yards.
+ * @property {number} Hand Hand — exactly 4 inches.
+ * @property {number} Mil Mil (a.k.a. thou) — exactly 1⁄1000 of an inch.
+ * @property {number} Microinch Microinch — 1⁄1000000 of an inch, to the nearest iota.
+ * @property {number} SurveyFoot US survey foot — 1200⁄3937 of a meter, to the nearest iota.
+ * @property {number} SurveyMile US survey mile — 5280 US survey feet, to the nearest iota.
+ * @property {number} Link Gunter's link — 0.66 US survey feet, to the nearest iota.
+ *
+ * The big point (`bp`) is the desktop publishing point, and parses as `Point`.
+ *
+ * The TeX point, Didot point, cicero, microinch and the US survey units are not whole numbers of
+ * iota, so they are approximate units: quantities in them are parsed exactly and then rounded to
+ * the nearest iota (ties to even, unless `rounding` says otherwise), and
+ * `parseDimRoundedDiagnostic` reports the residual. They are never formatted as exact, except
+ * microinches: multiples of 5 µin are whole numbers of iota.
  */
 export const Unit = Object.freeze({
   Iota: c.IOTA,
@@ -115,6 +210,24 @@ export const Unit = Object.freeze({
   Decimeter: c.DECIMETER,
   Meter: c.METER,
   Q: c.QUARTER_MILLIMETER,
+  Pixel: c.PIXEL,
+  Twip: c.TWIP,
+  TexPoint: c.TEX_POINT,
+  DidotPoint: c.DIDOT_POINT,
+  Cicero: c.CICERO,
+  Kilometer: c.KILOMETER,
+  Mile: c.MILE,
+  NauticalMile: c.NAUTICAL_MILE,
+  Chain: c.CHAIN,
+  Furlong: c.FURLONG,
+  Fathom: c.FATHOM,
+  Rod: c.ROD,
+  Hand: c.HAND,
+  Mil: c.THOU,
+  Microinch: c.MICROINCH,
+  SurveyFoot: c.SURVEY_FOOT,
+  SurveyMile: c.SURVEY_MILE,
+  Link: c.LINK,
 });
 
 function isAsciiDigitCharCode(c) {
@@ -157,8 +270,44 @@ export function abbr(unit) {
       return "m";
     case Unit.Q:
       return "Q";
+    case Unit.Pixel:
+      return "px";
+    case Unit.Twip:
+      return "twip";
+    case Unit.TexPoint:
+      return "tpt";
+    case Unit.DidotPoint:
+      return "dd";
+    case Unit.Cicero:
+      return "cc";
+    case Unit.Kilometer:
+      return "km";
+    case Unit.Mile:
+      return "mi";
+    case Unit.NauticalMile:
+      return "NM";
+    case Unit.Chain:
+      return "ch";
+    case Unit.Furlong:
+      return "fur";
+    case Unit.Fathom:
+      return "ftm";
+    case Unit.Rod:
+      return "rd";
+    case Unit.Hand:
+      return "hh";
+    case Unit.Mil:
+      return "mil";
+    case Unit.Microinch:
+      return "\u00b5in"; // µin
+    case Unit.SurveyFoot:
+      return "ftUS";
+    case Unit.SurveyMile:
+      return "miUS";
+    case Unit.Link:
+      return "li";
     default:
-      return "";
+      return userUnit("length", unit)?.symbol ?? "";
   }
 }
 
@@ -196,8 +345,44 @@ export function asciiAbbr(unit) {
       return "m";
     case Unit.Q:
       return "Q";
+    case Unit.Pixel:
+      return "px";
+    case Unit.Twip:
+      return "twip";
+    case Unit.TexPoint:
+      return "tpt";
+    case Unit.DidotPoint:
+      return "dd";
+    case Unit.Cicero:
+      return "cc";
+    case Unit.Kilometer:
+      return "km";
+    case Unit.Mile:
+      return "mi";
+    case Unit.NauticalMile:
+      return "NM";
+    case Unit.Chain:
+      return "ch";
+    case Unit.Furlong:
+      return "fur";
+    case Unit.Fathom:
+      return "ftm";
+    case Unit.Rod:
+      return "rd";
+    case Unit.Hand:
+      return "hh";
+    case Unit.Mil:
+      return "mil";
+    case Unit.Microinch:
+      return "uin";
+    case Unit.SurveyFoot:
+      return "ftUS";
+    case Unit.SurveyMile:
+      return "miUS";
+    case Unit.Link:
+      return "li";
     default:
-      return "";
+      return userUnit("length", unit)?.asciiSymbol ?? "";
   }
 }
 
@@ -229,8 +414,44 @@ function unitName(u) {
       return "Meter";
     case Unit.Q:
       return "Q";
+    case Unit.Pixel:
+      return "Pixel";
+    case Unit.Twip:
+      return "Twip";
+    case Unit.TexPoint:
+      return "TexPoint";
+    case Unit.DidotPoint:
+      return "DidotPoint";
+    case Unit.Cicero:
+      return "Cicero";
+    case Unit.Kilometer:
+      return "Kilometer";
+    case Unit.Mile:
+      return "Mile";
+    case Unit.NauticalMile:
+      return "NauticalMile";
+    case Unit.Chain:
+      return "Chain";
+    case Unit.Furlong:
+      return "Furlong";
+    case Unit.Fathom:
+      return "Fathom";
+    case Unit.Rod:
+      return "Rod";
+    case Unit.Hand:
+      return "Hand";
+    case Unit.Mil:
+      return "Mil";
+    case Unit.Microinch:
+      return "Microinch";
+    case Unit.SurveyFoot:
+      return "SurveyFoot";
+    case Unit.SurveyMile:
+      return "SurveyMile";
+    case Unit.Link:
+      return "Link";
     default:
-      return "Unknown";
+      return userUnit("length", u)?.name ?? "Unknown";
   }
 }
 
@@ -240,8 +461,21 @@ function maxDecimalDigits(u) {
     case Unit.Pica:
     case Unit.Yard:
     case Unit.Foot:
+    case Unit.Chain:
+    case Unit.Fathom:
+    case Unit.Rod:
+    case Unit.Hand:
+    case Unit.SurveyFoot:
+    case Unit.Link:
       return 5;
+    case Unit.Mile:
+    case Unit.Furlong:
+    case Unit.SurveyMile:
+      return 6;
+    case Unit.Kilometer:
+      return 12;
     case Unit.Meter:
+    case Unit.NauticalMile:
       return 9;
     case Unit.Decimeter:
       return 8;
@@ -250,30 +484,265 @@ function maxDecimalDigits(u) {
     case Unit.Millimeter:
       return 6;
     case Unit.Q:
+    case Unit.Cicero:
       return 4;
     case Unit.Micrometer:
     case Unit.Point:
+    case Unit.TexPoint:
+    case Unit.DidotPoint:
       return 3;
-    default:
+    case Unit.Pixel:
+    case Unit.Twip:
+      return 1;
+    case Unit.Mil:
+      return 2;
+    case Unit.Microinch:
       return 0;
+    default:
+      return userUnit("length", u)?.maxDecimalDigits ?? 0;
   }
 }
 
+// The size of `u` in iota: the value of a built-in unit, or the scale of a user-defined unit.
+function unitScale(u) {
+  return userUnit("length", u)?.scale ?? u;
+}
+
 function leastSignificantDigitValue(u) {
   const digits = maxDecimalDigits(u);
-  if (digits === 0) return u;
-  return Math.trunc(u / 10 ** digits);
+  if (digits === 0) return unitScale(u);
+  return Math.trunc(unitScale(u) / 10 ** digits);
 }
 
+// Compounds (e.g. `2yd 1ft 4in`, `3 m 4 cm 5 mm`) name units of one chain in strictly decreasing
+// order; a unit's superior is the next larger unit of its chain.
 function superior(u) {
-  return u === Unit.Inch ? Unit.Foot : null;
+  switch (u) {
+    case Unit.Inch:
+      return Unit.Foot;
+    case Unit.Foot:
+      return Unit.Yard;
+    case Unit.Yard:
+      return Unit.Rod;
+    case Unit.Rod:
+      return Unit.Chain;
+    case Unit.Chain:
+      return Unit.Furlong;
+    case Unit.Furlong:
+      return Unit.Mile;
+    case Unit.Point:
+      return Unit.Pica;
+    case Unit.DidotPoint:
+      return Unit.Cicero;
+    case Unit.Nanometer:
+      return Unit.Micrometer;
+    case Unit.Micrometer:
+      return Unit.Millimeter;
+    case Unit.Millimeter:
+      return Unit.Centimeter;
+    case Unit.Centimeter:
+      return Unit.Decimeter;
+    case Unit.Decimeter:
+      return Unit.Meter;
+    case Unit.Meter:
+      return Unit.Kilometer;
+    default:
+      return userUnit("length", u)?.superior ?? null;
+  }
 }
 
 function inferior(u) {
-  return u === Unit.Foot ? Unit.Inch : null;
+  switch (u) {
+    case Unit.Foot:
+      return Unit.Inch;
+    case Unit.Yard:
+      return Unit.Foot;
+    case Unit.Rod:
+      return Unit.Yard;
+    case Unit.Chain:
+      return Unit.Rod;
+    case Unit.Furlong:
+      return Unit.Chain;
+    case Unit.Mile:
+      return Unit.Furlong;
+    case Unit.Pica:
+      return Unit.Point;
+    case Unit.Cicero:
+      return Unit.DidotPoint;
+    case Unit.Micrometer:
+      return Unit.Nanometer;
+    case Unit.Millimeter:
+      return Unit.Micrometer;
+    case Unit.Centimeter:
+      return Unit.Millimeter;
+    case Unit.Decimeter:
+      return Unit.Centimeter;
+    case Unit.Meter:
+      return Unit.Decimeter;
+    case Unit.Kilometer:
+      return Unit.Meter;
+    default:
+      return userInferior("length", u);
+  }
 }
 
-function stripUnitAt(s, end, out) {
+// Whether a part in `sup` may precede a part in `unit` in a compound. Parts may skip units of the
+// chain (e.g. `1m 5mm`), but a hyphen only separates feet and inches. Hands are followed by
+// inches, outside the chain (e.g. `15 hands 2 in`).
+function isCompoundSuperior(sup, unit, hyphenated) {
+  if (hyphenated) return sup === Unit.Foot && unit === Unit.Inch;
+  if (sup === Unit.Hand) return unit === Unit.Inch;
+  for (let u = superior(unit); u != null; u = superior(u)) {
+    if (u === sup) return true;
+  }
+  return false;
+}
+
+function isCompoundSeparatorCharCode(c) {
+  return c === 0x2d /* - */ || c === 0x2011 /* ‑ */ || c === 0x2013 /* – */;
+}
+
+function endsWithAsciiDigit(s) {
+  return s.length > 0 && isAsciiDigitCharCode(s.charCodeAt(s.length - 1));
+}
+
+// Architectural notation separates the parts of a compound with a hyphen directly after the
+// superior unit (e.g. `5'-6 1/2"`); returns the end of the superior part.
+function compoundSeparatorEnd(s, end) {
+  if (end > 0 && isCompoundSeparatorCharCode(s.charCodeAt(end - 1)) && stripUnitAt(s, end - 1, _stripScratch)) {
+    return end - 1;
+  }
+  return end;
+}
+
+function stripName(s, end, name, unit, out) {
+  const start = asciiWordStartIndex(s, end, name);
+  if (start < 0) return false;
+  return ((out.restEnd = start), (out.unit = unit), true);
+}
+
+// Spelled-out unit names (singular and plural, ASCII case-insensitive), by their last letter.
+function stripUnitNameAt(s, end, out) {
+  if (end === 0) return false;
+  switch (s.charCodeAt(end - 1) | 0x20) {
+    case 0x61 /* a */:
+      return stripName(s, end, "pica", Unit.Pica, out) || stripName(s, end, "iota", Unit.Iota, out);
+    case 0x64 /* d */:
+      return (
+        stripName(s, end, "yard", Unit.Yard, out) ||
+        stripName(s, end, "rod", Unit.Rod, out) ||
+        stripName(s, end, "hand", Unit.Hand, out)
+      );
+    case 0x65 /* e */:
+      return (
+        stripName(s, end, "nanometre", Unit.Nanometer, out) ||
+        stripName(s, end, "micrometre", Unit.Micrometer, out) ||
+        stripName(s, end, "millimetre", Unit.Millimeter, out) ||
+        stripName(s, end, "centimetre", Unit.Centimeter, out) ||
+        stripName(s, end, "decimetre", Unit.Decimeter, out) ||
+        stripName(s, end, "metre", Unit.Meter, out) ||
+        stripName(s, end, "kilometre", Unit.Kilometer, out) ||
+        stripName(s, end, "mile", Unit.Mile, out)
+      );
+    case 0x67 /* g */:
+      return stripName(s, end, "furlong", Unit.Furlong, out);
+    case 0x68 /* h */:
+      return stripName(s, end, "inch", Unit.Inch, out) || stripName(s, end, "microinch", Unit.Microinch, out);
+    case 0x6b /* k */:
+      return stripName(s, end, "link", Unit.Link, out);
+    case 0x6c /* l */:
+      return stripName(s, end, "pixel", Unit.Pixel, out) || stripName(s, end, "mil", Unit.Mil, out);
+    case 0x6d /* m */:
+      return stripName(s, end, "fathom", Unit.Fathom, out);
+    case 0x6e /* n */:
+      return stripName(s, end, "micron", Unit.Micrometer, out) || stripName(s, end, "chain", Unit.Chain, out);
+    case 0x6f /* o */:
+      return stripName(s, end, "cicero", Unit.Cicero, out);
+    case 0x70 /* p */:
+      return stripName(s, end, "twip", Unit.Twip, out);
+    case 0x72 /* r */:
+      return (
+        stripName(s, end, "nanometer", Unit.Nanometer, out) ||
+        stripName(s, end, "micrometer", Unit.Micrometer, out) ||
+        stripName(s, end, "millimeter", Unit.Millimeter, out) ||
+        stripName(s, end, "centimeter", Unit.Centimeter, out) ||
+        stripName(s, end, "decimeter", Unit.Decimeter, out) ||
+        stripName(s, end, "meter", Unit.Meter, out) ||
+        stripName(s, end, "kilometer", Unit.Kilometer, out)
+      );
+    case 0x73 /* s */:
+      return (
+        stripName(s, end, "inches", Unit.Inch, out) ||
+        stripName(s, end, "ins", Unit.Inch, out) ||
+        stripName(s, end, "yards", Unit.Yard, out) ||
+        stripName(s, end, "yds", Unit.Yard, out) ||
+        stripName(s, end, "points", Unit.Point, out) ||
+        stripName(s, end, "pts", Unit.Point, out) ||
+        stripName(s, end, "picas", Unit.Pica, out) ||
+        stripName(s, end, "iotas", Unit.Iota, out) ||
+        stripName(s, end, "nanometers", Unit.Nanometer, out) ||
+        stripName(s, end, "nanometres", Unit.Nanometer, out) ||
+        stripName(s, end, "micrometers", Unit.Micrometer, out) ||
+        stripName(s, end, "micrometres", Unit.Micrometer, out) ||
+        stripName(s, end, "microns", Unit.Micrometer, out) ||
+        stripName(s, end, "millimeters", Unit.Millimeter, out) ||
+        stripName(s, end, "millimetres", Unit.Millimeter, out) ||
+        stripName(s, end, "centimeters", Unit.Centimeter, out) ||
+        stripName(s, end, "centimetres", Unit.Centimeter, out) ||
+        stripName(s, end, "decimeters", Unit.Decimeter, out) ||
+        stripName(s, end, "decimetres", Unit.Decimeter, out) ||
+        stripName(s, end, "meters", Unit.Meter, out) ||
+        stripName(s, end, "metres", Unit.Meter, out) ||
+        stripName(s, end, "pixels", Unit.Pixel, out) ||
+        stripName(s, end, "twips", Unit.Twip, out) ||
+        stripName(s, end, "ciceros", Unit.Cicero, out) ||
+        stripName(s, end, "kilometers", Unit.Kilometer, out) ||
+        stripName(s, end, "kilometres", Unit.Kilometer, out) ||
+        stripName(s, end, "miles", Unit.Mile, out) ||
+        stripName(s, end, "chains", Unit.Chain, out) ||
+        stripName(s, end, "furlongs", Unit.Furlong, out) ||
+        stripName(s, end, "fathoms", Unit.Fathom, out) ||
+        stripName(s, end, "rods", Unit.Rod, out) ||
+        stripName(s, end, "hands", Unit.Hand, out) ||
+        stripName(s, end, "mils", Unit.Mil, out) ||
+        stripName(s, end, "microinches", Unit.Microinch, out) ||
+        stripName(s, end, "links", Unit.Link, out)
+      );
+    case 0x74 /* t */:
+      return (
+        stripName(s, end, "foot", Unit.Foot, out) ||
+        stripName(s, end, "feet", Unit.Foot, out) ||
+        stripName(s, end, "point", Unit.Point, out)
+      );
+    case 0x75 /* u */:
+      return stripName(s, end, "thou", Unit.Mil, out);
+    default:
+      return false;
+  }
+}
+
+// Make a foot or mile preceded by the word `survey` (or `US survey`, e.g. `3 US survey feet`) a
+// US survey foot or mile.
+function stripSurveyAt(s, out) {
+  if (out.unit !== Unit.Foot && out.unit !== Unit.Mile) return;
+  const end = trimEndJotoWhitespaceIndex(s, out.restEnd);
+  if (end === out.restEnd) return;
+  const start = asciiWordStartIndex(s, end, "survey");
+  if (start < 0) return;
+  const usEnd = trimEndJotoWhitespaceIndex(s, start);
+  const usStart = usEnd < start ? asciiWordStartIndex(s, usEnd, "us") : -1;
+  out.restEnd = usStart < 0 ? start : usStart;
+  out.unit = out.unit === Unit.Foot ? Unit.SurveyFoot : Unit.SurveyMile;
+}
+
+function stripBuiltinUnitAt(s, end, out) {
+  if (stripUnitNameAt(s, end, out)) return (stripSurveyAt(s, out), true);
+
+  // Microinch.
+  if (s.endsWith("uin", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Microinch), true);
+  if (s.endsWith("\u00b5in", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Microinch), true); // µin
+  if (s.endsWith("\u03bcin", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Microinch), true); // μin
+
   // Inch.
   if (s.endsWith('"', end)) return ((out.restEnd = end - 1), (out.unit = Unit.Inch), true);
   if (s.endsWith("in", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Inch), true);
@@ -284,7 +753,20 @@ function stripUnitAt(s, end, out) {
   if (s.endsWith("ft", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Foot), true);
   if (s.endsWith("\u2032", end)) return ((out.restEnd = end - 1), (out.unit = Unit.Foot), true); // ′
 
+  if (s.endsWith("ftUS", end)) return ((out.restEnd = end - 4), (out.unit = Unit.SurveyFoot), true);
+  if (s.endsWith("miUS", end)) return ((out.restEnd = end - 4), (out.unit = Unit.SurveyMile), true);
+  if (s.endsWith("li", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Link), true);
+  if (s.endsWith("lk", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Link), true);
+
   if (s.endsWith("yd", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Yard), true);
+  if (s.endsWith("ftm", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Fathom), true);
+  if (s.endsWith("rd", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Rod), true);
+  if (s.endsWith("ch", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Chain), true);
+  if (s.endsWith("fur", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Furlong), true);
+  if (s.endsWith("nmi", end)) return ((out.restEnd = end - 3), (out.unit = Unit.NauticalMile), true);
+  if (s.endsWith("NM", end)) return ((out.restEnd = end - 2), (out.unit = Unit.NauticalMile), true);
+  if (s.endsWith("mi", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Mile), true);
+  if (s.endsWith("hh", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Hand), true);
 
   if (s.endsWith("nm", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Nanometer), true);
 
@@ -292,6 +774,7 @@ function stripUnitAt(s, end, out) {
   if (s.endsWith("\u00b5m", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Micrometer), true); // µm
   if (s.endsWith("\u03bcm", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Micrometer), true); // μm
 
+  if (s.endsWith("km", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Kilometer), true);
   if (s.endsWith("mm", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Millimeter), true);
   if (s.endsWith("cm", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Centimeter), true);
   if (s.endsWith("dm", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Decimeter), true);
@@ -299,16 +782,33 @@ function stripUnitAt(s, end, out) {
 
   if (s.endsWith("Q", end)) return ((out.restEnd = end - 1), (out.unit = Unit.Q), true);
 
+  if (s.endsWith("tpt", end)) return ((out.restEnd = end - 3), (out.unit = Unit.TexPoint), true);
   if (s.endsWith("pt", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Point), true);
+  if (s.endsWith("bp", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Point), true);
   if (s.endsWith("pc", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Pica), true);
+  if (s.endsWith("px", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Pixel), true);
+  if (s.endsWith("dd", end)) return ((out.restEnd = end - 2), (out.unit = Unit.DidotPoint), true);
+  if (s.endsWith("cc", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Cicero), true);
 
   if (s.endsWith("io", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Iota), true);
 
   return false;
 }
 
+// Strip the longest unit symbol or name ending at `end`, including user-defined units in effect.
+function stripUnitAt(s, end, out) {
+  if (!stripUserUnitAt("length", s, end, out)) return stripBuiltinUnitAt(s, end, out);
+  const { restEnd, unit } = out;
+  if (!stripBuiltinUnitAt(s, end, out) || out.restEnd >= restEnd) {
+    out.restEnd = restEnd;
+    out.unit = unit;
+  }
+  return true;
+}
+
 /**
- * Detect a unit at the end of a length string, returning the remainder and the unit.
+ * Detect a unit (symbol or spelled-out name) at the end of a length string, returning the
+ * remainder and the unit.
  *
  * This does not trim whitespace; callers typically want to `trimEnd` first.
  *
@@ -340,9 +840,40 @@ function ok(value) {
   return { ok: true, value };
 }
 
-function takeDecimalFrac(unit, rest) {
+function stripSign(s) {
+  if (s.endsWith("+")) return { rest: s.slice(0, -1), sign: 1, has: true };
+  if (s.endsWith("-")) return { rest: s.slice(0, -1), sign: -1, has: true };
+  if (s.endsWith("\u2212")) return { rest: s.slice(0, -1), sign: -1, has: true };
+  return { rest: s, sign: 1, has: false };
+}
+
+// Whether text after `rest` starts a word, at the start of the string or after whitespace.
+function startsWord(rest) {
+  return rest.length === 0 || isJotoWhitespaceCharCode(rest.charCodeAt(rest.length - 1));
+}
+
+function finalize(unit, acc, rest, span, rnd) {
+  if (followsStrayMark(rest, rest.length)) return err("StrayMark", rest.length - 1, { unit });
+  const signInfo = stripSign(trimEndJotoWhitespace(rest));
+
+  // A sign applies to the whole quantity, so it cannot follow a compound part, and it starts a
+  // word: the dash of `3-5mm` is not a minus.
+  if (signInfo.has && (stripUnit(trimEndJotoWhitespace(signInfo.rest)) || !startsWord(signInfo.rest))) {
+    return err("InvalidSign", signInfo.rest.length, { unit });
+  }
+  if (span) span.start = signInfo.has ? signInfo.rest.length : rest.length;
+
+  const negative = signInfo.sign < 0;
+  if (rnd) {
+    acc = roundMagnitude(rnd, acc, negative);
+    if (typeof acc === "number" && acc > Number.MAX_SAFE_INTEGER) return err("TooBig", rest.length, { unit });
+  }
+  return ok(negative && acc !== 0 ? -acc : acc);
+}
+
+function takeDecimalFrac(unit, rest, dec, rnd) {
   const at = rest.length;
-  if (rest.endsWith(".")) {
+  if (endsWithCharCode(rest, dec)) {
     const r = rest.slice(0, -1);
     if (r.length > 0 && isAsciiDigitCharCode(r.charCodeAt(r.length - 1))) return ok({ rest: r, value: 0 });
     return err("EmptyQuantity", at, { unit });
@@ -353,7 +884,7 @@ function takeDecimalFrac(unit, rest) {
 
   const nonzeroDigits = trimTrailingAsciiZeroes(digits);
   const len = nonzeroDigits.length;
-  if (!dRest.endsWith(".")) return ok({ rest, value: 0 });
+  if (!endsWithCharCode(dRest, dec)) return ok({ rest, value: 0 });
 
   const r = dRest.slice(0, -1);
   if (len === 0) {
@@ -362,7 +893,10 @@ function takeDecimalFrac(unit, rest) {
   }
 
   const scale = maxDecimalDigits(unit);
-  if (len > scale) return err("TooPrecise", at, { unit });
+  if (len > scale) {
+    if (!rnd) return err("TooPrecise", at, { unit });
+    return ok({ rest: r, value: splitDecimalFraction(rnd, nonzeroDigits, unitScale(unit)) });
+  }
 
   const b = nonzeroDigits;
   let pv = leastSignificantDigitValue(unit);
@@ -410,9 +944,21 @@ function parseInchNum(s) {
   return null;
 }
 
-function takeInchFrac(rest) {
+function isInchDenominator(den) {
+  return den >= 2 && den <= 64 && (den & (den - 1)) === 0;
+}
+
+function takeInchFrac(rest, dec, rnd) {
   const at = rest.length;
   const unit = Unit.Inch;
+
+  const u = _fracScratch;
+  if (takeUnicodeFraction(rest, at, u)) {
+    if (!isInchDenominator(u.den)) return err("BadDenominator", at, { unit });
+    if (u.num < 1 || u.num >= u.den) return err("BadNumerator", u.numEnd, { unit });
+    return ok({ rest: trimEndJotoWhitespace(rest.slice(0, u.start)), value: (c.INCH / u.den) * u.num });
+  }
+
   const [dRest, denomDigits] = stripTrailingAsciiDigits(rest);
   if (denomDigits.length === 0) return err("EmptyQuantity", at, { unit });
 
@@ -432,14 +978,17 @@ function takeInchFrac(rest) {
     return ok({ rest: trimEndJotoWhitespace(numRest), value: denInfo.pv * num });
   }
 
-  if (dRest.endsWith(".")) {
+  if (endsWithCharCode(dRest, dec)) {
     const scale = maxDecimalDigits(unit);
     const r = dRest.slice(0, -1);
     const atR = r.length;
     const digits = trimTrailingAsciiZeroes(denomDigits);
     const len = digits.length;
     if (len === 0) return ok({ rest: r, value: 0 });
-    if (len > scale) return err("TooPrecise", atR, { unit });
+    if (len > scale) {
+      if (!rnd) return err("TooPrecise", atR, { unit });
+      return ok({ rest: r, value: splitDecimalFraction(rnd, digits, unit) });
+    }
 
     let pv = leastSignificantDigitValue(unit);
     let i = scale;
@@ -460,8 +1009,8 @@ function takeInchFrac(rest) {
   return ok({ rest, value: 0 });
 }
 
-function maxWholeDigitsForUnitScale(unitScale) {
-  const q = Math.trunc(Number.MAX_SAFE_INTEGER / unitScale);
+function maxWholeDigitsForUnitScale(scale) {
+  const q = Math.trunc(Number.MAX_SAFE_INTEGER / scale);
   if (q <= 0) return 0;
   return String(q).length;
 }
@@ -480,15 +1029,60 @@ const MAX_WHOLE_DIGITS_BY_UNIT_SCALE = new Map([
   [Unit.Decimeter, maxWholeDigitsForUnitScale(Unit.Decimeter)],
   [Unit.Meter, maxWholeDigitsForUnitScale(Unit.Meter)],
   [Unit.Q, maxWholeDigitsForUnitScale(Unit.Q)],
+  [Unit.Pixel, maxWholeDigitsForUnitScale(Unit.Pixel)],
+  [Unit.Twip, maxWholeDigitsForUnitScale(Unit.Twip)],
+  [Unit.TexPoint, maxWholeDigitsForUnitScale(Unit.TexPoint)],
+  [Unit.DidotPoint, maxWholeDigitsForUnitScale(Unit.DidotPoint)],
+  [Unit.Cicero, maxWholeDigitsForUnitScale(Unit.Cicero)],
+  [Unit.Kilometer, maxWholeDigitsForUnitScale(Unit.Kilometer)],
+  [Unit.Mile, maxWholeDigitsForUnitScale(Unit.Mile)],
+  [Unit.NauticalMile, maxWholeDigitsForUnitScale(Unit.NauticalMile)],
+  [Unit.Chain, maxWholeDigitsForUnitScale(Unit.Chain)],
+  [Unit.Furlong, maxWholeDigitsForUnitScale(Unit.Furlong)],
+  [Unit.Fathom, maxWholeDigitsForUnitScale(Unit.Fathom)],
+  [Unit.Rod, maxWholeDigitsForUnitScale(Unit.Rod)],
+  [Unit.Hand, maxWholeDigitsForUnitScale(Unit.Hand)],
+  [Unit.Mil, maxWholeDigitsForUnitScale(Unit.Mil)],
+  [Unit.SurveyFoot, maxWholeDigitsForUnitScale(Unit.SurveyFoot)],
+  [Unit.SurveyMile, maxWholeDigitsForUnitScale(Unit.SurveyMile)],
+  [Unit.Link, maxWholeDigitsForUnitScale(Unit.Link)],
+]);
+
+// Exact sizes in iota, as `[numerator, denominator]`, of units which are not whole numbers of iota.
+const RATIO_SCALES = new Map([
+  [Unit.TexPoint, [2_540_000_000n, 803n]],
+  [Unit.DidotPoint, [3_144_520_000_000n, 929_071n]],
+  [Unit.Cicero, [37_734_240_000_000n, 929_071n]],
+  [Unit.Microinch, [1_143n, 5n]],
+  [Unit.SurveyFoot, [10_800_000_000_000n, 3_937n]],
+  [Unit.SurveyMile, [57_024_000_000_000_000n, 3_937n]],
+  [Unit.Link, [7_128_000_000_000n, 3_937n]],
 ]);
 
-function parseWhole(unitScale, acc, s) {
+// Whether quantities in `u` are rounded to the nearest iota by default.
+function isApproximate(u) {
+  switch (u) {
+    case Unit.TexPoint:
+    case Unit.DidotPoint:
+    case Unit.Cicero:
+    case Unit.Microinch:
+    case Unit.SurveyFoot:
+    case Unit.SurveyMile:
+    case Unit.Link:
+      return true;
+    default:
+      return false;
+  }
+}
+
+function parseWhole(unit, acc, s, groups) {
   if (s.length === 0 || !isAsciiDigitCharCode(s.charCodeAt(s.length - 1))) {
-    return err("EmptyQuantity", s.length, { unit: unitScale });
+    return err("EmptyQuantity", s.length, { unit });
   }
 
-  const maxDigits = maxWholeDigitsForUnitScale(unitScale);
-  let pv = unitScale;
+  const scale = unitScale(unit);
+  const maxDigits = maxWholeDigitsForUnitScale(scale);
+  let pv = scale;
   let digitsSeen = 0;
   let i = s.length;
 
@@ -500,22 +1094,22 @@ function parseWhole(unitScale, acc, s) {
         if (digit !== 0) {
           const add = pv * digit;
           if (add > Number.MAX_SAFE_INTEGER - acc) {
-            return err("TooBig", i, { unit: unitScale });
+            return err("TooBig", i, { unit });
           }
           acc += add;
         }
         digitsSeen += 1;
         if (digitsSeen < maxDigits) {
-          if (pv > Math.trunc(Number.MAX_SAFE_INTEGER / 10)) return err("TooBig", i, { unit: unitScale });
+          if (pv > Math.trunc(Number.MAX_SAFE_INTEGER / 10)) return err("TooBig", i, { unit });
           pv *= 10;
         }
       } else if (digit !== 0) {
-        return err("TooBig", i, { unit: unitScale });
+        return err("TooBig", i, { unit });
       }
       i -= 1;
       continue;
     }
-    if (isGroupSeparatorCharCode(cCode)) {
+    if (isGroupMarkCharCode(cCode, groups)) {
       i -= 1;
       continue;
     }
@@ -525,11 +1119,40 @@ function parseWhole(unitScale, acc, s) {
   return ok({ rest: s.slice(0, i), value: acc });
 }
 
-function parseWholeFast(unitScale, acc, s, end, out) {
+function parseWholeBig(unit, acc, s, groups) {
+  if (s.length === 0 || !isAsciiDigitCharCode(s.charCodeAt(s.length - 1))) {
+    return err("EmptyQuantity", s.length, { unit });
+  }
+
+  let total = BigInt(acc);
+  let pv = BigInt(unitScale(unit));
+  let i = s.length;
+
+  while (i > 0) {
+    const cCode = s.charCodeAt(i - 1);
+    if (isAsciiDigitCharCode(cCode)) {
+      const digit = cCode & 0x0f;
+      if (digit !== 0) total += pv * BigInt(digit);
+      pv *= 10n;
+      i -= 1;
+      continue;
+    }
+    if (isGroupMarkCharCode(cCode, groups)) {
+      i -= 1;
+      continue;
+    }
+    break;
+  }
+
+  return ok({ rest: s.slice(0, i), value: total });
+}
+
+function parseWholeFast(unit, acc, s, end, out, groups) {
   if (end === 0 || !isAsciiDigitCharCode(s.charCodeAt(end - 1))) return 0;
 
-  const maxDigits = MAX_WHOLE_DIGITS_BY_UNIT_SCALE.get(unitScale) ?? 0;
-  let pv = unitScale;
+  const scale = unitScale(unit);
+  const maxDigits = MAX_WHOLE_DIGITS_BY_UNIT_SCALE.get(scale) ?? maxWholeDigitsForUnitScale(scale);
+  let pv = scale;
   let digitsSeen = 0;
   let i = end;
 
@@ -554,7 +1177,7 @@ function parseWholeFast(unitScale, acc, s, end, out) {
       i -= 1;
       continue;
     }
-    if (isGroupSeparatorCharCode(cCode)) {
+    if (isGroupMarkCharCode(cCode, groups)) {
       i -= 1;
       continue;
     }
@@ -566,9 +1189,9 @@ function parseWholeFast(unitScale, acc, s, end, out) {
   return 1;
 }
 
-function takeDecimalFracFast(unitScale, s, end, out) {
+function takeDecimalFracFast(unit, s, end, out, dec) {
   // Trailing '.' is accepted only if preceded by a digit.
-  if (end > 0 && s.charCodeAt(end - 1) === 0x2e /* . */) {
+  if (end > 0 && s.charCodeAt(end - 1) === dec) {
     const rEnd = end - 1;
     if (rEnd > 0 && isAsciiDigitCharCode(s.charCodeAt(rEnd - 1))) {
       out.restEnd = rEnd;
@@ -590,7 +1213,7 @@ function takeDecimalFracFast(unitScale, s, end, out) {
   }
 
   // No '.' before digits: no fraction.
-  if (digitsStart === 0 || s.charCodeAt(digitsStart - 1) !== 0x2e /* . */) {
+  if (digitsStart === 0 || s.charCodeAt(digitsStart - 1) !== dec) {
     out.restEnd = end;
     out.value = 0;
     return true;
@@ -608,10 +1231,10 @@ function takeDecimalFracFast(unitScale, s, end, out) {
     return true;
   }
 
-  const scale = maxDecimalDigits(unitScale);
+  const scale = maxDecimalDigits(unit);
   if (len > scale) return false;
 
-  const lsd = leastSignificantDigitValue(unitScale);
+  const lsd = leastSignificantDigitValue(unit);
   let pv = lsd;
   let i = scale;
   while (i > len) {
@@ -669,7 +1292,16 @@ function parseInchNumFast(s, start, end) {
   return null;
 }
 
-function takeInchFracFast(s, end, out) {
+function takeInchFracFast(s, end, out, dec) {
+  // Unicode fraction form: ... ('⅝' | <superscript num> ('/' | '⁄') <subscript den>)
+  const u = _fracScratch;
+  if (takeUnicodeFraction(s, end, u)) {
+    if (!isInchDenominator(u.den) || u.num < 1 || u.num >= u.den) return false;
+    out.restEnd = trimEndJotoWhitespaceIndex(s, u.start);
+    out.value = (c.INCH / u.den) * u.num;
+    return true;
+  }
+
   // Strip trailing digits to get possible denominator digits.
   const denomEnd = end;
   let denomStart = end;
@@ -698,7 +1330,7 @@ function takeInchFracFast(s, end, out) {
   }
 
   // Decimal fraction form: ... '.' <digits>
-  if (denomStart > 0 && s.charCodeAt(denomStart - 1) === 0x2e /* . */) {
+  if (denomStart > 0 && s.charCodeAt(denomStart - 1) === dec) {
     const restEnd = denomStart - 1;
     let nzEnd = denomEnd;
     while (nzEnd > denomStart && s.charCodeAt(nzEnd - 1) === 0x30 /* 0 */) nzEnd -= 1;
@@ -734,20 +1366,106 @@ function takeInchFracFast(s, end, out) {
   return true;
 }
 
-/**
- * Parse a dimension string, returning a diagnostic error object on failure.
- *
- * This supports:
- * - Decimal fractions for units that can represent them exactly in iota.
- * - Inch whole fractions with `/` or U+2044 FRACTION SLASH, down to 64ths.
- * - Optional grouping separators (`,` and U+2008 PUNCTUATION SPACE) in whole parts.
- * - Optional trailing whitespace from a fixed “Joto whitespace” set.
- * - Compound foot+inch parsing (e.g. `37'11\u2033`).
- *
- * @param {string} s
- * @returns {Result<number, LengthParseError>}
- */
-export function parseDimDiagnostic(s) {
+function finalizeFast(acc, s, end) {
+  if (followsStrayMark(s, end)) return null;
+  let restEnd = trimEndJotoWhitespaceIndex(s, end);
+  if (restEnd === 0) return acc;
+
+  const c = s.charCodeAt(restEnd - 1);
+  let sign = 1;
+  if (c === 0x2d /* - */ || c === 0x2212 /* − */) {
+    sign = -1;
+  } else if (c !== 0x2b /* + */) {
+    return acc;
+  }
+  restEnd -= 1;
+
+  if (restEnd > 0 && !isJotoWhitespaceCharCode(s.charCodeAt(restEnd - 1))) return null;
+  if (stripUnitAt(s, trimEndJotoWhitespaceIndex(s, restEnd), _stripScratch)) return null;
+  return sign < 0 && acc !== 0 ? -acc : acc;
+}
+
+// Take a quantity in exponent notation (e.g. `1.5e-3`, `2.2\u00d710\u00b3`) ending `rest`, scaled exactly
+// (or truncated, with rounding state `rnd`); returns `null` if `rest` has no exponent notation.
+function takeExponent(unit, rest, dec, groups, big, rnd) {
+  const e = _expScratch;
+  if (!takeExponentNotation(rest, rest.length, dec, groups, e)) return null;
+  const v = scaleByPowerOfTen(e.mantissa, unitScale(unit), e.exponent, rnd);
+  if (typeof v === "string") return err(v, e.at, { unit });
+  if (!big && v > Number.MAX_SAFE_INTEGER) return err("TooBig", e.at, { unit });
+  return ok({ rest: rest.slice(0, e.start), value: big ? v : Number(v) });
+}
+
+// Returns 1 and sets `out` for exponent notation ending at `end`, 0 if there is none, or -1 if its
+// value cannot be represented.
+function takeExponentFast(unit, s, end, out, dec, groups) {
+  const e = _expScratch;
+  if (!takeExponentNotation(s, end, dec, groups, e)) return 0;
+  const v = scaleByPowerOfTen(e.mantissa, unitScale(unit), e.exponent);
+  if (typeof v === "string" || v > Number.MAX_SAFE_INTEGER) return -1;
+  out.restEnd = e.start;
+  out.value = Number(v);
+  return 1;
+}
+
+// Take a quantity in a unit which is not a whole number of iota (see `RATIO_SCALES`) ending `rest`,
+// and with `compound`, any superior parts. The exact sum is divided into iota at the end, so the
+// result is exact (or truncated, with rounding state `rnd`), not a multiple of the nearest iota.
+function takeRatioQuantity(unit, rest, dec, groups, big, rnd, compound) {
+  const e = _expScratch;
+  if (!takeExponentNotation(rest, rest.length, dec, groups, e)) {
+    if (!takeDecimalMantissa(rest, rest.length, dec, groups, e)) return err("EmptyQuantity", rest.length, { unit });
+    e.at = rest.length;
+  }
+  const at = e.at;
+  if (e.exponent > 1_000) return err("TooBig", at, { unit });
+  if (e.exponent < -1_000) return err("TooPrecise", at, { unit });
+  const [num, den] = RATIO_SCALES.get(unit);
+  const p = 10n ** BigInt(Math.abs(e.exponent));
+  let n = e.exponent < 0 ? e.mantissa * num : e.mantissa * num * p;
+  let d = e.exponent < 0 ? den * p : den;
+
+  let part = unit;
+  let restPart = rest.slice(0, e.start);
+  while (compound) {
+    const restSup0 = trimEndJotoWhitespace(restPart);
+    const supStripped = stripUnit(restSup0);
+    if (!supStripped) break;
+    const supRest = trimEndJotoWhitespace(supStripped.rest);
+    if (!endsWithAsciiDigit(supRest)) break;
+    const found = supStripped.unit;
+    if (!isCompoundSuperior(found, part, false)) {
+      const expected = superior(part);
+      const at = restSup0.length;
+      return err("InvalidCompound", at, expected == null ? { inferior: part, found } : { inferior: part, found, expected });
+    }
+    // Superior parts are whole numbers of their unit.
+    const supWhole = parseWholeBig(1, 0, supRest, groups);
+    if (supWhole.ok === false) return supWhole;
+    const [supNum, supDen] = RATIO_SCALES.get(found) ?? [BigInt(unitScale(found)), 1n];
+    n = n * supDen + supWhole.value.value * supNum * d;
+    d *= supDen;
+    part = found;
+    restPart = supWhole.value.rest;
+  }
+
+  const q = n / d;
+  const rem = n % d;
+  if (rem !== 0n) {
+    if (!rnd) return err("TooPrecise", at, { unit });
+    rnd.n = rem;
+    rnd.d = d;
+  }
+  if (!big && q > BigInt(Number.MAX_SAFE_INTEGER)) return err("TooBig", at, { unit });
+  return ok({ rest: restPart, value: big ? q : Number(q), part });
+}
+
+function parseDimImpl(s, big, options, span, rnd = roundingState(options)) {
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
+  const whole = big ? parseWholeBig : parseWhole;
+  const toQuantity = big ? BigInt : Number;
+
   const rest0 = trimEndJotoWhitespace(s);
   if (rest0.length === 0) return err("Empty", 0);
 
@@ -759,50 +1477,93 @@ export function parseDimDiagnostic(s) {
   const rest = trimEndJotoWhitespace(stripped.rest);
   if (rest.length === 0) return err("EmptyQuantity", atUnit, { unit });
 
+  if (RATIO_SCALES.has(unit)) {
+    if (!rnd && isApproximate(unit)) rnd = roundingState(options, "halfEven");
+    const r = takeRatioQuantity(unit, rest, dec, groups, big, rnd, true);
+    return r.ok ? finalize(r.value.part, r.value.value, r.value.rest, span, rnd) : r;
+  }
+
+  const exp = takeExponent(unit, rest, dec, groups, big, rnd);
+  if (exp) return exp.ok ? finalize(unit, exp.value.value, exp.value.rest, span, rnd) : exp;
+
   let acc = 0;
   let restAfterFrac = rest;
   if (unit === Unit.Inch) {
-    const r = takeInchFrac(restAfterFrac);
+    const r = takeInchFrac(restAfterFrac, dec, rnd);
     if (r.ok === false) return r;
     acc = r.value.value;
     restAfterFrac = r.value.rest;
   } else {
-    const r = takeDecimalFrac(unit, restAfterFrac);
+    const r = takeDecimalFrac(unit, restAfterFrac, dec, rnd);
     if (r.ok === false) return r;
-    if (r.value.rest.length === 0) return ok(r.value.value);
+    if (r.value.rest.length === 0) return finalize(unit, toQuantity(r.value.value), r.value.rest, span, rnd);
     acc = r.value.value;
     restAfterFrac = r.value.rest;
   }
 
-  const wholeRes = parseWhole(unit, acc, restAfterFrac);
+  let q;
+  let restAfterWhole;
+  const wholeRes = whole(unit, acc, restAfterFrac, groups);
   if (wholeRes.ok === false) {
-    if (wholeRes.error.code === "EmptyQuantity" && acc !== 0) return ok(acc);
-    return wholeRes;
+    // A fraction with no whole part (e.g. `3'-3/4"`), which may still follow a superior unit.
+    if (wholeRes.error.code !== "EmptyQuantity" || (acc === 0 && !rnd?.n)) return wholeRes;
+    q = toQuantity(acc);
+    restAfterWhole = restAfterFrac;
+  } else {
+    q = wholeRes.value.value;
+    restAfterWhole = wholeRes.value.rest;
   }
 
-  const restAfterWhole = wholeRes.value.rest;
-  acc = wholeRes.value.value;
-
-  const sup = superior(unit);
-  if (sup != null) {
-    const restSup0 = trimEndJotoWhitespace(restAfterWhole);
-    const at = restSup0.length;
-    const supStripped = stripUnit(restSup0);
-    if (supStripped) {
-      if (supStripped.unit === sup) {
-        const supWhole = parseWhole(sup, acc, trimEndJotoWhitespace(supStripped.rest));
-        if (supWhole.ok === false) return supWhole;
-        return ok(supWhole.value.value);
-      }
-      return err("InvalidCompound", at, {
-        inferior: unit,
-        found: supStripped.unit,
-        expected: sup,
-      });
+  // Take superior parts while the text before the leftmost part ends in a whole quantity.
+  let part = unit;
+  let restPart = restAfterWhole;
+  for (;;) {
+    const restSup0 = trimEndJotoWhitespace(restPart);
+    const at = part === Unit.Inch ? compoundSeparatorEnd(restSup0, restSup0.length) : restSup0.length;
+    const supStripped = stripUnit(restSup0.slice(0, at));
+    if (!supStripped) break;
+    const supRest = trimEndJotoWhitespace(supStripped.rest);
+    if (!endsWithAsciiDigit(supRest)) break;
+    if (!isCompoundSuperior(supStripped.unit, part, at < restSup0.length)) {
+      const found = supStripped.unit;
+      const expected = superior(part);
+      return err("InvalidCompound", at, expected == null ? { inferior: part, found } : { inferior: part, found, expected });
     }
+    const supWhole = whole(supStripped.unit, q, supRest, groups);
+    if (supWhole.ok === false) return supWhole;
+    part = supStripped.unit;
+    q = supWhole.value.value;
+    restPart = supWhole.value.rest;
   }
 
-  return ok(acc);
+  return finalize(part, q, restPart, span, rnd);
+}
+
+/**
+ * Parse a dimension string, returning a diagnostic error object on failure.
+ *
+ * This supports:
+ * - Decimal fractions for units that can represent them exactly in iota.
+ * - Inch whole fractions with `/` or U+2044 FRACTION SLASH, down to 64ths.
+ * - Optional grouping separators (`,` and U+2008 PUNCTUATION SPACE) in whole parts.
+ * - Other decimal and group marks selected by `options` (see `localeParseOptions`). Note that `'`
+ *   as a group mark makes `'` foot compounds ambiguous; use `ft` or U+2032 PRIME for feet instead.
+ * - Optional trailing whitespace from a fixed “Joto whitespace” set.
+ * - Spelled-out unit names, singular or plural and ASCII case-insensitive (e.g. `12 feet`,
+ *   `3 inches`, `2.5 centimetres`), as well as `ins`, `yds` and `pts`.
+ * - Compound foot+inch parsing (e.g. `37'11\u2033`), including architectural notation with a
+ *   hyphen, U+2011 NON-BREAKING HYPHEN or U+2013 EN DASH directly after the foot mark (e.g.
+ *   `5'-6 1/2"`, `12\u2032\u20110\u2033` or `0'-3/4"`).
+ * - An optional leading sign (`+`, `-` or U+2212 MINUS SIGN) which applies to the whole quantity,
+ *   including compound quantities (e.g. `\u22123\u20326\u2033`). The sign must start the text or
+ *   follow whitespace, so the dash of `3-5mm` is an `InvalidSign`.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<number, LengthParseError>}
+ */
+export function parseDimDiagnostic(s, options) {
+  return /** @type {Result<number, LengthParseError>} */ (parseDimImpl(s, false, options));
 }
 
 /**
@@ -811,89 +1572,126 @@ export function parseDimDiagnostic(s) {
  * Use `parseDimDiagnostic` if you want to handle specific errors.
  *
  * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
  * @returns {number | null}
  */
-export function parseDim(s) {
+export function parseDim(s, options) {
+  if (options?.rounding != null) {
+    const r = parseDimImpl(s, false, options);
+    return r.ok ? r.value : null;
+  }
+
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
   const end0 = trimEndJotoWhitespaceIndex(s);
   if (end0 === 0) return null;
 
   const stripped = _stripScratch;
   if (!stripUnitAt(s, end0, stripped)) return null;
 
-  const unitScale = stripped.unit;
+  const unit = stripped.unit;
+  if (RATIO_SCALES.has(unit)) {
+    const r = parseDimImpl(s, false, options);
+    return r.ok ? r.value : null;
+  }
   let end = trimEndJotoWhitespaceIndex(s, stripped.restEnd);
   if (end === 0) return null;
 
   const num = _numScratch;
+  const expStatus = takeExponentFast(unit, s, end, num, dec, groups);
+  if (expStatus !== 0) return expStatus > 0 ? finalizeFast(num.value, s, num.restEnd) : null;
+
   let acc = 0;
-  if (unitScale === Unit.Inch) {
-    if (!takeInchFracFast(s, end, num)) return null;
+  if (unit === Unit.Inch) {
+    if (!takeInchFracFast(s, end, num, dec)) return null;
     acc = num.value;
     end = num.restEnd;
     if (end === 0) return acc;
   } else {
-    if (!takeDecimalFracFast(unitScale, s, end, num)) return null;
+    if (!takeDecimalFracFast(unit, s, end, num, dec)) return null;
     acc = num.value;
     end = num.restEnd;
     if (end === 0) return acc;
   }
 
-  const wholeStatus = parseWholeFast(unitScale, acc, s, end, num);
-  if (wholeStatus === 0) return acc !== 0 ? acc : null;
+  const wholeStatus = parseWholeFast(unit, acc, s, end, num, groups);
   if (wholeStatus < 0) return null;
+  if (wholeStatus === 0) {
+    if (acc === 0) return null;
+  } else {
+    acc = num.value;
+    end = num.restEnd;
+  }
 
-  acc = num.value;
-  end = num.restEnd;
-
-  const sup = superior(unitScale);
-  if (sup != null) {
+  let part = unit;
+  for (;;) {
     const endSup0 = trimEndJotoWhitespaceIndex(s, end);
-    if (stripUnitAt(s, endSup0, stripped)) {
-      if (stripped.unit !== sup) return null;
-      const endSup = trimEndJotoWhitespaceIndex(s, stripped.restEnd);
-      const supWholeStatus = parseWholeFast(sup, acc, s, endSup, num);
-      if (supWholeStatus <= 0) return null;
-      return num.value;
-    }
+    const endSup = part === Unit.Inch ? compoundSeparatorEnd(s, endSup0) : endSup0;
+    if (!stripUnitAt(s, endSup, stripped)) break;
+    const endWhole = trimEndJotoWhitespaceIndex(s, stripped.restEnd);
+    if (endWhole === 0 || !isAsciiDigitCharCode(s.charCodeAt(endWhole - 1))) break;
+    if (!isCompoundSuperior(stripped.unit, part, endSup !== endSup0)) return null;
+    if (parseWholeFast(stripped.unit, acc, s, endWhole, num, groups) <= 0) return null;
+    part = stripped.unit;
+    acc = num.value;
+    end = num.restEnd;
   }
 
-  return acc;
+  return finalizeFast(acc, s, end);
 }
 
-/**
- * Parse a quantity for a known `unit`, returning a diagnostic error object on failure.
- *
- * This does not do compound unit parsing; it parses a single quantity for the given unit.
- *
- * @param {string} s
- * @param {number} unit
- * @returns {Result<number, LengthParseError>}
- */
-export function parseAsDiagnostic(s, unit) {
+function parseAsImpl(s, unit, big, options, span, rnd = roundingState(options)) {
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
+  const toQuantity = big ? BigInt : Number;
+
   const rest0 = trimEndJotoWhitespace(s);
   if (rest0.length === 0) return err("EmptyQuantity", 0, { unit });
 
+  if (RATIO_SCALES.has(unit)) {
+    if (!rnd && isApproximate(unit)) rnd = roundingState(options, "halfEven");
+    const r = takeRatioQuantity(unit, rest0, dec, groups, big, rnd, false);
+    return r.ok ? finalize(unit, r.value.value, r.value.rest, span, rnd) : r;
+  }
+
+  const exp = takeExponent(unit, rest0, dec, groups, big, rnd);
+  if (exp) return exp.ok ? finalize(unit, exp.value.value, exp.value.rest, span, rnd) : exp;
+
   let acc = 0;
   let restAfterFrac = rest0;
   if (unit === Unit.Inch) {
-    const r = takeInchFrac(restAfterFrac);
+    const r = takeInchFrac(restAfterFrac, dec, rnd);
     if (r.ok === false) return r;
     acc = r.value.value;
     restAfterFrac = r.value.rest;
   } else {
-    const r = takeDecimalFrac(unit, restAfterFrac);
+    const r = takeDecimalFrac(unit, restAfterFrac, dec, rnd);
     if (r.ok === false) return r;
-    if (r.value.rest.length === 0) return ok(r.value.value);
+    if (r.value.rest.length === 0) return finalize(unit, toQuantity(r.value.value), r.value.rest, span, rnd);
     acc = r.value.value;
     restAfterFrac = r.value.rest;
   }
 
-  const wholeRes = parseWhole(unit, acc, restAfterFrac);
+  const wholeRes = big ? parseWholeBig(unit, acc, restAfterFrac, groups) : parseWhole(unit, acc, restAfterFrac, groups);
   if (wholeRes.ok === false) {
-    if (wholeRes.error.code === "EmptyQuantity" && acc !== 0) return ok(acc);
+    if (wholeRes.error.code === "EmptyQuantity" && (acc !== 0 || rnd?.n)) return finalize(unit, toQuantity(acc), restAfterFrac, span, rnd);
     return wholeRes;
   }
-  return ok(wholeRes.value.value);
+  return finalize(unit, wholeRes.value.value, wholeRes.value.rest, span, rnd);
+}
+
+/**
+ * Parse a quantity for a known `unit`, returning a diagnostic error object on failure.
+ *
+ * This does not do compound unit parsing; it parses a single quantity for the given unit.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<number, LengthParseError>}
+ */
+export function parseAsDiagnostic(s, unit, options) {
+  return /** @type {Result<number, LengthParseError>} */ (parseAsImpl(s, unit, false, options));
 }
 
 /**
@@ -903,48 +1701,262 @@ export function parseAsDiagnostic(s, unit) {
  *
  * @param {string} s
  * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
  * @returns {number | null}
  */
-export function parseAs(s, unit) {
+export function parseAs(s, unit, options) {
+  if (options?.rounding != null || RATIO_SCALES.has(unit)) {
+    const r = parseAsImpl(s, unit, false, options);
+    return r.ok ? r.value : null;
+  }
+
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
   const end0 = trimEndJotoWhitespaceIndex(s);
   if (end0 === 0) return null;
 
+  const num = _numScratch;
+  const expStatus = takeExponentFast(unit, s, end0, num, dec, groups);
+  if (expStatus !== 0) return expStatus > 0 ? finalizeFast(num.value, s, num.restEnd) : null;
+
   let end = end0;
   let acc = 0;
 
-  const num = _numScratch;
-
   if (unit === Unit.Inch) {
-    if (!takeInchFracFast(s, end, num)) return null;
+    if (!takeInchFracFast(s, end, num, dec)) return null;
     acc = num.value;
     end = num.restEnd;
     if (end === 0) return acc;
   } else {
-    if (!takeDecimalFracFast(unit, s, end, num)) return null;
+    if (!takeDecimalFracFast(unit, s, end, num, dec)) return null;
     acc = num.value;
     end = num.restEnd;
     if (end === 0) return acc;
   }
 
-  const wholeStatus = parseWholeFast(unit, acc, s, end, num);
-  if (wholeStatus === 0) return acc !== 0 ? acc : null;
+  const wholeStatus = parseWholeFast(unit, acc, s, end, num, groups);
+  if (wholeStatus === 0) return acc !== 0 ? finalizeFast(acc, s, end) : null;
   if (wholeStatus < 0) return null;
-  return num.value;
+  return finalizeFast(num.value, s, num.restEnd);
+}
+
+/**
+ * Parse a dimension string as a `bigint` quantity in iota, returning a diagnostic error object on
+ * failure.
+ *
+ * This accepts the same grammar as `parseDimDiagnostic`, and reports the same error codes and
+ * indices, but is not limited to the safe-integer range.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<bigint, LengthParseError>}
+ */
+export function parseDimBigDiagnostic(s, options) {
+  return /** @type {Result<bigint, LengthParseError>} */ (parseDimImpl(s, true, options));
+}
+
+/**
+ * Parse a dimension string as a `bigint` quantity in iota, returning `null` on error.
+ *
+ * Use `parseDimBigDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {bigint | null}
+ */
+export function parseDimBig(s, options) {
+  const r = parseDimBigDiagnostic(s, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Parse a quantity for a known `unit` as a `bigint` quantity in iota, returning a diagnostic error
+ * object on failure.
+ *
+ * This accepts the same grammar as `parseAsDiagnostic`, but is not limited to the safe-integer
+ * range.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<bigint, LengthParseError>}
+ */
+export function parseAsBigDiagnostic(s, unit, options) {
+  return /** @type {Result<bigint, LengthParseError>} */ (parseAsImpl(s, unit, true, options));
+}
+
+/**
+ * Parse a quantity for a known `unit` as a `bigint` quantity in iota, returning `null` on error.
+ *
+ * Use `parseAsBigDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {bigint | null}
+ */
+export function parseAsBig(s, unit, options) {
+  const r = parseAsBigDiagnostic(s, unit, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Parse a dimension string, rounding it to a whole number of iota, and return the `residual` (the
+ * exact value less the rounded value) with it, or a diagnostic error object on failure.
+ *
+ * This accepts the same grammar as `parseDimDiagnostic`, but rounds quantities with more decimals
+ * than iota can represent (e.g. `0.123456 in`) with `options.rounding`, which defaults to
+ * `halfEven`.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks, and rounding mode.
+ * @returns {Result<{ value: number, residual: Residual }, LengthParseError>}
+ */
+export function parseDimRoundedDiagnostic(s, options) {
+  const rnd = roundingState(options, roundingMode(options) ?? "halfEven");
+  const r = parseDimImpl(s, false, options, undefined, rnd);
+  return r.ok ? ok({ value: /** @type {number} */ (r.value), residual: residual(rnd) }) : r;
+}
+
+/**
+ * Parse a quantity for a known `unit`, rounding it to a whole number of iota, and return the
+ * `residual` with it, or a diagnostic error object on failure; see `parseDimRoundedDiagnostic`.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks, and rounding mode.
+ * @returns {Result<{ value: number, residual: Residual }, LengthParseError>}
+ */
+export function parseAsRoundedDiagnostic(s, unit, options) {
+  const rnd = roundingState(options, roundingMode(options) ?? "halfEven");
+  const r = parseAsImpl(s, unit, false, options, undefined, rnd);
+  return r.ok ? ok({ value: /** @type {number} */ (r.value), residual: residual(rnd) }) : r;
+}
+
+/**
+ * A length found by `scanDims`.
+ *
+ * `start` and `end` are UTF-16 code unit indices (like `String.prototype.slice`) into the scanned
+ * text, and `unit` is the unit the match ends with (the inch of a foot+inch compound).
+ *
+ * @typedef {{ start: number, end: number, value: number, unit: number, domain: "length" }} LengthScanMatch
+ */
+
+function unitAt(s, end) {
+  return stripUnitAt(s, end, _stripScratch) ? _stripScratch.unit : -1;
+}
+
+/**
+ * Find every length in free text (e.g. `3/8" holes 1'-6" apart`).
+ *
+ * A match is a quantity accepted by `parseDimDiagnostic` whose unit ends at a word boundary; text
+ * which does not parse is skipped. A sign directly after a word or number (e.g. the dash in a
+ * range like `3-5`) is not part of the match. Matches are returned in order and do not overlap.
+ *
+ * @param {string} text
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {LengthScanMatch[]}
+ */
+export function scanDims(text, options) {
+  return /** @type {LengthScanMatch[]} */ (
+    scanMatches(text, options, "length", unitAt, (s, span) => parseDimImpl(s, false, options, span))
+  );
+}
+
+const parserDomain = {
+  unitAt,
+  parse: (s, options, span) => parseDimImpl(s, false, options, span),
+  parseAs: (s, unit, options, span) => parseAsImpl(s, unit, false, options, span),
+  delta: (value) => value,
+  absolute: false,
+};
+
+/**
+ * Parse toleranced length notation (e.g. `10mm \u00b10.05`, `1.500 +.002/-.001 in` or
+ * `9.95\u201310.05mm`), returning a diagnostic error object on failure.
+ *
+ * This supports symmetric (`\u00b1` or `+/-`), asymmetric (`+a/-b`, where either deviation may
+ * have either sign) and limit (U+2013 EN DASH) notation. Each part is a quantity accepted by
+ * `parseDimDiagnostic`. A part without a unit takes the unit of the nearest part after it which
+ * has one, or else before it (e.g. `1.500 +.002/-.001 in`, `2 lb +1/-0 oz`).
+ *
+ * Errors report the failing `part` of the notation, and an `index` into the whole input.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<Tolerance, LengthToleranceParseError>}
+ */
+export function parseToleranceDiagnostic(s, options) {
+  return /** @type {Result<Tolerance, LengthToleranceParseError>} */ (parseToleranceWith(s, options, parserDomain));
+}
+
+/**
+ * Parse toleranced length notation, returning `null` on error.
+ *
+ * Use `parseToleranceDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Tolerance | null}
+ */
+export function parseTolerance(s, options) {
+  const r = parseToleranceDiagnostic(s, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Evaluate an arithmetic expression of lengths (e.g. `2'6" + 3cm - 1/8"` or `3 \u00d7 45mm`),
+ * returning a diagnostic error object on failure.
+ *
+ * Operands are quantities accepted by `parseDimDiagnostic`, plain decimal numbers and parenthesized
+ * expressions. Quantities may be added and subtracted (`+`, `-`), and multiplied (`*`, `\u00d7`,
+ * `\u22c5`) or divided (`/`, `\u00f7`) by numbers; the expression must evaluate to a quantity.
+ * Evaluation is exact, except that a division which leaves a fraction of a base unit is rounded to
+ * the nearest base unit and reported with `exact: false`.
+ *
+ * Error indices point into the whole expression.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<ExprValue, LengthExprParseError>}
+ */
+export function parseExprDiagnostic(s, options) {
+  return /** @type {Result<ExprValue, LengthExprParseError>} */ (parseExprWith(s, options, parserDomain));
+}
+
+/**
+ * Evaluate an arithmetic expression of lengths, returning `null` on error.
+ *
+ * Use `parseExprDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {ExprValue | null}
+ */
+export function parseExpr(s, options) {
+  const r = parseExprDiagnostic(s, options);
+  return r.ok ? r.value : null;
 }
 
 const _stripScratch = { restEnd: 0, unit: 0 };
 const _numScratch = { restEnd: 0, value: 0 };
+const _fracScratch = { start: 0, numEnd: 0, num: 0, den: 0 };
+const _expScratch = { start: 0, at: 0, mantissa: 0n, exponent: 0 };
 
 /**
  * Return basic metadata for a length unit.
  *
+ * `approximate` is `true` for units which are not whole numbers of iota, and whose quantities are
+ * rounded to the nearest iota by default (see `Unit`).
+ *
  * @param {number} unit
  * @returns {Readonly<{
  *   name: string,
  *   maxDecimalDigits: number,
  *   leastSignificantDigitValue: number,
  *   superior: number | null,
- *   inferior: number | null
+ *   inferior: number | null,
+ *   approximate: boolean
  * }>}
  */
 export function unitInfo(unit) {
@@ -954,5 +1966,73 @@ export function unitInfo(unit) {
     leastSignificantDigitValue: leastSignificantDigitValue(unit),
     superior: superior(unit),
     inferior: inferior(unit),
+    approximate: isApproximate(unit),
   });
 }
+
+/**
+ * A user-defined length unit; see `createRegistry`.
+ *
+ * @typedef {import("../_internal/units.js").UnitDefinition} LengthUnitDefinition
+ */
+
+/**
+ * A registry of user-defined length units, with parsers which accept them alongside the built-in
+ * units; see `createRegistry`.
+ *
+ * @typedef {object} LengthRegistry
+ * @property {(definition: LengthUnitDefinition) => number} defineUnit
+ *   Define a unit, returning its `unit` value (numbered after those of `Unit`).
+ * @property {typeof parseDim} parseDim
+ * @property {typeof parseDimDiagnostic} parseDimDiagnostic
+ * @property {typeof parseAs} parseAs
+ * @property {typeof parseAsDiagnostic} parseAsDiagnostic
+ * @property {typeof unitInfo} unitInfo
+ */
+
+const BUILTIN_UNITS = new Set(Object.values(Unit));
+
+function isBuiltinSymbol(symbol) {
+  return stripBuiltinUnitAt(symbol, symbol.length, _stripScratch) && _stripScratch.restEnd === 0;
+}
+
+/**
+ * Create a registry of user-defined length units (e.g. an encoder count, or a board of fixed
+ * length).
+ *
+ * Units are defined on the registry, and only its methods (and formatters made for it with
+ * `createFormatter` from `joto/format/length`) accept them; the module-level functions are
+ * unaffected. Unit values are allocated in order of definition, skipping the values of `Unit` (which
+ * are their scales in iota), so a user-defined unit may have the scale of any other unit.
+ *
+ * A unit with a `superior` may follow that unit, or any larger unit of its chain, in compounds
+ * (e.g. `1 ft 3 lines`, for a line with `superior: Unit.Inch`).
+ *
+ * @returns {LengthRegistry}
+ */
+export function createRegistry() {
+  const table = unitTable("length");
+  let next = BUILTIN_UNITS.size;
+  return registerTable(
+    {
+      defineUnit(definition) {
+        const { scale, superior: sup } = definition;
+        if (sup != null) {
+          const supScale = BUILTIN_UNITS.has(sup) ? sup : table.units.get(sup)?.scale;
+          if (supScale == null || supScale <= scale) throw new RangeError("superior must be a larger defined unit");
+        }
+        while (BUILTIN_UNITS.has(next)) next += 1;
+        const unit = addUnit(table, next, definition, isBuiltinSymbol);
+        next += 1;
+        return unit;
+      },
+      parseDim: (s, options) => withUnits(table, parseDim, s, options),
+      parseDimDiagnostic: (s, options) => withUnits(table, parseDimDiagnostic, s, options),
+      parseAs: (s, unit, options) => withUnits(table, parseAs, s, unit, options),
+      parseAsDiagnostic: (s, unit, options) => withUnits(table, parseAsDiagnostic, s, unit, options),
+      unitInfo: (unit) => withUnits(table, unitInfo, unit),
+    },
+    table,
+  );
+}
+
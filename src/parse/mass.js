@@ -22,12 +22,26 @@
 
 import * as c from "../constants/mass.js";
 import {
-  isGroupSeparatorCharCode,
+  asciiWordStartIndex,
+  endsWithCharCode,
+  followsStrayMark,
+  isGroupMarkCharCode,
+  isJotoWhitespaceCharCode,
+  scaleByPowerOfTen,
   stripTrailingAsciiDigits,
   trimEndJotoWhitespace,
   trimEndJotoWhitespaceIndex,
+  takeExponentNotation,
   trimTrailingAsciiZeroes,
 } from "../_internal/parse-helpers.js";
+import { decimalMarkCharCode, groupMarks, localeParseOptions, roundingMode } from "../_internal/parse-options.js";
+import { residual, roundMagnitude, roundingState, splitDecimalFraction } from "../_internal/rounding.js";
+import { scanMatches } from "../_internal/scan.js";
+import { parseExprWith } from "../_internal/expr.js";
+import { parseToleranceWith } from "../_internal/tolerance.js";
+import { addUnit, registerTable, stripUserUnitAt, unitTable, userUnit, withUnits } from "../_internal/units.js";
+
+export { localeParseOptions };
 
 /**
  * A parse result used by the diagnostic parsing APIs.
@@ -37,10 +51,34 @@ import {
  * @typedef {{ ok: true, value: T } | { ok: false, error: E }} Result
  */
 
+/**
+ * Number mark options for parsing; see `localeParseOptions`.
+ *
+ * @typedef {import("../_internal/parse-options.js").ParseOptions} ParseOptions
+ */
+
+/**
+ * The residual of a rounded quantity; see `parseDimRoundedDiagnostic`.
+ *
+ * @typedef {import("../_internal/rounding.js").Residual} Residual
+ */
+
+/**
+ * A toleranced quantity; see `parseToleranceDiagnostic`.
+ *
+ * @typedef {import("../_internal/tolerance.js").Tolerance} Tolerance
+ */
+
+/**
+ * The value of an expression; see `parseExprDiagnostic`.
+ *
+ * @typedef {import("../_internal/expr.js").ExprValue} ExprValue
+ */
+
 /**
  * Parse error codes for mass parsing.
  *
- * @typedef {"Empty"|"NoUnit"|"EmptyQuantity"|"TooBig"|"TooPrecise"|"InvalidCompound"} MassParseErrorCode
+ * @typedef {"Empty"|"NoUnit"|"EmptyQuantity"|"TooBig"|"TooPrecise"|"InvalidCompound"|"InvalidSign"|"StrayMark"} MassParseErrorCode
  */
 
 /**
@@ -49,6 +87,10 @@ import {
  * The `index` field is a UTF-16 code unit index (like `String.prototype.slice`) into the trimmed
  * input string.
  *
+ * An `InvalidCompound` error names the unit `found` out of order in a compound, the unit of the
+ * part after it (`inferior`), and, if there is one, the next larger unit of its chain which was
+ * `expected` (e.g. `Stone` for `2kg 3lb`).
+ *
  * @typedef {{
  *   code: MassParseErrorCode,
  *   index: number,
@@ -59,6 +101,23 @@ import {
  * }} MassParseError
  */
 
+/**
+ * A mass tolerance parse error, which also names the failing `part` of the notation.
+ *
+ * @typedef {Omit<MassParseError, "code"> & {
+ *   code: MassParseErrorCode | import("../_internal/tolerance.js").ToleranceErrorCode,
+ *   part: import("../_internal/tolerance.js").TolerancePart
+ * }} MassToleranceParseError
+ */
+
+/**
+ * A mass expression parse error.
+ *
+ * @typedef {Omit<MassParseError, "code"> & {
+ *   code: MassParseErrorCode | import("../_internal/expr.js").ExprErrorCode
+ * }} MassExprParseError
+ */
+
 /**
  * Unit type for parsing.
  *
@@ -84,6 +143,19 @@ import {
  * @property {number} Grain Grain — exactly 1⁄7000 of a pound.
  * @property {number} Pennyweight Pennyweight — exactly 24 grain.
  * @property {number} TroyOunce Troy ounce — exactly 20 pennyweight (480 grain).
+ * @property {number} TroyPound Troy pound — exactly 12 troy ounces (5760 grain).
+ * @property {number} Scruple Scruple — exactly 20 grain.
+ * @property {number} ApothecaryDram Apothecaries' dram — exactly 3 scruples (60 grain).
+ * @property {number} Carat Metric carat — exactly 200 mg.
+ * @property {number} CaratPoint Carat point — exactly 1⁄100 of a carat (2 mg).
+ * @property {number} Tola Tola — exactly 180 grain.
+ * @property {number} Momme Momme — exactly 3.75 g.
+ * @property {number} Tael Tael — exactly 10 momme (37.5 g), as in Taiwan.
+ * @property {number} Catty Catty — exactly 16 tael (600 g), as in Taiwan.
+ *
+ * The apothecaries' ounce and pound are the troy ounce and pound, so `℥` parses as `TroyOunce`.
+ * The apothecaries' dram is not the avoirdupois `Dram`: `dr` (or `dr avdp`) is always the
+ * avoirdupois dram, and `ʒ` (or `dr ap`) the apothecaries' dram, which is how it is formatted.
  */
 export const Unit = Object.freeze({
   Whit: c.WHIT,
@@ -103,6 +175,15 @@ export const Unit = Object.freeze({
   Grain: c.GRAIN,
   Pennyweight: c.PENNYWEIGHT,
   TroyOunce: c.TROY_OUNCE,
+  TroyPound: c.TROY_POUND,
+  Scruple: c.SCRUPLE,
+  ApothecaryDram: c.APOTHECARY_DRAM,
+  Carat: c.CARAT,
+  CaratPoint: c.CARAT_POINT,
+  Tola: c.TOLA,
+  Momme: c.MOMME,
+  Tael: c.TAEL,
+  Catty: c.CATTY,
 });
 
 function isAsciiDigitCharCode(c) {
@@ -153,8 +234,26 @@ export function abbr(unit) {
       return "dwt";
     case Unit.TroyOunce:
       return "ozt";
+    case Unit.TroyPound:
+      return "lb t";
+    case Unit.Scruple:
+      return "\u2108"; // ℈
+    case Unit.ApothecaryDram:
+      return "\u0292"; // ʒ
+    case Unit.Carat:
+      return "ct";
+    case Unit.CaratPoint:
+      return "pt";
+    case Unit.Tola:
+      return "tola";
+    case Unit.Momme:
+      return "momme";
+    case Unit.Tael:
+      return "tael";
+    case Unit.Catty:
+      return "catty";
     default:
-      return "";
+      return userUnit("mass", unit)?.symbol ?? "";
   }
 }
 
@@ -200,8 +299,85 @@ export function asciiAbbr(unit) {
       return "dwt";
     case Unit.TroyOunce:
       return "ozt";
+    case Unit.TroyPound:
+      return "lb t";
+    case Unit.Scruple:
+      return "s ap";
+    case Unit.ApothecaryDram:
+      return "dr ap";
+    case Unit.Carat:
+      return "ct";
+    case Unit.CaratPoint:
+      return "pt";
+    case Unit.Tola:
+      return "tola";
+    case Unit.Momme:
+      return "momme";
+    case Unit.Tael:
+      return "tael";
+    case Unit.Catty:
+      return "catty";
+    default:
+      return userUnit("mass", unit)?.asciiSymbol ?? "";
+  }
+}
+
+function unitName(u) {
+  switch (u) {
+    case Unit.Whit:
+      return "Whit";
+    case Unit.Microgram:
+      return "Microgram";
+    case Unit.Milligram:
+      return "Milligram";
+    case Unit.Gram:
+      return "Gram";
+    case Unit.Kilogram:
+      return "Kilogram";
+    case Unit.Megagram:
+      return "Megagram";
+    case Unit.Dram:
+      return "Dram";
+    case Unit.Ounce:
+      return "Ounce";
+    case Unit.Pound:
+      return "Pound";
+    case Unit.Stone:
+      return "Stone";
+    case Unit.LongHundredweight:
+      return "LongHundredweight";
+    case Unit.LongTon:
+      return "LongTon";
+    case Unit.ShortHundredweight:
+      return "ShortHundredweight";
+    case Unit.ShortTon:
+      return "ShortTon";
+    case Unit.Grain:
+      return "Grain";
+    case Unit.Pennyweight:
+      return "Pennyweight";
+    case Unit.TroyOunce:
+      return "TroyOunce";
+    case Unit.TroyPound:
+      return "TroyPound";
+    case Unit.Scruple:
+      return "Scruple";
+    case Unit.ApothecaryDram:
+      return "ApothecaryDram";
+    case Unit.Carat:
+      return "Carat";
+    case Unit.CaratPoint:
+      return "CaratPoint";
+    case Unit.Tola:
+      return "Tola";
+    case Unit.Momme:
+      return "Momme";
+    case Unit.Tael:
+      return "Tael";
+    case Unit.Catty:
+      return "Catty";
     default:
-      return "";
+      return userUnit("mass", u)?.name ?? "Unknown";
   }
 }
 
@@ -210,9 +386,17 @@ function maxDecimalDigits(u) {
     case Unit.Microgram:
       return 2;
     case Unit.Milligram:
+    case Unit.CaratPoint:
       return 5;
+    case Unit.Carat:
+      return 7;
     case Unit.Gram:
       return 8;
+    case Unit.Momme:
+      return 9;
+    case Unit.Tael:
+    case Unit.Catty:
+      return 10;
     case Unit.Kilogram:
       return 11;
     case Unit.Megagram:
@@ -229,23 +413,225 @@ function maxDecimalDigits(u) {
     case Unit.ShortTon:
       return 6;
     case Unit.TroyOunce:
+    case Unit.TroyPound:
+    case Unit.Scruple:
+    case Unit.ApothecaryDram:
+    case Unit.Tola:
       return 1;
     default:
-      return 0;
+      return userUnit("mass", u)?.maxDecimalDigits ?? 0;
   }
 }
 
+// The size of `u` in whit: the value of a built-in unit, or the scale of a user-defined unit.
+function unitScale(u) {
+  return userUnit("mass", u)?.scale ?? u;
+}
+
 function leastSignificantDigitValue(u) {
   const digits = maxDecimalDigits(u);
-  if (digits === 0) return u;
-  return Math.trunc(u / 10 ** digits);
+  if (digits === 0) return unitScale(u);
+  return Math.trunc(unitScale(u) / 10 ** digits);
+}
+
+// Compound chains, as bit flags. Compounds (e.g. `11st 4lb`, `3 tn.l 5 cwt.l`, `3dwt 12gr`,
+// `1 catty 4 tael`, `1℥ 2ʒ 1℈`) name units of one chain in strictly decreasing order.
+const LONG_CHAIN = 1;
+const SHORT_CHAIN = 2;
+const TROY_CHAIN = 4;
+const TAEL_CHAIN = 8;
+const APOTHECARY_CHAIN = 16;
+
+function compoundChains(u) {
+  switch (u) {
+    case Unit.LongTon:
+    case Unit.LongHundredweight:
+    case Unit.Stone:
+      return LONG_CHAIN;
+    case Unit.ShortTon:
+    case Unit.ShortHundredweight:
+      return SHORT_CHAIN;
+    case Unit.Pound:
+    case Unit.Ounce:
+    case Unit.Dram:
+      return LONG_CHAIN | SHORT_CHAIN;
+    case Unit.TroyPound:
+    case Unit.TroyOunce:
+    case Unit.Grain:
+      return TROY_CHAIN | APOTHECARY_CHAIN;
+    case Unit.Pennyweight:
+      return TROY_CHAIN;
+    case Unit.ApothecaryDram:
+    case Unit.Scruple:
+      return APOTHECARY_CHAIN;
+    case Unit.Catty:
+    case Unit.Tael:
+    case Unit.Momme:
+      return TAEL_CHAIN;
+    default: {
+      // A user-defined unit is in the chains of its superior.
+      const sup = userUnit("mass", u)?.superior;
+      return sup != null ? compoundChains(sup) : 0;
+    }
+  }
 }
 
-function superior(u) {
-  return u === Unit.Ounce ? Unit.Pound : null;
+const CHAIN_UNITS = Object.freeze(
+  [
+    Unit.LongTon,
+    Unit.LongHundredweight,
+    Unit.Stone,
+    Unit.ShortTon,
+    Unit.ShortHundredweight,
+    Unit.Pound,
+    Unit.Ounce,
+    Unit.Dram,
+    Unit.TroyPound,
+    Unit.TroyOunce,
+    Unit.Pennyweight,
+    Unit.ApothecaryDram,
+    Unit.Scruple,
+    Unit.Grain,
+    Unit.Catty,
+    Unit.Tael,
+    Unit.Momme,
+  ].sort((a, b) => a - b),
+);
+
+// The next larger unit than `u` of any of `chains`, or `null`.
+function superior(u, chains) {
+  const sup = userUnit("mass", u)?.superior;
+  if (sup != null) return sup;
+  for (const v of CHAIN_UNITS) {
+    if (v > unitScale(u) && (compoundChains(v) & chains) !== 0) return v;
+  }
+  return null;
 }
 
-function stripUnitAt(s, end, out) {
+// Whether a part in `sup` may precede a part in `unit`, where `chains` are the chains shared by
+// the parts so far. A user-defined unit may also follow the units its superiors lead to.
+function isCompoundSuperior(sup, unit, chains) {
+  if (unitScale(sup) > unitScale(unit) && (compoundChains(sup) & chains) !== 0) return true;
+  for (let u = userUnit("mass", unit)?.superior; u != null; u = userUnit("mass", u)?.superior) {
+    if (u === sup) return true;
+  }
+  return false;
+}
+
+function endsWithAsciiDigit(s) {
+  return s.length > 0 && isAsciiDigitCharCode(s.charCodeAt(s.length - 1));
+}
+
+function stripName(s, end, name, unit, out) {
+  const start = asciiWordStartIndex(s, end, name);
+  if (start < 0) return false;
+  return ((out.restEnd = start), (out.unit = unit), true);
+}
+
+// Spelled-out unit names (singular and plural, ASCII case-insensitive), by their last letter.
+// These must be tried before the symbols, since several names end in a symbol (e.g. `t`, `g`).
+function stripUnitNameAt(s, end, out) {
+  if (end === 0) return false;
+  switch (s.charCodeAt(end - 1) | 0x20) {
+    case 0x61 /* a */:
+      return stripName(s, end, "tola", Unit.Tola, out);
+    case 0x64 /* d */:
+      return (
+        stripName(s, end, "troy pound", Unit.TroyPound, out) ||
+        stripName(s, end, "apothecary pound", Unit.TroyPound, out) ||
+        stripName(s, end, "pound", Unit.Pound, out)
+      );
+    case 0x65 /* e */:
+      return (
+        stripName(s, end, "troy ounce", Unit.TroyOunce, out) ||
+        stripName(s, end, "apothecary ounce", Unit.TroyOunce, out) ||
+        stripName(s, end, "ounce", Unit.Ounce, out) ||
+        stripName(s, end, "scruple", Unit.Scruple, out) ||
+        stripName(s, end, "stone", Unit.Stone, out) ||
+        stripName(s, end, "tonne", Unit.Megagram, out) ||
+        stripName(s, end, "momme", Unit.Momme, out)
+      );
+    case 0x6c /* l */:
+      return stripName(s, end, "tael", Unit.Tael, out);
+    case 0x6d /* m */:
+      return (
+        stripName(s, end, "microgram", Unit.Microgram, out) ||
+        stripName(s, end, "milligram", Unit.Milligram, out) ||
+        stripName(s, end, "kilogram", Unit.Kilogram, out) ||
+        stripName(s, end, "megagram", Unit.Megagram, out) ||
+        stripName(s, end, "gram", Unit.Gram, out) ||
+        stripName(s, end, "apothecary dram", Unit.ApothecaryDram, out) ||
+        stripName(s, end, "avoirdupois dram", Unit.Dram, out) ||
+        stripName(s, end, "dram", Unit.Dram, out)
+      );
+    case 0x6e /* n */:
+      return (
+        stripName(s, end, "long ton", Unit.LongTon, out) ||
+        stripName(s, end, "short ton", Unit.ShortTon, out) ||
+        stripName(s, end, "metric ton", Unit.Megagram, out) ||
+        stripName(s, end, "ton", Unit.ShortTon, out) ||
+        stripName(s, end, "grain", Unit.Grain, out)
+      );
+    case 0x6f /* o */:
+      return stripName(s, end, "kilo", Unit.Kilogram, out);
+    case 0x73 /* s */:
+      return (
+        stripName(s, end, "troy pounds", Unit.TroyPound, out) ||
+        stripName(s, end, "apothecary pounds", Unit.TroyPound, out) ||
+        stripName(s, end, "pounds", Unit.Pound, out) ||
+        stripName(s, end, "lbs", Unit.Pound, out) ||
+        stripName(s, end, "troy ounces", Unit.TroyOunce, out) ||
+        stripName(s, end, "apothecary ounces", Unit.TroyOunce, out) ||
+        stripName(s, end, "ounces", Unit.Ounce, out) ||
+        stripName(s, end, "ozs", Unit.Ounce, out) ||
+        stripName(s, end, "stones", Unit.Stone, out) ||
+        stripName(s, end, "tonnes", Unit.Megagram, out) ||
+        stripName(s, end, "micrograms", Unit.Microgram, out) ||
+        stripName(s, end, "milligrams", Unit.Milligram, out) ||
+        stripName(s, end, "kilograms", Unit.Kilogram, out) ||
+        stripName(s, end, "megagrams", Unit.Megagram, out) ||
+        stripName(s, end, "grams", Unit.Gram, out) ||
+        stripName(s, end, "apothecary drams", Unit.ApothecaryDram, out) ||
+        stripName(s, end, "avoirdupois drams", Unit.Dram, out) ||
+        stripName(s, end, "drams", Unit.Dram, out) ||
+        stripName(s, end, "scruples", Unit.Scruple, out) ||
+        stripName(s, end, "long tons", Unit.LongTon, out) ||
+        stripName(s, end, "short tons", Unit.ShortTon, out) ||
+        stripName(s, end, "metric tons", Unit.Megagram, out) ||
+        stripName(s, end, "tons", Unit.ShortTon, out) ||
+        stripName(s, end, "grains", Unit.Grain, out) ||
+        stripName(s, end, "pennyweights", Unit.Pennyweight, out) ||
+        stripName(s, end, "long hundredweights", Unit.LongHundredweight, out) ||
+        stripName(s, end, "short hundredweights", Unit.ShortHundredweight, out) ||
+        stripName(s, end, "hundredweights", Unit.ShortHundredweight, out) ||
+        stripName(s, end, "kilos", Unit.Kilogram, out) ||
+        stripName(s, end, "whits", Unit.Whit, out) ||
+        stripName(s, end, "carat points", Unit.CaratPoint, out) ||
+        stripName(s, end, "carats", Unit.Carat, out) ||
+        stripName(s, end, "tolas", Unit.Tola, out) ||
+        stripName(s, end, "taels", Unit.Tael, out) ||
+        stripName(s, end, "catties", Unit.Catty, out)
+      );
+    case 0x74 /* t */:
+      return (
+        stripName(s, end, "pennyweight", Unit.Pennyweight, out) ||
+        stripName(s, end, "long hundredweight", Unit.LongHundredweight, out) ||
+        stripName(s, end, "short hundredweight", Unit.ShortHundredweight, out) ||
+        stripName(s, end, "hundredweight", Unit.ShortHundredweight, out) ||
+        stripName(s, end, "whit", Unit.Whit, out) ||
+        stripName(s, end, "carat point", Unit.CaratPoint, out) ||
+        stripName(s, end, "carat", Unit.Carat, out)
+      );
+    case 0x79 /* y */:
+      return stripName(s, end, "catty", Unit.Catty, out);
+    default:
+      return false;
+  }
+}
+
+function stripBuiltinUnitAt(s, end, out) {
+  if (stripUnitNameAt(s, end, out)) return true;
+
   if (s.endsWith("ozt", end)) return ((out.restEnd = end - 3), (out.unit = Unit.TroyOunce), true);
   if (s.endsWith("dwt", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Pennyweight), true);
   if (s.endsWith("cwt", end)) return ((out.restEnd = end - 3), (out.unit = Unit.ShortHundredweight), true);
@@ -257,6 +643,15 @@ function stripUnitAt(s, end, out) {
     return ((out.restEnd = end - 4), (out.unit = Unit.LongTon), true);
   }
 
+  // Apothecaries' symbols, and the qualified symbols which tell the two drams apart.
+  if (s.endsWith("\u2108", end)) return ((out.restEnd = end - 1), (out.unit = Unit.Scruple), true); // ℈
+  if (s.endsWith("\u0292", end)) return ((out.restEnd = end - 1), (out.unit = Unit.ApothecaryDram), true); // ʒ
+  if (s.endsWith("\u2125", end)) return ((out.restEnd = end - 1), (out.unit = Unit.TroyOunce), true); // ℥
+  if (s.endsWith("s ap", end)) return ((out.restEnd = end - 4), (out.unit = Unit.Scruple), true);
+  if (s.endsWith("dr ap", end)) return ((out.restEnd = end - 5), (out.unit = Unit.ApothecaryDram), true);
+  if (s.endsWith("dr avdp", end)) return ((out.restEnd = end - 7), (out.unit = Unit.Dram), true);
+  if (s.endsWith("lb t", end)) return ((out.restEnd = end - 4), (out.unit = Unit.TroyPound), true);
+
   if (s.endsWith("lb", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Pound), true);
   if (s.endsWith("st", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Stone), true);
   if (s.endsWith("tn", end)) return ((out.restEnd = end - 2), (out.unit = Unit.ShortTon), true);
@@ -264,6 +659,9 @@ function stripUnitAt(s, end, out) {
   if (s.endsWith("oz", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Ounce), true);
   if (s.endsWith("gr", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Grain), true);
 
+  if (s.endsWith("ct", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Carat), true);
+  if (s.endsWith("pt", end)) return ((out.restEnd = end - 2), (out.unit = Unit.CaratPoint), true);
+
   if (s.endsWith("wt", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Whit), true);
   if (s.endsWith("kg", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Kilogram), true);
   if (s.endsWith("mg", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Milligram), true);
@@ -279,8 +677,20 @@ function stripUnitAt(s, end, out) {
   return false;
 }
 
+// Strip the longest unit symbol or name ending at `end`, including user-defined units in effect.
+function stripUnitAt(s, end, out) {
+  if (!stripUserUnitAt("mass", s, end, out)) return stripBuiltinUnitAt(s, end, out);
+  const { restEnd, unit } = out;
+  if (!stripBuiltinUnitAt(s, end, out) || out.restEnd >= restEnd) {
+    out.restEnd = restEnd;
+    out.unit = unit;
+  }
+  return true;
+}
+
 /**
- * Detect a unit at the end of a mass string, returning the remainder and the unit.
+ * Detect a unit (symbol or spelled-out name) at the end of a mass string, returning the remainder
+ * and the unit.
  *
  * This does not trim whitespace; callers typically want to `trimEnd` first.
  *
@@ -312,9 +722,40 @@ function ok(value) {
   return { ok: true, value };
 }
 
-function takeDecimalFrac(unit, rest) {
+function stripSign(s) {
+  if (s.endsWith("+")) return { rest: s.slice(0, -1), sign: 1, has: true };
+  if (s.endsWith("-")) return { rest: s.slice(0, -1), sign: -1, has: true };
+  if (s.endsWith("\u2212")) return { rest: s.slice(0, -1), sign: -1, has: true };
+  return { rest: s, sign: 1, has: false };
+}
+
+// Whether text after `rest` starts a word, at the start of the string or after whitespace.
+function startsWord(rest) {
+  return rest.length === 0 || isJotoWhitespaceCharCode(rest.charCodeAt(rest.length - 1));
+}
+
+function finalize(unit, acc, rest, span, rnd) {
+  if (followsStrayMark(rest, rest.length)) return err("StrayMark", rest.length - 1, { unit });
+  const signInfo = stripSign(trimEndJotoWhitespace(rest));
+
+  // A sign applies to the whole quantity, so it cannot follow a compound part, and it starts a
+  // word: the dash of `3-5mm` is not a minus.
+  if (signInfo.has && (stripUnit(trimEndJotoWhitespace(signInfo.rest)) || !startsWord(signInfo.rest))) {
+    return err("InvalidSign", signInfo.rest.length, { unit });
+  }
+  if (span) span.start = signInfo.has ? signInfo.rest.length : rest.length;
+
+  const negative = signInfo.sign < 0;
+  if (rnd) {
+    acc = roundMagnitude(rnd, acc, negative);
+    if (typeof acc === "number" && acc > Number.MAX_SAFE_INTEGER) return err("TooBig", rest.length, { unit });
+  }
+  return ok(negative && acc !== 0 ? -acc : acc);
+}
+
+function takeDecimalFrac(unit, rest, dec, rnd) {
   const at = rest.length;
-  if (rest.endsWith(".")) {
+  if (endsWithCharCode(rest, dec)) {
     const r = rest.slice(0, -1);
     if (r.length > 0 && isAsciiDigitCharCode(r.charCodeAt(r.length - 1))) return ok({ rest: r, value: 0 });
     return err("EmptyQuantity", at, { unit });
@@ -325,7 +766,7 @@ function takeDecimalFrac(unit, rest) {
 
   const nonzeroDigits = trimTrailingAsciiZeroes(digits);
   const len = nonzeroDigits.length;
-  if (!dRest.endsWith(".")) return ok({ rest, value: 0 });
+  if (!endsWithCharCode(dRest, dec)) return ok({ rest, value: 0 });
 
   const r = dRest.slice(0, -1);
   if (len === 0) {
@@ -334,7 +775,10 @@ function takeDecimalFrac(unit, rest) {
   }
 
   const scale = maxDecimalDigits(unit);
-  if (len > scale) return err("TooPrecise", at, { unit });
+  if (len > scale) {
+    if (!rnd) return err("TooPrecise", at, { unit });
+    return ok({ rest: r, value: splitDecimalFraction(rnd, nonzeroDigits, unitScale(unit)) });
+  }
 
   const b = nonzeroDigits;
   let pv = leastSignificantDigitValue(unit);
@@ -353,8 +797,8 @@ function takeDecimalFrac(unit, rest) {
   return ok({ rest: r, value: acc });
 }
 
-function maxWholeDigitsForUnitScale(unitScale) {
-  const q = Math.trunc(Number.MAX_SAFE_INTEGER / unitScale);
+function maxWholeDigitsForUnitScale(scale) {
+  const q = Math.trunc(Number.MAX_SAFE_INTEGER / scale);
   if (q <= 0) return 0;
   return String(q).length;
 }
@@ -377,13 +821,23 @@ const MAX_WHOLE_DIGITS_BY_UNIT_SCALE = new Map([
   [Unit.Grain, maxWholeDigitsForUnitScale(Unit.Grain)],
   [Unit.Pennyweight, maxWholeDigitsForUnitScale(Unit.Pennyweight)],
   [Unit.TroyOunce, maxWholeDigitsForUnitScale(Unit.TroyOunce)],
+  [Unit.TroyPound, maxWholeDigitsForUnitScale(Unit.TroyPound)],
+  [Unit.Scruple, maxWholeDigitsForUnitScale(Unit.Scruple)],
+  [Unit.ApothecaryDram, maxWholeDigitsForUnitScale(Unit.ApothecaryDram)],
+  [Unit.Carat, maxWholeDigitsForUnitScale(Unit.Carat)],
+  [Unit.CaratPoint, maxWholeDigitsForUnitScale(Unit.CaratPoint)],
+  [Unit.Tola, maxWholeDigitsForUnitScale(Unit.Tola)],
+  [Unit.Momme, maxWholeDigitsForUnitScale(Unit.Momme)],
+  [Unit.Tael, maxWholeDigitsForUnitScale(Unit.Tael)],
+  [Unit.Catty, maxWholeDigitsForUnitScale(Unit.Catty)],
 ]);
 
-function parseWholeFast(unitScale, acc, s, end, out) {
+function parseWholeFast(unit, acc, s, end, out, groups) {
   if (end === 0 || !isAsciiDigitCharCode(s.charCodeAt(end - 1))) return 0;
 
-  const maxDigits = MAX_WHOLE_DIGITS_BY_UNIT_SCALE.get(unitScale) ?? 0;
-  let pv = unitScale;
+  const scale = unitScale(unit);
+  const maxDigits = MAX_WHOLE_DIGITS_BY_UNIT_SCALE.get(scale) ?? maxWholeDigitsForUnitScale(scale);
+  let pv = scale;
   let digitsSeen = 0;
   let i = end;
 
@@ -408,7 +862,7 @@ function parseWholeFast(unitScale, acc, s, end, out) {
       i -= 1;
       continue;
     }
-    if (isGroupSeparatorCharCode(cCode)) {
+    if (isGroupMarkCharCode(cCode, groups)) {
       i -= 1;
       continue;
     }
@@ -420,9 +874,9 @@ function parseWholeFast(unitScale, acc, s, end, out) {
   return 1;
 }
 
-function takeDecimalFracFast(unitScale, s, end, out) {
+function takeDecimalFracFast(unit, s, end, out, dec) {
   // Trailing '.' is accepted only if preceded by a digit.
-  if (end > 0 && s.charCodeAt(end - 1) === 0x2e /* . */) {
+  if (end > 0 && s.charCodeAt(end - 1) === dec) {
     const rEnd = end - 1;
     if (rEnd > 0 && isAsciiDigitCharCode(s.charCodeAt(rEnd - 1))) {
       out.restEnd = rEnd;
@@ -445,7 +899,7 @@ function takeDecimalFracFast(unitScale, s, end, out) {
   }
 
   // No '.' before digits: no fraction.
-  if (digitsStart === 0 || s.charCodeAt(digitsStart - 1) !== 0x2e /* . */) {
+  if (digitsStart === 0 || s.charCodeAt(digitsStart - 1) !== dec) {
     out.restEnd = end;
     out.value = 0;
     return true;
@@ -465,10 +919,10 @@ function takeDecimalFracFast(unitScale, s, end, out) {
     return true;
   }
 
-  const scale = maxDecimalDigits(unitScale);
+  const scale = maxDecimalDigits(unit);
   if (len > scale) return false;
 
-  const lsd = leastSignificantDigitValue(unitScale);
+  const lsd = leastSignificantDigitValue(unit);
   let pv = lsd;
   let i = scale;
   while (i > len) {
@@ -486,13 +940,14 @@ function takeDecimalFracFast(unitScale, s, end, out) {
   return true;
 }
 
-function parseWhole(unitScale, acc, s) {
+function parseWhole(unit, acc, s, groups) {
   if (s.length === 0 || !isAsciiDigitCharCode(s.charCodeAt(s.length - 1))) {
-    return err("EmptyQuantity", s.length, { unit: unitScale });
+    return err("EmptyQuantity", s.length, { unit });
   }
 
-  const maxDigits = maxWholeDigitsForUnitScale(unitScale);
-  let pv = unitScale;
+  const scale = unitScale(unit);
+  const maxDigits = maxWholeDigitsForUnitScale(scale);
+  let pv = scale;
   let digitsSeen = 0;
   let i = s.length;
 
@@ -504,22 +959,22 @@ function parseWhole(unitScale, acc, s) {
         if (digit !== 0) {
           const add = pv * digit;
           if (add > Number.MAX_SAFE_INTEGER - acc) {
-            return err("TooBig", i, { unit: unitScale });
+            return err("TooBig", i, { unit });
           }
           acc += add;
         }
         digitsSeen += 1;
         if (digitsSeen < maxDigits) {
-          if (pv > Math.trunc(Number.MAX_SAFE_INTEGER / 10)) return err("TooBig", i, { unit: unitScale });
+          if (pv > Math.trunc(Number.MAX_SAFE_INTEGER / 10)) return err("TooBig", i, { unit });
           pv *= 10;
         }
       } else if (digit !== 0) {
-        return err("TooBig", i, { unit: unitScale });
+        return err("TooBig", i, { unit });
       }
       i -= 1;
       continue;
     }
-    if (isGroupSeparatorCharCode(cCode)) {
+    if (isGroupMarkCharCode(cCode, groups)) {
       i -= 1;
       continue;
     }
@@ -529,16 +984,82 @@ function parseWhole(unitScale, acc, s) {
   return ok({ rest: s.slice(0, i), value: acc });
 }
 
-/**
- * Parse a mass string, returning a diagnostic error object on failure.
- *
- * Supports decimal fractions for units that can represent them exactly in whit, optional grouping
- * separators (`,` and U+2008 PUNCTUATION SPACE) in whole parts, and compound pound+ounce parsing.
- *
- * @param {string} s
- * @returns {Result<number, MassParseError>}
- */
-export function parseDimDiagnostic(s) {
+function finalizeFast(acc, s, end) {
+  if (followsStrayMark(s, end)) return null;
+  let restEnd = trimEndJotoWhitespaceIndex(s, end);
+  if (restEnd === 0) return acc;
+
+  const c = s.charCodeAt(restEnd - 1);
+  let sign = 1;
+  if (c === 0x2d /* - */ || c === 0x2212 /* − */) {
+    sign = -1;
+  } else if (c !== 0x2b /* + */) {
+    return acc;
+  }
+  restEnd -= 1;
+
+  if (restEnd > 0 && !isJotoWhitespaceCharCode(s.charCodeAt(restEnd - 1))) return null;
+  if (stripUnitAt(s, trimEndJotoWhitespaceIndex(s, restEnd), _stripScratch)) return null;
+  return sign < 0 && acc !== 0 ? -acc : acc;
+}
+
+function parseWholeBig(unit, acc, s, groups) {
+  if (s.length === 0 || !isAsciiDigitCharCode(s.charCodeAt(s.length - 1))) {
+    return err("EmptyQuantity", s.length, { unit });
+  }
+
+  let total = BigInt(acc);
+  let pv = BigInt(unitScale(unit));
+  let i = s.length;
+
+  while (i > 0) {
+    const cCode = s.charCodeAt(i - 1);
+    if (isAsciiDigitCharCode(cCode)) {
+      const digit = cCode & 0x0f;
+      if (digit !== 0) total += pv * BigInt(digit);
+      pv *= 10n;
+      i -= 1;
+      continue;
+    }
+    if (isGroupMarkCharCode(cCode, groups)) {
+      i -= 1;
+      continue;
+    }
+    break;
+  }
+
+  return ok({ rest: s.slice(0, i), value: total });
+}
+
+// Take a quantity in exponent notation (e.g. `1.5e-3`, `2.2\u00d710\u00b3`) ending `rest`, scaled exactly
+// (or truncated, with rounding state `rnd`); returns `null` if `rest` has no exponent notation.
+function takeExponent(unit, rest, dec, groups, big, rnd) {
+  const e = _expScratch;
+  if (!takeExponentNotation(rest, rest.length, dec, groups, e)) return null;
+  const v = scaleByPowerOfTen(e.mantissa, unitScale(unit), e.exponent, rnd);
+  if (typeof v === "string") return err(v, e.at, { unit });
+  if (!big && v > Number.MAX_SAFE_INTEGER) return err("TooBig", e.at, { unit });
+  return ok({ rest: rest.slice(0, e.start), value: big ? v : Number(v) });
+}
+
+// Returns 1 and sets `out` for exponent notation ending at `end`, 0 if there is none, or -1 if its
+// value cannot be represented.
+function takeExponentFast(unit, s, end, out, dec, groups) {
+  const e = _expScratch;
+  if (!takeExponentNotation(s, end, dec, groups, e)) return 0;
+  const v = scaleByPowerOfTen(e.mantissa, unitScale(unit), e.exponent);
+  if (typeof v === "string" || v > Number.MAX_SAFE_INTEGER) return -1;
+  out.restEnd = e.start;
+  out.value = Number(v);
+  return 1;
+}
+
+function parseDimImpl(s, big, options, span, rnd = roundingState(options)) {
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
+  const whole = big ? parseWholeBig : parseWhole;
+  const toQuantity = big ? BigInt : Number;
+
   const rest0 = trimEndJotoWhitespace(s);
   if (rest0.length === 0) return err("Empty", 0);
 
@@ -550,40 +1071,73 @@ export function parseDimDiagnostic(s) {
   const rest = trimEndJotoWhitespace(stripped.rest);
   if (rest.length === 0) return err("EmptyQuantity", atUnit, { unit });
 
-  const fracRes = takeDecimalFrac(unit, rest);
+  const exp = takeExponent(unit, rest, dec, groups, big, rnd);
+  if (exp) return exp.ok ? finalize(unit, exp.value.value, exp.value.rest, span, rnd) : exp;
+
+  const fracRes = takeDecimalFrac(unit, rest, dec, rnd);
   if (fracRes.ok === false) return fracRes;
-  if (fracRes.value.rest.length === 0) return ok(fracRes.value.value);
+  if (fracRes.value.rest.length === 0) return finalize(unit, toQuantity(fracRes.value.value), fracRes.value.rest, span, rnd);
 
-  let acc = fracRes.value.value;
-  const wholeRes = parseWhole(unit, acc, fracRes.value.rest);
+  const acc = fracRes.value.value;
+  const wholeRes = whole(unit, acc, fracRes.value.rest, groups);
   if (wholeRes.ok === false) {
-    if (wholeRes.error.code === "EmptyQuantity" && acc !== 0) return ok(acc);
+    if (wholeRes.error.code === "EmptyQuantity" && (acc !== 0 || rnd?.n)) {
+      return finalize(unit, toQuantity(acc), fracRes.value.rest, span, rnd);
+    }
     return wholeRes;
   }
 
   const restAfterWhole = wholeRes.value.rest;
-  acc = wholeRes.value.value;
-
-  const sup = superior(unit);
-  if (sup != null) {
-    const restSup0 = trimEndJotoWhitespace(restAfterWhole);
-    const at = restSup0.length;
+  let q = wholeRes.value.value;
+
+  // Take superior parts while the text before the leftmost part ends in a whole quantity.
+  let part = unit;
+  let chains = compoundChains(unit);
+  let restPart = restAfterWhole;
+  for (;;) {
+    const restSup0 = trimEndJotoWhitespace(restPart);
     const supStripped = stripUnit(restSup0);
-    if (supStripped) {
-      if (supStripped.unit === sup) {
-        const supWhole = parseWhole(sup, acc, trimEndJotoWhitespace(supStripped.rest));
-        if (supWhole.ok === false) return supWhole;
-        return ok(supWhole.value.value);
-      }
-      return err("InvalidCompound", at, {
-        inferior: unit,
-        found: supStripped.unit,
-        expected: sup,
-      });
+    if (!supStripped) break;
+    const supRest = trimEndJotoWhitespace(supStripped.rest);
+    if (!endsWithAsciiDigit(supRest)) break;
+    const found = supStripped.unit;
+    if (!isCompoundSuperior(found, part, chains)) {
+      const expected = superior(part, chains);
+      const at = restSup0.length;
+      return err("InvalidCompound", at, expected == null ? { inferior: part, found } : { inferior: part, found, expected });
     }
+    const supWhole = whole(found, q, supRest, groups);
+    if (supWhole.ok === false) return supWhole;
+    part = found;
+    chains &= compoundChains(found);
+    q = supWhole.value.value;
+    restPart = supWhole.value.rest;
   }
 
-  return ok(acc);
+  return finalize(part, q, restPart, span, rnd);
+}
+
+/**
+ * Parse a mass string, returning a diagnostic error object on failure.
+ *
+ * Supports decimal fractions for units that can represent them exactly in whit, optional grouping
+ * separators (`,` and U+2008 PUNCTUATION SPACE) in whole parts, and an optional leading sign (`+`,
+ * `-` or U+2212 MINUS SIGN) which applies to the whole quantity and must start the text or follow
+ * whitespace (the dash of `3-5kg` is an `InvalidSign`). Other decimal and group marks may be
+ * selected with `options` (see `localeParseOptions`).
+ *
+ * Compounds name units of one conventional chain in strictly decreasing order, such as
+ * `11st 4lb 2oz`, `3dwt 12gr`, `1 catty 4 tael` or `1\u2125 2\u0292 1\u2108`.
+ *
+ * Units may be given as symbols or as spelled-out names, singular or plural and ASCII
+ * case-insensitive (e.g. `2 pounds 4 ounces`, `500 grams`, `3 lbs`). `ton` is the US short ton.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<number, MassParseError>}
+ */
+export function parseDimDiagnostic(s, options) {
+  return /** @type {Result<number, MassParseError>} */ (parseDimImpl(s, false, options));
 }
 
 /**
@@ -592,9 +1146,17 @@ export function parseDimDiagnostic(s) {
  * Use `parseDimDiagnostic` if you want to handle specific errors.
  *
  * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
  * @returns {number | null}
  */
-export function parseDim(s) {
+export function parseDim(s, options) {
+  if (options?.rounding != null) {
+    const r = parseDimImpl(s, false, options);
+    return r.ok ? r.value : null;
+  }
+
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
   const end0 = trimEndJotoWhitespaceIndex(s);
   if (end0 === 0) return null;
 
@@ -604,60 +1166,80 @@ export function parseDim(s) {
   let end = trimEndJotoWhitespaceIndex(s, stripped.restEnd);
   if (end === 0) return null;
 
-  const unitScale = stripped.unit;
+  const unit = stripped.unit;
   const num = _numScratch;
-  if (!takeDecimalFracFast(unitScale, s, end, num)) return null;
+  const expStatus = takeExponentFast(unit, s, end, num, dec, groups);
+  if (expStatus !== 0) return expStatus > 0 ? finalizeFast(num.value, s, num.restEnd) : null;
+
+  if (!takeDecimalFracFast(unit, s, end, num, dec)) return null;
 
   let acc = num.value;
   end = num.restEnd;
   if (end === 0) return acc;
 
-  const wholeStatus = parseWholeFast(unitScale, acc, s, end, num);
-  if (wholeStatus === 0) return acc !== 0 ? acc : null;
+  const wholeStatus = parseWholeFast(unit, acc, s, end, num, groups);
+  if (wholeStatus === 0) return acc !== 0 ? finalizeFast(acc, s, end) : null;
   if (wholeStatus < 0) return null;
 
   acc = num.value;
   end = num.restEnd;
 
-  const sup = superior(unitScale);
-  if (sup != null) {
-    const endSup0 = trimEndJotoWhitespaceIndex(s, end);
-    if (stripUnitAt(s, endSup0, stripped)) {
-      if (stripped.unit !== sup) return null;
-      const endSup = trimEndJotoWhitespaceIndex(s, stripped.restEnd);
-      const supWholeStatus = parseWholeFast(sup, acc, s, endSup, num);
-      if (supWholeStatus <= 0) return null;
-      return num.value;
-    }
+  let part = unit;
+  let chains = compoundChains(unit);
+  for (;;) {
+    if (!stripUnitAt(s, trimEndJotoWhitespaceIndex(s, end), stripped)) break;
+    const endWhole = trimEndJotoWhitespaceIndex(s, stripped.restEnd);
+    if (endWhole === 0 || !isAsciiDigitCharCode(s.charCodeAt(endWhole - 1))) break;
+    const found = stripped.unit;
+    if (!isCompoundSuperior(found, part, chains)) return null;
+    if (parseWholeFast(found, acc, s, endWhole, num, groups) <= 0) return null;
+    part = found;
+    chains &= compoundChains(found);
+    acc = num.value;
+    end = num.restEnd;
   }
 
-  return acc;
+  return finalizeFast(acc, s, end);
 }
 
-/**
- * Parse a quantity for a known `unit`, returning a diagnostic error object on failure.
- *
- * This does not do compound unit parsing; it parses a single quantity for the given unit.
- *
- * @param {string} s
- * @param {number} unit
- * @returns {Result<number, MassParseError>}
- */
-export function parseAsDiagnostic(s, unit) {
+function parseAsImpl(s, unit, big, options, span, rnd = roundingState(options)) {
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
+  const toQuantity = big ? BigInt : Number;
+
   const rest0 = trimEndJotoWhitespace(s);
   if (rest0.length === 0) return err("EmptyQuantity", 0, { unit });
 
-  const fracRes = takeDecimalFrac(unit, rest0);
+  const exp = takeExponent(unit, rest0, dec, groups, big, rnd);
+  if (exp) return exp.ok ? finalize(unit, exp.value.value, exp.value.rest, span, rnd) : exp;
+
+  const fracRes = takeDecimalFrac(unit, rest0, dec, rnd);
   if (fracRes.ok === false) return fracRes;
-  if (fracRes.value.rest.length === 0) return ok(fracRes.value.value);
+  if (fracRes.value.rest.length === 0) return finalize(unit, toQuantity(fracRes.value.value), fracRes.value.rest, span, rnd);
 
   const acc = fracRes.value.value;
-  const wholeRes = parseWhole(unit, acc, fracRes.value.rest);
+  const wholeRes = big ? parseWholeBig(unit, acc, fracRes.value.rest, groups) : parseWhole(unit, acc, fracRes.value.rest, groups);
   if (wholeRes.ok === false) {
-    if (wholeRes.error.code === "EmptyQuantity" && acc !== 0) return ok(acc);
+    if (wholeRes.error.code === "EmptyQuantity" && (acc !== 0 || rnd?.n)) {
+      return finalize(unit, toQuantity(acc), fracRes.value.rest, span, rnd);
+    }
     return wholeRes;
   }
-  return ok(wholeRes.value.value);
+  return finalize(unit, wholeRes.value.value, wholeRes.value.rest, span, rnd);
+}
+
+/**
+ * Parse a quantity for a known `unit`, returning a diagnostic error object on failure.
+ *
+ * This does not do compound unit parsing; it parses a single quantity for the given unit.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<number, MassParseError>}
+ */
+export function parseAsDiagnostic(s, unit, options) {
+  return /** @type {Result<number, MassParseError>} */ (parseAsImpl(s, unit, false, options));
 }
 
 /**
@@ -667,24 +1249,316 @@ export function parseAsDiagnostic(s, unit) {
  *
  * @param {string} s
  * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
  * @returns {number | null}
  */
-export function parseAs(s, unit) {
+export function parseAs(s, unit, options) {
+  if (options?.rounding != null) {
+    const r = parseAsImpl(s, unit, false, options);
+    return r.ok ? r.value : null;
+  }
+
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
   const end0 = trimEndJotoWhitespaceIndex(s);
   if (end0 === 0) return null;
 
   const num = _numScratch;
-  if (!takeDecimalFracFast(unit, s, end0, num)) return null;
+  const expStatus = takeExponentFast(unit, s, end0, num, dec, groups);
+  if (expStatus !== 0) return expStatus > 0 ? finalizeFast(num.value, s, num.restEnd) : null;
+
+  if (!takeDecimalFracFast(unit, s, end0, num, dec)) return null;
 
   const acc = num.value;
   const end = num.restEnd;
   if (end === 0) return acc;
 
-  const wholeStatus = parseWholeFast(unit, acc, s, end, num);
-  if (wholeStatus === 0) return acc !== 0 ? acc : null;
+  const wholeStatus = parseWholeFast(unit, acc, s, end, num, groups);
+  if (wholeStatus === 0) return acc !== 0 ? finalizeFast(acc, s, end) : null;
   if (wholeStatus < 0) return null;
-  return num.value;
+  return finalizeFast(num.value, s, num.restEnd);
+}
+
+/**
+ * Parse a mass string as a `bigint` quantity in whit, returning a diagnostic error object on
+ * failure.
+ *
+ * This accepts the same grammar as `parseDimDiagnostic`, and reports the same error codes and
+ * indices, but is not limited to the safe-integer range.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<bigint, MassParseError>}
+ */
+export function parseDimBigDiagnostic(s, options) {
+  return /** @type {Result<bigint, MassParseError>} */ (parseDimImpl(s, true, options));
+}
+
+/**
+ * Parse a mass string as a `bigint` quantity in whit, returning `null` on error.
+ *
+ * Use `parseDimBigDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {bigint | null}
+ */
+export function parseDimBig(s, options) {
+  const r = parseDimBigDiagnostic(s, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Parse a quantity for a known `unit` as a `bigint` quantity in whit, returning a diagnostic error
+ * object on failure.
+ *
+ * This accepts the same grammar as `parseAsDiagnostic`, but is not limited to the safe-integer
+ * range.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<bigint, MassParseError>}
+ */
+export function parseAsBigDiagnostic(s, unit, options) {
+  return /** @type {Result<bigint, MassParseError>} */ (parseAsImpl(s, unit, true, options));
+}
+
+/**
+ * Parse a quantity for a known `unit` as a `bigint` quantity in whit, returning `null` on error.
+ *
+ * Use `parseAsBigDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {bigint | null}
+ */
+export function parseAsBig(s, unit, options) {
+  const r = parseAsBigDiagnostic(s, unit, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Parse a mass string, rounding it to a whole number of whit, and return the `residual` (the exact
+ * value less the rounded value) with it, or a diagnostic error object on failure.
+ *
+ * This accepts the same grammar as `parseDimDiagnostic`, but rounds quantities with more decimals
+ * than whit can represent (e.g. `0.1 gr`) with `options.rounding`, which defaults to `halfEven`.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks, and rounding mode.
+ * @returns {Result<{ value: number, residual: Residual }, MassParseError>}
+ */
+export function parseDimRoundedDiagnostic(s, options) {
+  const rnd = roundingState(options, roundingMode(options) ?? "halfEven");
+  const r = parseDimImpl(s, false, options, undefined, rnd);
+  return r.ok ? ok({ value: /** @type {number} */ (r.value), residual: residual(rnd) }) : r;
+}
+
+/**
+ * Parse a quantity for a known `unit`, rounding it to a whole number of whit, and return the
+ * `residual` with it, or a diagnostic error object on failure; see `parseDimRoundedDiagnostic`.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks, and rounding mode.
+ * @returns {Result<{ value: number, residual: Residual }, MassParseError>}
+ */
+export function parseAsRoundedDiagnostic(s, unit, options) {
+  const rnd = roundingState(options, roundingMode(options) ?? "halfEven");
+  const r = parseAsImpl(s, unit, false, options, undefined, rnd);
+  return r.ok ? ok({ value: /** @type {number} */ (r.value), residual: residual(rnd) }) : r;
+}
+
+/**
+ * A mass found by `scanDims`.
+ *
+ * `start` and `end` are UTF-16 code unit indices (like `String.prototype.slice`) into the scanned
+ * text, and `unit` is the unit the match ends with (the ounce of a pound+ounce compound).
+ *
+ * @typedef {{ start: number, end: number, value: number, unit: number, domain: "mass" }} MassScanMatch
+ */
+
+function unitAt(s, end) {
+  return stripUnitAt(s, end, _stripScratch) ? _stripScratch.unit : -1;
+}
+
+/**
+ * Find every mass in free text (e.g. `2 lb 4 oz, max 2.5kg`).
+ *
+ * A match is a quantity accepted by `parseDimDiagnostic` whose unit ends at a word boundary; text
+ * which does not parse is skipped. A sign directly after a word or number (e.g. the dash in a
+ * range like `3-5`) is not part of the match. Matches are returned in order and do not overlap.
+ *
+ * @param {string} text
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {MassScanMatch[]}
+ */
+export function scanDims(text, options) {
+  return /** @type {MassScanMatch[]} */ (
+    scanMatches(text, options, "mass", unitAt, (s, span) => parseDimImpl(s, false, options, span))
+  );
+}
+
+const parserDomain = {
+  unitAt,
+  parse: (s, options, span) => parseDimImpl(s, false, options, span),
+  parseAs: (s, unit, options, span) => parseAsImpl(s, unit, false, options, span),
+  delta: (value) => value,
+  absolute: false,
+};
+
+/**
+ * Parse toleranced mass notation (e.g. `500g \u00b12`, `2 lb +1/-0 oz` or `1.9\u20132.1kg`),
+ * returning a diagnostic error object on failure.
+ *
+ * This supports symmetric (`\u00b1` or `+/-`), asymmetric (`+a/-b`, where either deviation may
+ * have either sign) and limit (U+2013 EN DASH) notation. Each part is a quantity accepted by
+ * `parseDimDiagnostic`. A part without a unit takes the unit of the nearest part after it which
+ * has one, or else before it (e.g. `1.500 +.002/-.001 in`, `2 lb +1/-0 oz`).
+ *
+ * Errors report the failing `part` of the notation, and an `index` into the whole input.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<Tolerance, MassToleranceParseError>}
+ */
+export function parseToleranceDiagnostic(s, options) {
+  return /** @type {Result<Tolerance, MassToleranceParseError>} */ (parseToleranceWith(s, options, parserDomain));
+}
+
+/**
+ * Parse toleranced mass notation, returning `null` on error.
+ *
+ * Use `parseToleranceDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Tolerance | null}
+ */
+export function parseTolerance(s, options) {
+  const r = parseToleranceDiagnostic(s, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Evaluate an arithmetic expression of masses (e.g. `2kg + 3 \u00d7 150g` or `(1lb - 2oz) / 3`),
+ * returning a diagnostic error object on failure.
+ *
+ * Operands are quantities accepted by `parseDimDiagnostic`, plain decimal numbers and parenthesized
+ * expressions. Quantities may be added and subtracted (`+`, `-`), and multiplied (`*`, `\u00d7`,
+ * `\u22c5`) or divided (`/`, `\u00f7`) by numbers; the expression must evaluate to a quantity.
+ * Evaluation is exact, except that a division which leaves a fraction of a base unit is rounded to
+ * the nearest base unit and reported with `exact: false`.
+ *
+ * Error indices point into the whole expression.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<ExprValue, MassExprParseError>}
+ */
+export function parseExprDiagnostic(s, options) {
+  return /** @type {Result<ExprValue, MassExprParseError>} */ (parseExprWith(s, options, parserDomain));
+}
+
+/**
+ * Evaluate an arithmetic expression of masses, returning `null` on error.
+ *
+ * Use `parseExprDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {ExprValue | null}
+ */
+export function parseExpr(s, options) {
+  const r = parseExprDiagnostic(s, options);
+  return r.ok ? r.value : null;
 }
 
 const _stripScratch = { restEnd: 0, unit: 0 };
 const _numScratch = { restEnd: 0, value: 0 };
+const _expScratch = { start: 0, at: 0, mantissa: 0n, exponent: 0 };
+
+/**
+ * Return basic metadata for a mass unit.
+ *
+ * @param {number} unit
+ * @returns {Readonly<{
+ *   name: string,
+ *   maxDecimalDigits: number,
+ *   leastSignificantDigitValue: number
+ * }>}
+ */
+export function unitInfo(unit) {
+  return Object.freeze({
+    name: unitName(unit),
+    maxDecimalDigits: maxDecimalDigits(unit),
+    leastSignificantDigitValue: leastSignificantDigitValue(unit),
+  });
+}
+
+/**
+ * A user-defined mass unit; see `createRegistry`.
+ *
+ * @typedef {import("../_internal/units.js").UnitDefinition} MassUnitDefinition
+ */
+
+/**
+ * A registry of user-defined mass units, with parsers which accept them alongside the built-in
+ * units; see `createRegistry`.
+ *
+ * @typedef {object} MassRegistry
+ * @property {(definition: MassUnitDefinition) => number} defineUnit
+ *   Define a unit, returning its `unit` value (numbered after those of `Unit`).
+ * @property {typeof parseDim} parseDim
+ * @property {typeof parseDimDiagnostic} parseDimDiagnostic
+ * @property {typeof parseAs} parseAs
+ * @property {typeof parseAsDiagnostic} parseAsDiagnostic
+ * @property {typeof unitInfo} unitInfo
+ */
+
+const BUILTIN_UNITS = new Set(Object.values(Unit));
+
+function isBuiltinSymbol(symbol) {
+  return stripBuiltinUnitAt(symbol, symbol.length, _stripScratch) && _stripScratch.restEnd === 0;
+}
+
+/**
+ * Create a registry of user-defined mass units (e.g. a bag of fixed mass).
+ *
+ * Units are defined on the registry, and only its methods (and formatters made for it with
+ * `createFormatter` from `joto/format/mass`) accept them; the module-level functions are
+ * unaffected. Unit values are allocated in order of definition, skipping the values of `Unit` (which
+ * are their scales in whit), so a user-defined unit may have the scale of any other unit.
+ *
+ * A unit with a `superior` may follow that unit, or any larger unit of its chains, in compounds
+ * (e.g. `1 st 2 qr`, for a quarter with `superior: Unit.LongHundredweight`).
+ *
+ * @returns {MassRegistry}
+ */
+export function createRegistry() {
+  const table = unitTable("mass");
+  let next = BUILTIN_UNITS.size;
+  return registerTable(
+    {
+      defineUnit(definition) {
+        const { scale, superior: sup } = definition;
+        if (sup != null) {
+          const supScale = BUILTIN_UNITS.has(sup) ? sup : table.units.get(sup)?.scale;
+          if (supScale == null || supScale <= scale) throw new RangeError("superior must be a larger defined unit");
+        }
+        while (BUILTIN_UNITS.has(next)) next += 1;
+        const unit = addUnit(table, next, definition, isBuiltinSymbol);
+        next += 1;
+        return unit;
+      },
+      parseDim: (s, options) => withUnits(table, parseDim, s, options),
+      parseDimDiagnostic: (s, options) => withUnits(table, parseDimDiagnostic, s, options),
+      parseAs: (s, unit, options) => withUnits(table, parseAs, s, unit, options),
+      parseAsDiagnostic: (s, unit, options) => withUnits(table, parseAsDiagnostic, s, unit, options),
+      unitInfo: (unit) => withUnits(table, unitInfo, unit),
+    },
+    table,
+  );
+}
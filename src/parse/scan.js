@@ -0,0 +1,87 @@
+/**
+ * Scan free text for dimensions of every domain.
+ *
+ * ## Examples
+ * ```js
+ * import { Domain, scanDims } from "@xorgy/joto/parse/scan";
+ *
+ * const text = "drill 3/8\" holes 1'-6\" apart, max 2.5kg";
+ * for (const m of scanDims(text)) {
+ *   console.log(m.domain, text.slice(m.start, m.end), m.value);
+ * }
+ * // length 3/8" 85725000
+ * // length 1'-6" 4114800000
+ * // mass 2.5kg 8000000000000
+ *
+ * console.assert(scanDims(text, Domain.Mass).length === 1);
+ * ```
+ *
+ * @module joto/parse/scan
+ */
+
+import * as length from "./length.js";
+import * as mass from "./mass.js";
+import * as temperature from "./temperature.js";
+
+/**
+ * Quantity domain.
+ *
+ * @readonly
+ * @enum {"length"|"mass"|"temperature"}
+ */
+export const Domain = Object.freeze({
+  Length: "length",
+  Mass: "mass",
+  Temperature: "temperature",
+});
+
+/**
+ * A quantity found by `scanDims`; `value` is in the base unit of its `domain`.
+ *
+ * @typedef {length.LengthScanMatch | mass.MassScanMatch | temperature.TemperatureScanMatch} ScanMatch
+ */
+
+/**
+ * Find every length, mass and temperature in free text.
+ *
+ * This merges the matches of each domain's `scanDims`. Where matches of different domains
+ * overlap, the one which starts first (or, for equal starts, the longest) is kept; remaining ties
+ * go to length, then mass, then temperature.
+ *
+ * @param {string} text
+ * @param {Domain} [domain] Only scan for quantities of this domain.
+ * @param {import("../_internal/parse-options.js").ParseOptions} [options] Decimal and group marks.
+ * @returns {ScanMatch[]}
+ */
+export function scanDims(text, domain, options) {
+  switch (domain) {
+    case Domain.Length:
+      return length.scanDims(text, options);
+    case Domain.Mass:
+      return mass.scanDims(text, options);
+    case Domain.Temperature:
+      return temperature.scanDims(text, options);
+    case undefined:
+      break;
+    default:
+      throw new RangeError(`unknown domain: ${domain}`);
+  }
+
+  /** @type {ScanMatch[]} */
+  const all = [
+    ...length.scanDims(text, options),
+    ...mass.scanDims(text, options),
+    ...temperature.scanDims(text, options),
+  ];
+  all.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  /** @type {ScanMatch[]} */
+  const matches = [];
+  let end = 0;
+  for (const m of all) {
+    if (m.start < end) continue;
+    matches.push(m);
+    end = m.end;
+  }
+  return matches;
+}
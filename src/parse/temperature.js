@@ -22,12 +22,27 @@
 
 import * as c from "../constants/temperature.js";
 import {
-  isGroupSeparatorCharCode,
+  asciiWordStartIndex,
+  endsWithCharCode,
+  followsStrayMark,
+  isGroupMarkCharCode,
+  scaleByPowerOfTen,
   stripTrailingAsciiDigits,
+  takeDecimalMantissa,
+  takeUnicodeFraction,
   trimEndJotoWhitespace,
   trimEndJotoWhitespaceIndex,
+  takeExponentNotation,
   trimTrailingAsciiZeroes,
 } from "../_internal/parse-helpers.js";
+import { decimalMarkCharCode, groupMarks, localeParseOptions, roundingMode } from "../_internal/parse-options.js";
+import { residual, roundMagnitude, roundingState, splitDecimalFraction } from "../_internal/rounding.js";
+import { scanMatches } from "../_internal/scan.js";
+import { parseExprWith } from "../_internal/expr.js";
+import { parseToleranceWith } from "../_internal/tolerance.js";
+import { addUnit, registerTable, stripUserUnitAt, unitTable, userUnit, withUnits } from "../_internal/units.js";
+
+export { localeParseOptions };
 
 /**
  * A parse result used by the diagnostic parsing APIs.
@@ -37,10 +52,34 @@ import {
  * @typedef {{ ok: true, value: T } | { ok: false, error: E }} Result
  */
 
+/**
+ * Number mark options for parsing; see `localeParseOptions`.
+ *
+ * @typedef {import("../_internal/parse-options.js").ParseOptions} ParseOptions
+ */
+
+/**
+ * The residual of a rounded temperature; see `parseDimRoundedDiagnostic`.
+ *
+ * @typedef {import("../_internal/rounding.js").Residual} Residual
+ */
+
+/**
+ * A toleranced quantity; see `parseToleranceDiagnostic`.
+ *
+ * @typedef {import("../_internal/tolerance.js").Tolerance} Tolerance
+ */
+
+/**
+ * The value of an expression; see `parseExprDiagnostic`.
+ *
+ * @typedef {import("../_internal/expr.js").ExprValue} ExprValue
+ */
+
 /**
  * Parse error codes for temperature parsing.
  *
- * @typedef {"Empty"|"NoUnit"|"EmptyQuantity"|"TooBig"|"TooSmall"|"TooPrecise"|"InvalidSign"} TemperatureParseErrorCode
+ * @typedef {"Empty"|"NoUnit"|"EmptyQuantity"|"TooBig"|"TooSmall"|"TooPrecise"|"InvalidSign"|"InvalidMark"|"StrayMark"} TemperatureParseErrorCode
  */
 
 /**
@@ -56,6 +95,23 @@ import {
  * }} TemperatureParseError
  */
 
+/**
+ * A temperature tolerance parse error, which also names the failing `part` of the notation.
+ *
+ * @typedef {Omit<TemperatureParseError, "code"> & {
+ *   code: TemperatureParseErrorCode | import("../_internal/tolerance.js").ToleranceErrorCode,
+ *   part: import("../_internal/tolerance.js").TolerancePart
+ * }} TemperatureToleranceParseError
+ */
+
+/**
+ * A temperature expression parse error.
+ *
+ * @typedef {Omit<TemperatureParseError, "code"> & {
+ *   code: TemperatureParseErrorCode | import("../_internal/expr.js").ExprErrorCode
+ * }} TemperatureExprParseError
+ */
+
 /**
  * Unit type for parsing.
  *
@@ -65,6 +121,13 @@ import {
  * - Absolute units (`K`, `\u00b0R`) parse to absolute temperatures.
  * - Relative units (`\u00b0C`, `\u00b0F`) parse to absolute temperatures by applying an origin
  *   offset (`ZERO_CELSIUS`, `ZERO_FAHRENHEIT`).
+ * - Historical scales (`\u00b0R\u00e9`, `\u00b0De`, `\u00b0R\u00f8`, `\u00b0N`) are relative too. Delisle counts
+ *   down from the boiling point of water, so its `scale` is negative. Degrees R\u00f8mer and Newton
+ *   are not whole numbers of smidge; they are parsed and formatted exactly, but rounded to the
+ *   nearest smidge by default.
+ * - Gas marks are written before the mark (`Gas Mark 4`, `GM 4`, `Gas \u00bc`). Marks from 1 up are
+ *   25 \u00b0F apart from 275 \u00b0F, which `scale` and `originOffset` describe; below mark 1,
+ *   there are only mark \u00bd (250 \u00b0F) and mark \u00bc (225 \u00b0F).
  *
  * @readonly
  * @typedef {object} TemperatureUnitEnum
@@ -75,6 +138,11 @@ import {
  * @property {number} Rankine Rankine — absolute scale of Fahrenheit.
  * @property {number} Celsius Celsius — relative scale based on Kelvin, with origin at `ZERO_CELSIUS`.
  * @property {number} Fahrenheit Fahrenheit — relative scale based on Rankine, with origin at `ZERO_FAHRENHEIT`.
+ * @property {number} Reaumur R\u00e9aumur — 1.25 K per degree, with origin at `ZERO_CELSIUS`.
+ * @property {number} Delisle Delisle — \u2154 K per degree downward, with origin at 373.15 K.
+ * @property {number} Romer R\u00f8mer — 40\u204421 K per degree, with origin at \u22127.5 \u00b0R\u00f8 = 0 \u00b0C.
+ * @property {number} Newton Newton — 100\u204433 K per degree, with origin at `ZERO_CELSIUS`.
+ * @property {number} GasMark Gas mark — oven temperature marks, 25 \u00b0F apart from 275 \u00b0F at mark 1.
  */
 export const Unit = Object.freeze({
   Smidge: 0,
@@ -84,6 +152,11 @@ export const Unit = Object.freeze({
   Rankine: 4,
   Celsius: 5,
   Fahrenheit: 6,
+  Reaumur: 7,
+  Delisle: 8,
+  Romer: 9,
+  Newton: 10,
+  GasMark: 11,
 });
 
 function isAsciiDigitCharCode(c) {
@@ -112,8 +185,18 @@ export function abbr(unit) {
       return "\u00b0C";
     case Unit.Fahrenheit:
       return "\u00b0F";
+    case Unit.Reaumur:
+      return "\u00b0R\u00e9";
+    case Unit.Delisle:
+      return "\u00b0De";
+    case Unit.Romer:
+      return "\u00b0R\u00f8";
+    case Unit.Newton:
+      return "\u00b0N";
+    case Unit.GasMark:
+      return "GM";
     default:
-      return "";
+      return userUnit("temperature", unit)?.symbol ?? "";
   }
 }
 
@@ -139,8 +222,18 @@ export function asciiAbbr(unit) {
       return "C";
     case Unit.Fahrenheit:
       return "F";
+    case Unit.Reaumur:
+      return "degRe";
+    case Unit.Delisle:
+      return "degDe";
+    case Unit.Romer:
+      return "degRo";
+    case Unit.Newton:
+      return "degN";
+    case Unit.GasMark:
+      return "GM";
     default:
-      return "";
+      return userUnit("temperature", unit)?.asciiSymbol ?? "";
   }
 }
 
@@ -158,14 +251,19 @@ export function maxDecimalDigits(unit) {
       return 1;
     case Unit.ThousandthRankine:
       return 1;
+    case Unit.Reaumur:
+      return 2;
     default:
-      return 4;
+      return userUnit("temperature", unit)?.maxDecimalDigits ?? 4;
   }
 }
 
 /**
  * Unit increment in smidge.
  *
+ * This is negative for Delisle, whose degrees count down. For R\u00f8mer and Newton, whose degrees are
+ * not whole numbers of smidge, it is the nearest smidge.
+ *
  * @param {number} unit
  * @returns {number}
  */
@@ -183,15 +281,32 @@ export function scale(unit) {
     case Unit.Rankine:
     case Unit.Fahrenheit:
       return c.RANKINE;
+    case Unit.Reaumur:
+      return (5 * c.KELVIN) / 4;
+    case Unit.Delisle:
+      return (-2 * c.KELVIN) / 3;
+    case Unit.Romer:
+      return Math.round((40 * c.KELVIN) / 21);
+    case Unit.Newton:
+      return Math.round((100 * c.KELVIN) / 33);
+    case Unit.GasMark:
+      return 25 * c.RANKINE;
     default:
-      return 1;
+      return userUnit("temperature", unit)?.scale ?? 1;
   }
 }
 
+// The size of a degree of `unit` in smidge, whichever way its scale counts.
+function degreeSize(unit) {
+  return Math.abs(scale(unit));
+}
+
 /**
  * Unit origin offset in smidge.
  *
- * For relative scales, this is the absolute temperature corresponding to `0°C` or `0°F`.
+ * For relative scales, this is the absolute temperature corresponding to `0°C` or `0°F`. For
+ * R\u00f8mer, whose zero is not a whole number of smidge, it is the nearest smidge. For gas marks, it
+ * is the temperature marks from 1 up count from (250 \u00b0F), which is also mark \u00bd.
  *
  * @param {number} unit
  * @returns {number}
@@ -199,11 +314,19 @@ export function scale(unit) {
 export function originOffset(unit) {
   switch (unit) {
     case Unit.Celsius:
+    case Unit.Reaumur:
+    case Unit.Newton:
       return c.ZERO_CELSIUS;
     case Unit.Fahrenheit:
       return c.ZERO_FAHRENHEIT;
+    case Unit.Delisle:
+      return c.ZERO_CELSIUS + 100 * c.KELVIN;
+    case Unit.Romer:
+      return Math.round(c.ZERO_CELSIUS - (300 * c.KELVIN) / 21);
+    case Unit.GasMark:
+      return c.ZERO_FAHRENHEIT + 250 * c.RANKINE;
     default:
-      return 0;
+      return userUnit("temperature", unit)?.origin ?? 0;
   }
 }
 
@@ -221,8 +344,19 @@ export function leastSignificantDigitValue(unit) {
     case Unit.Kelvin:
     case Unit.Celsius:
       return 9;
-    default:
-      return 5;
+    case Unit.Reaumur:
+      return 1_125;
+    case Unit.Delisle:
+      return 6;
+    case Unit.Romer:
+    case Unit.Newton:
+      return Math.round(degreeSize(unit) / 10 ** maxDecimalDigits(unit));
+    case Unit.GasMark:
+      return 125;
+    default: {
+      const user = userUnit("temperature", unit);
+      return user ? user.scale / 10 ** user.maxDecimalDigits : 5;
+    }
   }
 }
 
@@ -231,7 +365,11 @@ export function leastSignificantDigitValue(unit) {
  *
  * This does not trim whitespace; callers typically want to `trimEnd` first.
  *
- * For `°C`, `°F`, and `°R`, the degree sign is optional.
+ * For `°C`, `°F` and `°R`, the degree sign is optional. `°Ré`, `°De`, `°Rø` and `°N` need it, or
+ * `deg` in its place (`degRe`, `degDe`, `degRo`, `degN`), so that `5 N` is not a temperature;
+ * `°Ré` and `°Rø` may also be written `°Re` and `°Ro`. Spelled-out unit names are recognized
+ * ASCII case-insensitively, optionally preceded by `degree`, `degrees` or `deg` (e.g.
+ * `20 degrees Celsius`, `300 kelvins`).
  *
  * @param {string} s
  * @returns {{ rest: string, unit: number } | null}
@@ -242,10 +380,81 @@ export function stripUnit(s) {
   return { rest: s.slice(0, out.restEnd), unit: out.unit };
 }
 
-function stripUnitAt(s, end, out) {
+function stripName(s, end, name, unit, out) {
+  const start = asciiWordStartIndex(s, end, name);
+  if (start < 0) return false;
+  return ((out.restEnd = start), (out.unit = unit), true);
+}
+
+// Spelled-out unit names (singular and plural, ASCII case-insensitive), by their last letter.
+function stripUnitNameAt(s, end, out) {
+  if (end === 0) return false;
+  switch (s.charCodeAt(end - 1) | 0x20) {
+    case 0x65 /* e */:
+      return (
+        stripName(s, end, "rankine", Unit.Rankine, out) ||
+        stripName(s, end, "centigrade", Unit.Celsius, out) ||
+        stripName(s, end, "smidge", Unit.Smidge, out) ||
+        stripName(s, end, "delisle", Unit.Delisle, out)
+      );
+    case 0x6e /* n */:
+      return (
+        stripName(s, end, "millikelvin", Unit.Millikelvin, out) ||
+        stripName(s, end, "kelvin", Unit.Kelvin, out) ||
+        stripName(s, end, "newton", Unit.Newton, out)
+      );
+    case 0x72 /* r */:
+      return (
+        stripName(s, end, "r\u00e9aumur", Unit.Reaumur, out) ||
+        stripName(s, end, "reaumur", Unit.Reaumur, out) ||
+        stripName(s, end, "r\u00f8mer", Unit.Romer, out) ||
+        stripName(s, end, "roemer", Unit.Romer, out) ||
+        stripName(s, end, "romer", Unit.Romer, out)
+      );
+    case 0x73 /* s */:
+      return (
+        stripName(s, end, "celsius", Unit.Celsius, out) ||
+        stripName(s, end, "millikelvins", Unit.Millikelvin, out) ||
+        stripName(s, end, "kelvins", Unit.Kelvin, out) ||
+        stripName(s, end, "smidges", Unit.Smidge, out)
+      );
+    case 0x74 /* t */:
+      return stripName(s, end, "fahrenheit", Unit.Fahrenheit, out);
+    default:
+      return false;
+  }
+}
+
+// Strip a `degree`, `degrees` or `deg` word before a spelled-out unit name (e.g. `20 degrees
+// Celsius`).
+function stripDegreesAt(s, out) {
+  const end = trimEndJotoWhitespaceIndex(s, out.restEnd);
+  if (end === out.restEnd) return;
+  let start = asciiWordStartIndex(s, end, "degrees");
+  if (start < 0) start = asciiWordStartIndex(s, end, "degree");
+  if (start < 0) start = asciiWordStartIndex(s, end, "deg");
+  if (start >= 0) out.restEnd = start;
+}
+
+function stripBuiltinUnitAt(s, end, out) {
+  if (stripUnitNameAt(s, end, out)) return (stripDegreesAt(s, out), true);
+
   // Smidge.
   if (s.endsWith("sd", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Smidge), true);
 
+  // Réaumur / Delisle / Rømer / Newton. These need the degree sign, or `deg` in ASCII, since a
+  // bare `N` is a newton of force.
+  if (s.endsWith("\u00b0R\u00e9", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Reaumur), true);
+  if (s.endsWith("\u00b0Re", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Reaumur), true);
+  if (s.endsWith("degRe", end)) return ((out.restEnd = end - 5), (out.unit = Unit.Reaumur), true);
+  if (s.endsWith("\u00b0De", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Delisle), true);
+  if (s.endsWith("degDe", end)) return ((out.restEnd = end - 5), (out.unit = Unit.Delisle), true);
+  if (s.endsWith("\u00b0R\u00f8", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Romer), true);
+  if (s.endsWith("\u00b0Ro", end)) return ((out.restEnd = end - 3), (out.unit = Unit.Romer), true);
+  if (s.endsWith("degRo", end)) return ((out.restEnd = end - 5), (out.unit = Unit.Romer), true);
+  if (s.endsWith("\u00b0N", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Newton), true);
+  if (s.endsWith("degN", end)) return ((out.restEnd = end - 4), (out.unit = Unit.Newton), true);
+
   // Celsius / Fahrenheit (strip the degree sign if present).
   if (s.endsWith("\u00b0C", end)) return ((out.restEnd = end - 2), (out.unit = Unit.Celsius), true);
   if (s.endsWith("C", end)) return ((out.restEnd = end - 1), (out.unit = Unit.Celsius), true);
@@ -265,6 +474,17 @@ function stripUnitAt(s, end, out) {
   return false;
 }
 
+// Strip the longest unit symbol or name ending at `end`, including user-defined units in effect.
+function stripUnitAt(s, end, out) {
+  if (!stripUserUnitAt("temperature", s, end, out)) return stripBuiltinUnitAt(s, end, out);
+  const { restEnd, unit } = out;
+  if (!stripBuiltinUnitAt(s, end, out) || out.restEnd >= restEnd) {
+    out.restEnd = restEnd;
+    out.unit = unit;
+  }
+  return true;
+}
+
 /**
  * @param {TemperatureParseErrorCode} code
  * @param {number} index
@@ -291,9 +511,9 @@ function stripSign(s) {
   return { rest: s, sign: 1, has: false };
 }
 
-function takeDecimalFrac(unit, rest) {
+function takeDecimalFrac(unit, rest, dec, rnd) {
   const at = rest.length;
-  if (rest.endsWith(".")) {
+  if (endsWithCharCode(rest, dec)) {
     const r = rest.slice(0, -1);
     if (r.length > 0 && isAsciiDigitCharCode(r.charCodeAt(r.length - 1))) return ok({ rest: r, value: 0, hadFrac: false });
     return err("EmptyQuantity", at, { unit });
@@ -305,7 +525,7 @@ function takeDecimalFrac(unit, rest) {
   const hadFracDigits = digits.length > 0;
   const nonzeroDigits = trimTrailingAsciiZeroes(digits);
   const len = nonzeroDigits.length;
-  if (!dRest.endsWith(".")) return ok({ rest, value: 0, hadFrac: false });
+  if (!endsWithCharCode(dRest, dec)) return ok({ rest, value: 0, hadFrac: false });
 
   const r = dRest.slice(0, -1);
   if (len === 0) {
@@ -314,7 +534,10 @@ function takeDecimalFrac(unit, rest) {
   }
 
   const scaleDigits = maxDecimalDigits(unit);
-  if (len > scaleDigits) return err("TooPrecise", at, { unit });
+  if (len > scaleDigits) {
+    if (!rnd) return err("TooPrecise", at, { unit });
+    return ok({ rest: r, value: splitDecimalFraction(rnd, nonzeroDigits, degreeSize(unit)), hadFrac: true });
+  }
 
   const b = nonzeroDigits;
   let pv = leastSignificantDigitValue(unit);
@@ -339,12 +562,12 @@ function maxWholeDigitsForScale(scaleValue) {
   return String(q).length;
 }
 
-function parseWhole(unit, acc, s) {
+function parseWhole(unit, acc, s, groups) {
   if (s.length === 0 || !isAsciiDigitCharCode(s.charCodeAt(s.length - 1))) {
     return err("EmptyQuantity", s.length, { unit });
   }
 
-  const unitScale = scale(unit);
+  const unitScale = degreeSize(unit);
   const maxDigits = maxWholeDigitsForScale(unitScale);
   let pv = unitScale;
   let digitsSeen = 0;
@@ -373,7 +596,7 @@ function parseWhole(unit, acc, s) {
       i -= 1;
       continue;
     }
-    if (isGroupSeparatorCharCode(cCode)) {
+    if (isGroupMarkCharCode(cCode, groups)) {
       i -= 1;
       continue;
     }
@@ -383,15 +606,64 @@ function parseWhole(unit, acc, s) {
   return ok({ rest: s.slice(0, i), value: acc });
 }
 
-function finalize(unit, acc, rest) {
+function parseWholeBig(unit, acc, s, groups) {
+  if (s.length === 0 || !isAsciiDigitCharCode(s.charCodeAt(s.length - 1))) {
+    return err("EmptyQuantity", s.length, { unit });
+  }
+
+  let total = BigInt(acc);
+  let pv = BigInt(degreeSize(unit));
+  let i = s.length;
+
+  while (i > 0) {
+    const cCode = s.charCodeAt(i - 1);
+    if (isAsciiDigitCharCode(cCode)) {
+      const digit = cCode & 0x0f;
+      if (digit !== 0) total += pv * BigInt(digit);
+      pv *= 10n;
+      i -= 1;
+      continue;
+    }
+    if (isGroupMarkCharCode(cCode, groups)) {
+      i -= 1;
+      continue;
+    }
+    break;
+  }
+
+  return ok({ rest: s.slice(0, i), value: total });
+}
+
+// Apply the sign and origin of `unit` to the magnitude `acc`; an `interval` (see `parseDelta`) has
+// no origin, and may have either sign. Degrees of a scale which counts down (Delisle) are below the
+// origin unless negative.
+function finalize(unit, acc, rest, span, rnd, interval = false) {
+  if (followsStrayMark(rest, rest.length)) return err("StrayMark", rest.length - 1, { unit });
   const trimmed = trimEndJotoWhitespace(rest);
   const signInfo = stripSign(trimmed);
-  if (signInfo.has && originOffset(unit) === 0) {
+  if (signInfo.has && originOffset(unit) === 0 && !interval) {
     return err("InvalidSign", signInfo.rest.length, { unit });
   }
+  if (span) span.start = signInfo.has ? signInfo.rest.length : rest.length;
+  const below = signInfo.sign < 0 !== scale(unit) < 0;
+  if (rnd) acc = roundMagnitude(rnd, acc, below);
+
+  if (interval) {
+    if (typeof acc === "number" && acc > Number.MAX_SAFE_INTEGER) return err("TooBig", signInfo.rest.length, { unit });
+    return ok(below && acc !== 0 ? -acc : acc);
+  }
+
+  if (typeof acc === "bigint") {
+    const origin = BigInt(originOffset(unit));
+    if (below) {
+      if (acc > origin) return err("TooSmall", signInfo.rest.length, { unit });
+      return ok(origin - acc);
+    }
+    return ok(origin + acc);
+  }
 
   const origin = originOffset(unit);
-  if (signInfo.has && signInfo.sign < 0) {
+  if (below) {
     if (acc > origin) return err("TooSmall", signInfo.rest.length, { unit });
     return ok(origin - acc);
   }
@@ -411,11 +683,11 @@ const MAX_WHOLE_DIGITS_BY_UNIT = Object.freeze({
   [Unit.Fahrenheit]: String(Math.trunc(Number.MAX_SAFE_INTEGER / scale(Unit.Fahrenheit))).length,
 });
 
-function parseWholeFast(unit, acc, s, end, out) {
+function parseWholeFast(unit, acc, s, end, out, groups) {
   if (end === 0 || !isAsciiDigitCharCode(s.charCodeAt(end - 1))) return 0;
 
-  const unitScale = scale(unit);
-  const maxDigits = MAX_WHOLE_DIGITS_BY_UNIT[unit] ?? 0;
+  const unitScale = degreeSize(unit);
+  const maxDigits = MAX_WHOLE_DIGITS_BY_UNIT[unit] ?? maxWholeDigitsForScale(unitScale);
   let pv = unitScale;
   let digitsSeen = 0;
   let i = end;
@@ -441,7 +713,7 @@ function parseWholeFast(unit, acc, s, end, out) {
       i -= 1;
       continue;
     }
-    if (isGroupSeparatorCharCode(cCode)) {
+    if (isGroupMarkCharCode(cCode, groups)) {
       i -= 1;
       continue;
     }
@@ -453,9 +725,9 @@ function parseWholeFast(unit, acc, s, end, out) {
   return 1;
 }
 
-function takeDecimalFracFast(unit, s, end, out) {
+function takeDecimalFracFast(unit, s, end, out, dec) {
   // Trailing '.' is accepted only if preceded by a digit.
-  if (end > 0 && s.charCodeAt(end - 1) === 0x2e /* . */) {
+  if (end > 0 && s.charCodeAt(end - 1) === dec) {
     const rEnd = end - 1;
     if (rEnd > 0 && isAsciiDigitCharCode(s.charCodeAt(rEnd - 1))) {
       out.restEnd = rEnd;
@@ -479,7 +751,7 @@ function takeDecimalFracFast(unit, s, end, out) {
   }
 
   // No '.' before digits: no fraction.
-  if (digitsStart === 0 || s.charCodeAt(digitsStart - 1) !== 0x2e /* . */) {
+  if (digitsStart === 0 || s.charCodeAt(digitsStart - 1) !== dec) {
     out.restEnd = end;
     out.value = 0;
     out.hadFrac = false;
@@ -521,6 +793,7 @@ function takeDecimalFracFast(unit, s, end, out) {
 }
 
 function finalizeFast(unit, acc, s, end) {
+  if (followsStrayMark(s, end)) return null;
   let restEnd = trimEndJotoWhitespaceIndex(s, end);
   let sign = 1;
   let hasSign = false;
@@ -540,7 +813,7 @@ function finalizeFast(unit, acc, s, end) {
   const origin = originOffset(unit);
   if (hasSign && origin === 0) return null;
 
-  if (hasSign && sign < 0) {
+  if (sign < 0 !== scale(unit) < 0) {
     if (acc > origin) return null;
     return origin - acc;
   }
@@ -549,43 +822,249 @@ function finalizeFast(unit, acc, s, end) {
   return v > Number.MAX_SAFE_INTEGER ? null : v;
 }
 
-/**
- * Parse a temperature string, returning a diagnostic error object on failure.
- *
- * Parsed values are absolute temperatures in smidge:
- * - `t°C = ZERO_CELSIUS + t × KELVIN`
- * - `t°F = ZERO_FAHRENHEIT + t × RANKINE`
- *
- * @param {string} s
- * @returns {Result<number, TemperatureParseError>}
- */
-export function parseDimDiagnostic(s) {
+// Take a quantity in exponent notation (e.g. `1.5e-3`, `2.2\u00d710\u00b3`) ending `rest`, scaled exactly
+// (or truncated, with rounding state `rnd`); returns `null` if `rest` has no exponent notation.
+function takeExponent(unit, rest, dec, groups, big, rnd) {
+  const e = _expScratch;
+  if (!takeExponentNotation(rest, rest.length, dec, groups, e)) return null;
+  const v = scaleByPowerOfTen(e.mantissa, degreeSize(unit), e.exponent, rnd);
+  if (typeof v === "string") return err(v, e.at, { unit });
+  if (!big && v > Number.MAX_SAFE_INTEGER) return err("TooBig", e.at, { unit });
+  return ok({ rest: rest.slice(0, e.start), value: big ? v : Number(v) });
+}
+
+// Returns 1 and sets `out` for exponent notation ending at `end`, 0 if there is none, or -1 if its
+// value cannot be represented.
+function takeExponentFast(unit, s, end, out, dec, groups) {
+  const e = _expScratch;
+  if (!takeExponentNotation(s, end, dec, groups, e)) return 0;
+  const v = scaleByPowerOfTen(e.mantissa, degreeSize(unit), e.exponent);
+  if (typeof v === "string" || v > Number.MAX_SAFE_INTEGER) return -1;
+  out.restEnd = e.start;
+  out.value = Number(v);
+  return 1;
+}
+
+// Exact degrees in smidge of units which are not whole numbers of smidge, as `[numerator,
+// denominator, origin]`, where `origin / denominator` is the absolute temperature of their zero.
+/** @type {Map<number, [bigint, bigint, bigint]>} */
+const RATIO_SCALES = new Map([
+  [Unit.Romer, [1_200_000n, 7n, 163_084_500n]],
+  [Unit.Newton, [3_000_000n, 11n, 270_418_500n]],
+]);
+
+// Take a quantity in a unit which is not a whole number of smidge (see `RATIO_SCALES`) ending
+// `rest`, and apply its sign and origin exactly before rounding with rounding state `rnd`.
+function takeRatioTemperature(unit, rest, dec, groups, big, span, rnd, interval) {
+  const e = _expScratch;
+  if (!takeExponentNotation(rest, rest.length, dec, groups, e)) {
+    if (!takeDecimalMantissa(rest, rest.length, dec, groups, e)) return err("EmptyQuantity", rest.length, { unit });
+    e.at = rest.length;
+  }
+  const at = e.at;
+  if (e.exponent > 1_000) return err("TooBig", at, { unit });
+  if (e.exponent < -1_000) return err("TooPrecise", at, { unit });
+  const [num, den, origin] = RATIO_SCALES.get(unit);
+  const p = 10n ** BigInt(Math.abs(e.exponent));
+  const mag = e.exponent < 0 ? e.mantissa * num : e.mantissa * num * p;
+  const d = e.exponent < 0 ? den * p : den;
+
+  const restNum = rest.slice(0, e.start);
+  if (followsStrayMark(restNum, restNum.length)) return err("StrayMark", restNum.length - 1, { unit });
+  const signInfo = stripSign(trimEndJotoWhitespace(restNum));
+  if (span) span.start = signInfo.has ? signInfo.rest.length : restNum.length;
+  const zero = interval ? 0n : e.exponent < 0 ? origin * p : origin;
+  const n = signInfo.sign < 0 ? zero - mag : zero + mag;
+  if (n < 0n && !interval) return err("TooSmall", signInfo.rest.length, { unit });
+
+  const negative = n < 0n;
+  const abs = negative ? -n : n;
+  let q = abs / d;
+  const rem = abs % d;
+  if (rem !== 0n) {
+    if (!rnd) return err("TooPrecise", at, { unit });
+    rnd.n = rem;
+    rnd.d = d;
+  }
+  if (rnd) q = /** @type {bigint} */ (roundMagnitude(rnd, q, negative));
+  if (!big && q > BigInt(Number.MAX_SAFE_INTEGER)) return err("TooBig", signInfo.rest.length, { unit });
+  const v = negative ? -q : q;
+  return ok(big ? v : Number(v));
+}
+
+// Take a gas mark ending at `end`, as a whole number, decimal or fraction (`4`, `1/4`, `\u00bd`,
+// `4\u00bd`), returning where it starts and its value as `n / d`, or `null`.
+function takeGasMarkNumber(s, end, dec, groups) {
+  const e = _expScratch;
+  const f = _fracScratch;
+  if (takeUnicodeFraction(s, end, f)) {
+    if (f.den === 0) return null;
+    const d = BigInt(f.den);
+    if (takeDecimalMantissa(s, f.start, dec, groups, e) && e.exponent === 0) {
+      return { start: e.start, n: e.mantissa * d + BigInt(f.num), d };
+    }
+    return { start: f.start, n: BigInt(f.num), d };
+  }
+
+  if (!takeDecimalMantissa(s, end, dec, groups, e)) return null;
+  const { start, mantissa, exponent } = e;
+  if (exponent === 0 && s.charCodeAt(start - 1) === 0x2f /* / */ && takeDecimalMantissa(s, start - 1, dec, groups, e)) {
+    if (e.exponent !== 0 || mantissa === 0n) return null;
+    return { start: e.start, n: e.mantissa, d: mantissa };
+  }
+  return { start, n: mantissa, d: 10n ** BigInt(-exponent) };
+}
+
+// The absolute temperature of gas mark `n / d`, whose number is at `at`.
+function gasMarkTemperature(n, d, at, big, rnd) {
+  const unit = Unit.GasMark;
+  let t;
+  if (4n * n === d) {
+    t = BigInt(c.ZERO_FAHRENHEIT + 225 * c.RANKINE);
+  } else if (2n * n === d) {
+    t = BigInt(originOffset(unit));
+  } else if (n < d) {
+    return err("InvalidMark", at, { unit });
+  } else {
+    const v = n * BigInt(scale(unit));
+    let q = v / d;
+    const rem = v % d;
+    if (rem !== 0n) {
+      if (!rnd) return err("TooPrecise", at, { unit });
+      rnd.n = rem;
+      rnd.d = d;
+    }
+    if (rnd) q = /** @type {bigint} */ (roundMagnitude(rnd, q, false));
+    t = BigInt(originOffset(unit)) + q;
+  }
+  if (!big && t > BigInt(Number.MAX_SAFE_INTEGER)) return err("TooBig", at, { unit });
+  return ok(big ? t : Number(t));
+}
+
+// Take a gas mark (`Gas Mark 4`, `GM 4`, `Gas \u00bc`) ending `rest`, or return `null` if `rest` does
+// not end with one.
+function takeGasMark(rest, dec, groups, big, span, rnd) {
+  const mark = takeGasMarkNumber(rest, rest.length, dec, groups);
+  if (!mark) return null;
+
+  const i = trimEndJotoWhitespaceIndex(rest, mark.start);
+  let start = asciiWordStartIndex(rest, i, "mark");
+  if (start >= 0) {
+    const j = trimEndJotoWhitespaceIndex(rest, start);
+    start = j < start ? asciiWordStartIndex(rest, j, "gas") : -1;
+  } else {
+    start = asciiWordStartIndex(rest, i, "gas");
+    if (start < 0) start = asciiWordStartIndex(rest, i, "gm");
+  }
+  if (start < 0) return null;
+
+  // Gas marks have no sign; `-Gas Mark 4` is not Gas Mark 4.
+  const before = trimEndJotoWhitespace(rest.slice(0, start));
+  if (stripSign(before).has) return err("InvalidSign", before.length - 1, { unit: Unit.GasMark });
+  if (span) span.start = start;
+  return gasMarkTemperature(mark.n, mark.d, mark.start, big, rnd);
+}
+
+// ITS-90 fixed points by name, as `[substance, point, temperature]` (e.g. `Ga MP`); `e-H2` goes
+// before `H2`, so that the longer name is taken.
+/** @type {[string, string, number][]} */
+const FIXED_POINTS = [
+  ["e-h2", "tp", c.TRIPLE_POINT_HYDROGEN],
+  ["h2", "tp", c.TRIPLE_POINT_HYDROGEN],
+  ["ne", "tp", c.TRIPLE_POINT_NEON],
+  ["o2", "tp", c.TRIPLE_POINT_OXYGEN],
+  ["ar", "tp", c.TRIPLE_POINT_ARGON],
+  ["hg", "tp", c.TRIPLE_POINT_MERCURY],
+  ["h2o", "tp", c.TRIPLE_POINT_WATER],
+  ["ga", "mp", c.MELTING_POINT_GALLIUM],
+  ["in", "fp", c.FREEZING_POINT_INDIUM],
+  ["sn", "fp", c.FREEZING_POINT_TIN],
+  ["zn", "fp", c.FREEZING_POINT_ZINC],
+  ["al", "fp", c.FREEZING_POINT_ALUMINIUM],
+  ["ag", "fp", c.FREEZING_POINT_SILVER],
+  ["au", "fp", c.FREEZING_POINT_GOLD],
+  ["cu", "fp", c.FREEZING_POINT_COPPER],
+];
+
+// Take the name of an ITS-90 fixed point (`TPW`, `Ga MP`) ending `rest`, or return `null` if
+// `rest` does not end with one.
+function takeFixedPoint(rest, big, span) {
+  let start = asciiWordStartIndex(rest, rest.length, "tpw");
+  let t = c.TRIPLE_POINT_WATER;
+  for (let k = 0; start < 0 && k < FIXED_POINTS.length; k += 1) {
+    const [substance, point, temperature] = FIXED_POINTS[k];
+    const at = asciiWordStartIndex(rest, rest.length, point);
+    const end = at < 0 ? at : trimEndJotoWhitespaceIndex(rest, at);
+    if (end === at) continue;
+    start = asciiWordStartIndex(rest, end, substance);
+    t = temperature;
+  }
+  if (start < 0) return null;
+
+  if (span) span.start = start;
+  return ok(big ? BigInt(t) : t);
+}
+
+function parseDimImpl(s, big, options, span, rnd = roundingState(options)) {
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
   const rest0 = trimEndJotoWhitespace(s);
   if (rest0.length === 0) return err("Empty", 0);
 
   const stripped = stripUnit(rest0);
-  if (!stripped) return err("NoUnit", rest0.length);
+  if (!stripped) {
+    return takeGasMark(rest0, dec, groups, big, span, rnd) ?? takeFixedPoint(rest0, big, span) ?? err("NoUnit", rest0.length);
+  }
 
   const unit = stripped.unit;
   const atUnit = stripped.rest.length;
   const rest = trimEndJotoWhitespace(stripped.rest);
   if (rest.length === 0) return err("EmptyQuantity", atUnit, { unit });
 
-  const fracRes = takeDecimalFrac(unit, rest);
+  if (RATIO_SCALES.has(unit)) {
+    return takeRatioTemperature(unit, rest, dec, groups, big, span, rnd ?? roundingState(options, "halfEven"), false);
+  }
+
+  const exp = takeExponent(unit, rest, dec, groups, big, rnd);
+  if (exp) return exp.ok ? finalize(unit, exp.value.value, exp.value.rest, span, rnd) : exp;
+
+  const fracRes = takeDecimalFrac(unit, rest, dec, rnd);
   if (fracRes.ok === false) return fracRes;
 
-  const frac = fracRes.value.value;
+  const frac = big ? BigInt(fracRes.value.value) : fracRes.value.value;
   const hadFrac = fracRes.value.hadFrac;
   const restAfterFrac = fracRes.value.rest;
 
-  if (restAfterFrac.length === 0) return finalize(unit, frac, restAfterFrac);
+  if (restAfterFrac.length === 0) return finalize(unit, frac, restAfterFrac, span, rnd);
 
-  const wholeRes = parseWhole(unit, frac, restAfterFrac);
+  const wholeRes = big ? parseWholeBig(unit, frac, restAfterFrac, groups) : parseWhole(unit, frac, restAfterFrac, groups);
   if (wholeRes.ok === false) {
-    if (wholeRes.error.code === "EmptyQuantity" && hadFrac) return finalize(unit, frac, restAfterFrac);
+    if (wholeRes.error.code === "EmptyQuantity" && hadFrac) return finalize(unit, frac, restAfterFrac, span, rnd);
     return wholeRes;
   }
-  return finalize(unit, wholeRes.value.value, wholeRes.value.rest);
+  return finalize(unit, wholeRes.value.value, wholeRes.value.rest, span, rnd);
+}
+
+/**
+ * Parse a temperature string, returning a diagnostic error object on failure.
+ *
+ * Parsed values are absolute temperatures in smidge:
+ * - `t°C = ZERO_CELSIUS + t × KELVIN`
+ * - `t°F = ZERO_FAHRENHEIT + t × RANKINE`
+ *
+ * Units may be given as symbols or as spelled-out names (e.g. `20 degrees Celsius`). Decimal and
+ * group marks other than `.` and `,` may be selected with `options` (see `localeParseOptions`).
+ *
+ * The ITS-90 fixed points in `joto/constants/temperature` may be given by name instead, ASCII
+ * case-insensitively: `TPW` or `H2O TP`, `e-H2 TP`, `Ne TP`, `O2 TP`, `Ar TP`, `Hg TP`, `Ga MP`, and
+ * `In FP`, `Sn FP`, `Zn FP`, `Al FP`, `Ag FP`, `Au FP` and `Cu FP`.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<number, TemperatureParseError>}
+ */
+export function parseDimDiagnostic(s, options) {
+  return /** @type {Result<number, TemperatureParseError>} */ (parseDimImpl(s, false, options));
 }
 
 /**
@@ -594,21 +1073,35 @@ export function parseDimDiagnostic(s) {
  * Use `parseDimDiagnostic` if you want to handle specific errors.
  *
  * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
  * @returns {number | null}
  */
-export function parseDim(s) {
+export function parseDim(s, options) {
+  if (options?.rounding != null) {
+    const r = parseDimImpl(s, false, options);
+    return r.ok ? r.value : null;
+  }
+
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
   const end0 = trimEndJotoWhitespaceIndex(s);
   if (end0 === 0) return null;
 
   const stripped = _stripScratch;
-  if (!stripUnitAt(s, end0, stripped)) return null;
+  if (!stripUnitAt(s, end0, stripped) || RATIO_SCALES.has(stripped.unit)) {
+    const r = parseDimImpl(s, false, options);
+    return r.ok ? r.value : null;
+  }
 
   const unit = stripped.unit;
   let end = trimEndJotoWhitespaceIndex(s, stripped.restEnd);
   if (end === 0) return null;
 
   const num = _numScratch;
-  if (!takeDecimalFracFast(unit, s, end, num)) return null;
+  const expStatus = takeExponentFast(unit, s, end, num, dec, groups);
+  if (expStatus !== 0) return expStatus > 0 ? (finalizeFast(unit, num.value, s, num.restEnd) ?? null) : null;
+
+  if (!takeDecimalFracFast(unit, s, end, num, dec)) return null;
 
   let acc = num.value;
   end = num.restEnd;
@@ -616,7 +1109,7 @@ export function parseDim(s) {
 
   if (end === 0) return finalizeFast(unit, acc, s, end) ?? null;
 
-  const wholeStatus = parseWholeFast(unit, acc, s, end, num);
+  const wholeStatus = parseWholeFast(unit, acc, s, end, num, groups);
   if (wholeStatus === 0) return hadFrac ? (finalizeFast(unit, acc, s, end) ?? null) : null;
   if (wholeStatus < 0) return null;
 
@@ -625,35 +1118,57 @@ export function parseDim(s) {
   return finalizeFast(unit, acc, s, end) ?? null;
 }
 
-/**
- * Parse a quantity for a known `unit`, returning a diagnostic error object on failure.
- *
- * This parses a single temperature quantity (including origin offsets for relative scales) for
- * the given unit.
- *
- * @param {string} s
- * @param {number} unit
- * @returns {Result<number, TemperatureParseError>}
- */
-export function parseAsDiagnostic(s, unit) {
+function parseAsImpl(s, unit, big, options, span, rnd = roundingState(options), interval = false) {
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
   const rest0 = trimEndJotoWhitespace(s);
   if (rest0.length === 0) return err("EmptyQuantity", 0, { unit });
 
-  const fracRes = takeDecimalFrac(unit, rest0);
+  if (RATIO_SCALES.has(unit)) {
+    return takeRatioTemperature(unit, rest0, dec, groups, big, span, rnd ?? roundingState(options, "halfEven"), interval);
+  }
+  if (unit === Unit.GasMark && !interval) {
+    const mark = takeGasMarkNumber(rest0, rest0.length, dec, groups);
+    if (!mark) return err("EmptyQuantity", rest0.length, { unit });
+    const rest = trimEndJotoWhitespace(rest0.slice(0, mark.start));
+    if (stripSign(rest).has) return err("InvalidSign", rest.length - 1, { unit });
+    if (span) span.start = mark.start;
+    return gasMarkTemperature(mark.n, mark.d, mark.start, big, rnd);
+  }
+
+  const exp = takeExponent(unit, rest0, dec, groups, big, rnd);
+  if (exp) return exp.ok ? finalize(unit, exp.value.value, exp.value.rest, span, rnd, interval) : exp;
+
+  const fracRes = takeDecimalFrac(unit, rest0, dec, rnd);
   if (fracRes.ok === false) return fracRes;
 
-  const frac = fracRes.value.value;
+  const frac = big ? BigInt(fracRes.value.value) : fracRes.value.value;
   const hadFrac = fracRes.value.hadFrac;
   const restAfterFrac = fracRes.value.rest;
 
-  if (restAfterFrac.length === 0) return finalize(unit, frac, restAfterFrac);
+  if (restAfterFrac.length === 0) return finalize(unit, frac, restAfterFrac, span, rnd, interval);
 
-  const wholeRes = parseWhole(unit, frac, restAfterFrac);
+  const wholeRes = big ? parseWholeBig(unit, frac, restAfterFrac, groups) : parseWhole(unit, frac, restAfterFrac, groups);
   if (wholeRes.ok === false) {
-    if (wholeRes.error.code === "EmptyQuantity" && hadFrac) return finalize(unit, frac, restAfterFrac);
+    if (wholeRes.error.code === "EmptyQuantity" && hadFrac) return finalize(unit, frac, restAfterFrac, span, rnd, interval);
     return wholeRes;
   }
-  return finalize(unit, wholeRes.value.value, wholeRes.value.rest);
+  return finalize(unit, wholeRes.value.value, wholeRes.value.rest, span, rnd, interval);
+}
+
+/**
+ * Parse a quantity for a known `unit`, returning a diagnostic error object on failure.
+ *
+ * This parses a single temperature quantity (including origin offsets for relative scales) for
+ * the given unit.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<number, TemperatureParseError>}
+ */
+export function parseAsDiagnostic(s, unit, options) {
+  return /** @type {Result<number, TemperatureParseError>} */ (parseAsImpl(s, unit, false, options));
 }
 
 /**
@@ -663,14 +1178,25 @@ export function parseAsDiagnostic(s, unit) {
  *
  * @param {string} s
  * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
  * @returns {number | null}
  */
-export function parseAs(s, unit) {
+export function parseAs(s, unit, options) {
+  if (options?.rounding != null || RATIO_SCALES.has(unit) || unit === Unit.GasMark) {
+    const r = parseAsImpl(s, unit, false, options);
+    return r.ok ? r.value : null;
+  }
+
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
   const end0 = trimEndJotoWhitespaceIndex(s);
   if (end0 === 0) return null;
 
   const num = _numScratch;
-  if (!takeDecimalFracFast(unit, s, end0, num)) return null;
+  const expStatus = takeExponentFast(unit, s, end0, num, dec, groups);
+  if (expStatus !== 0) return expStatus > 0 ? (finalizeFast(unit, num.value, s, num.restEnd) ?? null) : null;
+
+  if (!takeDecimalFracFast(unit, s, end0, num, dec)) return null;
 
   let acc = num.value;
   let end = num.restEnd;
@@ -678,7 +1204,7 @@ export function parseAs(s, unit) {
 
   if (end === 0) return finalizeFast(unit, acc, s, end) ?? null;
 
-  const wholeStatus = parseWholeFast(unit, acc, s, end, num);
+  const wholeStatus = parseWholeFast(unit, acc, s, end, num, groups);
   if (wholeStatus === 0) return hadFrac ? (finalizeFast(unit, acc, s, end) ?? null) : null;
   if (wholeStatus < 0) return null;
 
@@ -687,5 +1213,467 @@ export function parseAs(s, unit) {
   return finalizeFast(unit, acc, s, end) ?? null;
 }
 
+/**
+ * Parse a temperature string as a `bigint` absolute temperature in smidge, returning a diagnostic
+ * error object on failure.
+ *
+ * This accepts the same grammar as `parseDimDiagnostic`, and reports the same error codes and
+ * indices, but is not limited to the safe-integer range.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<bigint, TemperatureParseError>}
+ */
+export function parseDimBigDiagnostic(s, options) {
+  return /** @type {Result<bigint, TemperatureParseError>} */ (parseDimImpl(s, true, options));
+}
+
+/**
+ * Parse a temperature string as a `bigint` absolute temperature in smidge, returning `null` on
+ * error.
+ *
+ * Use `parseDimBigDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {bigint | null}
+ */
+export function parseDimBig(s, options) {
+  const r = parseDimBigDiagnostic(s, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Parse a quantity for a known `unit` as a `bigint` absolute temperature in smidge, returning a
+ * diagnostic error object on failure.
+ *
+ * This accepts the same grammar as `parseAsDiagnostic`, but is not limited to the safe-integer
+ * range.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<bigint, TemperatureParseError>}
+ */
+export function parseAsBigDiagnostic(s, unit, options) {
+  return /** @type {Result<bigint, TemperatureParseError>} */ (parseAsImpl(s, unit, true, options));
+}
+
+/**
+ * Parse a quantity for a known `unit` as a `bigint` absolute temperature in smidge, returning
+ * `null` on error.
+ *
+ * Use `parseAsBigDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {bigint | null}
+ */
+export function parseAsBig(s, unit, options) {
+  const r = parseAsBigDiagnostic(s, unit, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Parse a temperature string, rounding it to a whole number of smidge, and return the `residual`
+ * (the exact value less the rounded value) with it, or a diagnostic error object on failure.
+ *
+ * This accepts the same grammar as `parseDimDiagnostic`, but rounds temperatures with more
+ * decimals than smidge can represent with `options.rounding`, which defaults to `halfEven`.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks, and rounding mode.
+ * @returns {Result<{ value: number, residual: Residual }, TemperatureParseError>}
+ */
+export function parseDimRoundedDiagnostic(s, options) {
+  const rnd = roundingState(options, roundingMode(options) ?? "halfEven");
+  const r = parseDimImpl(s, false, options, undefined, rnd);
+  return r.ok ? ok({ value: /** @type {number} */ (r.value), residual: residual(rnd) }) : r;
+}
+
+/**
+ * Parse a quantity for a known `unit`, rounding it to a whole number of smidge, and return the
+ * `residual` with it, or a diagnostic error object on failure; see `parseDimRoundedDiagnostic`.
+ *
+ * @param {string} s
+ * @param {number} unit
+ * @param {ParseOptions} [options] Decimal and group marks, and rounding mode.
+ * @returns {Result<{ value: number, residual: Residual }, TemperatureParseError>}
+ */
+export function parseAsRoundedDiagnostic(s, unit, options) {
+  const rnd = roundingState(options, roundingMode(options) ?? "halfEven");
+  const r = parseAsImpl(s, unit, false, options, undefined, rnd);
+  return r.ok ? ok({ value: /** @type {number} */ (r.value), residual: residual(rnd) }) : r;
+}
+
+// Strip the marks which make a temperature an interval: a U+0394 GREEK CAPITAL LETTER DELTA or
+// U+2206 INCREMENT directly before the unit (`5 \u0394\u00b0C`), or a `diff` word after it
+// (`5 \u00b0F diff`). Returns the text before the unit, or `null` if there is no unit.
+function stripIntervalUnit(s) {
+  let end = s.length;
+  const diff = asciiWordStartIndex(s, end, "diff");
+  if (diff >= 0 && trimEndJotoWhitespaceIndex(s, diff) < diff) end = trimEndJotoWhitespaceIndex(s, diff);
+
+  const out = _stripScratch;
+  if (!stripUnitAt(s, end, out)) return null;
+  let restEnd = out.restEnd;
+  const c = s.charCodeAt(restEnd - 1);
+  if (c === 0x394 /* Δ */ || c === 0x2206 /* ∆ */) restEnd -= 1;
+  return { rest: s.slice(0, restEnd), unit: out.unit };
+}
+
+function parseDeltaImpl(s, big, options, span, rnd = roundingState(options)) {
+  const rest0 = trimEndJotoWhitespace(s);
+  if (rest0.length === 0) return err("Empty", 0);
+
+  const stripped = stripIntervalUnit(rest0);
+  if (!stripped) return err("NoUnit", rest0.length);
+  if (trimEndJotoWhitespace(stripped.rest).length === 0) return err("EmptyQuantity", stripped.rest.length, { unit: stripped.unit });
+  return parseAsImpl(stripped.rest, stripped.unit, big, options, span, rnd, true);
+}
+
+/**
+ * Parse a temperature interval (a difference between temperatures, e.g. a setpoint change or a
+ * tolerance), returning a diagnostic error object on failure.
+ *
+ * Unlike `parseDimDiagnostic`, no origin is applied: `5\u00b0C` is 5 K, and `9\u00b0F` is 5 K. The
+ * unit may be marked as an interval with U+0394 GREEK CAPITAL LETTER DELTA or U+2206 INCREMENT
+ * (e.g. `5 \u0394K`, `5\u0394\u00b0C`), or with a following `diff` (e.g. `9 \u00b0F diff`), and
+ * the quantity may have a sign in any unit. The result is a signed difference in smidge.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<number, TemperatureParseError>}
+ */
+export function parseDeltaDiagnostic(s, options) {
+  return /** @type {Result<number, TemperatureParseError>} */ (parseDeltaImpl(s, false, options));
+}
+
+/**
+ * Parse a temperature interval, returning `null` on error.
+ *
+ * Use `parseDeltaDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {number | null}
+ */
+export function parseDelta(s, options) {
+  const r = parseDeltaImpl(s, false, options);
+  return r.ok ? /** @type {number} */ (r.value) : null;
+}
+
+/**
+ * Parse a temperature interval as a `bigint` difference in smidge, returning a diagnostic error
+ * object on failure; see `parseDeltaDiagnostic`.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<bigint, TemperatureParseError>}
+ */
+export function parseDeltaBigDiagnostic(s, options) {
+  return /** @type {Result<bigint, TemperatureParseError>} */ (parseDeltaImpl(s, true, options));
+}
+
+/**
+ * Parse a temperature interval as a `bigint` difference in smidge, returning `null` on error.
+ *
+ * Use `parseDeltaBigDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {bigint | null}
+ */
+export function parseDeltaBig(s, options) {
+  const r = parseDeltaBigDiagnostic(s, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * An error adding a temperature interval to a temperature: the sum is below absolute zero
+ * (`TooSmall`), or beyond the safe-integer range (`TooBig`).
+ *
+ * @typedef {{ code: "TooSmall" | "TooBig" }} TemperatureSumError
+ */
+
+/**
+ * Add a temperature interval `delta` (e.g. from `parseDelta`) to an absolute temperature `t`, both
+ * in smidge, returning a diagnostic error object if the sum is not a temperature.
+ *
+ * If either argument is a `bigint`, the sum is a `bigint` and is never `TooBig`.
+ *
+ * @param {number | bigint} t Absolute temperature in smidge.
+ * @param {number | bigint} delta Temperature interval in smidge.
+ * @returns {Result<number | bigint, TemperatureSumError>}
+ */
+export function addDeltaDiagnostic(t, delta) {
+  if (typeof t === "bigint" || typeof delta === "bigint") {
+    const v = BigInt(t) + BigInt(delta);
+    return v < 0n ? { ok: false, error: { code: "TooSmall" } } : ok(v);
+  }
+  const v = t + delta;
+  if (v < 0) return { ok: false, error: { code: "TooSmall" } };
+  if (v > Number.MAX_SAFE_INTEGER) return { ok: false, error: { code: "TooBig" } };
+  return ok(v);
+}
+
+/**
+ * Add a temperature interval `delta` to an absolute temperature `t`, both in smidge, returning
+ * `null` if the sum is below absolute zero or beyond the safe-integer range.
+ *
+ * @param {number} t Absolute temperature in smidge.
+ * @param {number} delta Temperature interval in smidge.
+ * @returns {number | null}
+ */
+export function addDelta(t, delta) {
+  const v = t + delta;
+  return v < 0 || v > Number.MAX_SAFE_INTEGER ? null : v;
+}
+
+/**
+ * A temperature found by `scanDims`.
+ *
+ * `start` and `end` are UTF-16 code unit indices (like `String.prototype.slice`) into the scanned
+ * text, and `unit` is the unit of the match.
+ *
+ * @typedef {{ start: number, end: number, value: number, unit: number, domain: "temperature" }} TemperatureScanMatch
+ */
+
+function unitAt(s, end) {
+  return stripUnitAt(s, end, _stripScratch) ? _stripScratch.unit : -1;
+}
+
+/**
+ * Find every temperature in free text (e.g. `store at 2\u00b0C to 8\u00b0C`).
+ *
+ * A match is a quantity accepted by `parseDimDiagnostic` whose unit ends at a word boundary; text
+ * which does not parse is skipped. Gas marks (`Gas Mark 4`) and ITS-90 fixed points (`TPW`) are
+ * matched too, with the `unit` `Unit.GasMark` and `Unit.Kelvin`. A sign directly after a word or
+ * number (e.g. the dash in a range like `3-5`) is not part of the match. Matches are returned in
+ * order and do not overlap.
+ *
+ * @param {string} text
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {TemperatureScanMatch[]}
+ */
+export function scanDims(text, options) {
+  const dec = decimalMarkCharCode(options);
+  const groups = groupMarks(options, dec);
+  // Gas marks and fixed points end with a number or a name rather than a unit symbol.
+  const scanUnitAt = (s, end) => {
+    const unit = unitAt(s, end);
+    if (unit >= 0) return unit;
+    const rest = s.slice(0, end);
+    if (takeGasMark(rest, dec, groups, false, null, null)) return Unit.GasMark;
+    return takeFixedPoint(rest, false, null) ? Unit.Kelvin : -1;
+  };
+  return /** @type {TemperatureScanMatch[]} */ (
+    scanMatches(text, options, "temperature", scanUnitAt, (s, span) => parseDimImpl(s, false, options, span))
+  );
+}
+
+const parserDomain = {
+  unitAt,
+  parse: (s, options, span) => parseDimImpl(s, false, options, span),
+  parseAs: (s, unit, options, span) => parseAsImpl(s, unit, false, options, span),
+  delta: (value, unit) => value - originOffset(unit),
+  absolute: true,
+};
+
+// Tolerances are sizes, so a deviation in degrees which count down is still a deviation upward.
+const toleranceDomain = {
+  ...parserDomain,
+  delta: (value, unit) => (scale(unit) < 0 ? originOffset(unit) - value : value - originOffset(unit)),
+};
+
+/**
+ * Parse toleranced temperature notation (e.g. `20\u00b0C \u00b10.5`, `37 +0.5/-0.2 \u00b0C` or
+ * `18\u201322\u00b0C`), returning a diagnostic error object on failure.
+ *
+ * This supports symmetric (`\u00b1` or `+/-`), asymmetric (`+a/-b`, where either deviation may
+ * have either sign) and limit (U+2013 EN DASH) notation. Each part is a quantity accepted by
+ * `parseDimDiagnostic`. A part without a unit takes the unit of the nearest part after it which
+ * has one, or else before it (e.g. `1.500 +.002/-.001 in`, `2 lb +1/-0 oz`).
+ *
+ * Deviations and tolerances are temperature differences: `20\u00b0C \u00b10.5` is 20 \u00b0C plus or
+ * minus 0.5 K, and limits below absolute zero are rejected with `TooSmall`.
+ *
+ * Errors report the failing `part` of the notation, and an `index` into the whole input.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<Tolerance, TemperatureToleranceParseError>}
+ */
+export function parseToleranceDiagnostic(s, options) {
+  return /** @type {Result<Tolerance, TemperatureToleranceParseError>} */ (parseToleranceWith(s, options, toleranceDomain));
+}
+
+/**
+ * Parse toleranced temperature notation, returning `null` on error.
+ *
+ * Use `parseToleranceDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Tolerance | null}
+ */
+export function parseTolerance(s, options) {
+  const r = parseToleranceDiagnostic(s, options);
+  return r.ok ? r.value : null;
+}
+
+/**
+ * Evaluate an arithmetic expression of temperatures (e.g. `5K + 1.8\u00b0F` or `(30\u00b0C - 2K) /
+ * 4`), returning a diagnostic error object on failure.
+ *
+ * Operands are quantities accepted by `parseDimDiagnostic`, plain decimal numbers and parenthesized
+ * expressions. Quantities may be added and subtracted (`+`, `-`), and multiplied (`*`, `\u00d7`,
+ * `\u22c5`) or divided (`/`, `\u00f7`) by numbers; the expression must evaluate to a quantity.
+ * Evaluation is exact, except that a division which leaves a fraction of a base unit is rounded to
+ * the nearest base unit and reported with `exact: false`.
+ *
+ * Every temperature is read as a temperature difference, so `20\u00b0C` counts as 20 K and the
+ * result is a difference in smidge; use `parseDim` for a temperature on a scale.
+ *
+ * Error indices point into the whole expression.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {Result<ExprValue, TemperatureExprParseError>}
+ */
+export function parseExprDiagnostic(s, options) {
+  return /** @type {Result<ExprValue, TemperatureExprParseError>} */ (parseExprWith(s, options, parserDomain));
+}
+
+/**
+ * Evaluate an arithmetic expression of temperatures, returning `null` on error.
+ *
+ * Use `parseExprDiagnostic` if you want to handle specific errors.
+ *
+ * @param {string} s
+ * @param {ParseOptions} [options] Decimal and group marks.
+ * @returns {ExprValue | null}
+ */
+export function parseExpr(s, options) {
+  const r = parseExprDiagnostic(s, options);
+  return r.ok ? r.value : null;
+}
+
 const _stripScratch = { restEnd: 0, unit: 0 };
 const _numScratch = { restEnd: 0, value: 0, hadFrac: false };
+const _fracScratch = { start: 0, numEnd: 0, num: 0, den: 0 };
+const _expScratch = { start: 0, at: 0, mantissa: 0n, exponent: 0 };
+
+function unitName(unit) {
+  switch (unit) {
+    case Unit.Smidge:
+      return "Smidge";
+    case Unit.Millikelvin:
+      return "Millikelvin";
+    case Unit.Kelvin:
+      return "Kelvin";
+    case Unit.ThousandthRankine:
+      return "ThousandthRankine";
+    case Unit.Rankine:
+      return "Rankine";
+    case Unit.Celsius:
+      return "Celsius";
+    case Unit.Fahrenheit:
+      return "Fahrenheit";
+    case Unit.Reaumur:
+      return "Reaumur";
+    case Unit.Delisle:
+      return "Delisle";
+    case Unit.Romer:
+      return "Romer";
+    case Unit.Newton:
+      return "Newton";
+    case Unit.GasMark:
+      return "GasMark";
+    default:
+      return userUnit("temperature", unit)?.name ?? "Unknown";
+  }
+}
+
+/**
+ * Return basic metadata for a temperature unit.
+ *
+ * @param {number} unit
+ * @returns {Readonly<{
+ *   name: string,
+ *   maxDecimalDigits: number,
+ *   leastSignificantDigitValue: number,
+ *   scale: number,
+ *   originOffset: number
+ * }>}
+ */
+export function unitInfo(unit) {
+  return Object.freeze({
+    name: unitName(unit),
+    maxDecimalDigits: maxDecimalDigits(unit),
+    leastSignificantDigitValue: leastSignificantDigitValue(unit),
+    scale: scale(unit),
+    originOffset: originOffset(unit),
+  });
+}
+
+/**
+ * A user-defined temperature unit; see `createRegistry`. `origin` is the absolute temperature of
+ * its zero in smidge (default 0).
+ *
+ * @typedef {Omit<import("../_internal/units.js").UnitDefinition, "superior"> & {
+ *   origin?: number
+ * }} TemperatureUnitDefinition
+ */
+
+/**
+ * A registry of user-defined temperature units, with parsers which accept them alongside the
+ * built-in units; see `createRegistry`.
+ *
+ * @typedef {object} TemperatureRegistry
+ * @property {(definition: TemperatureUnitDefinition) => number} defineUnit
+ *   Define a unit, returning its `unit` value (numbered after those of `Unit`).
+ * @property {typeof parseDim} parseDim
+ * @property {typeof parseDimDiagnostic} parseDimDiagnostic
+ * @property {typeof parseAs} parseAs
+ * @property {typeof parseAsDiagnostic} parseAsDiagnostic
+ * @property {typeof parseDelta} parseDelta
+ * @property {typeof parseDeltaDiagnostic} parseDeltaDiagnostic
+ * @property {typeof unitInfo} unitInfo
+ */
+
+const BUILTIN_UNIT_COUNT = Object.keys(Unit).length;
+
+function isBuiltinSymbol(symbol) {
+  return stripBuiltinUnitAt(symbol, symbol.length, _stripScratch) && _stripScratch.restEnd === 0;
+}
+
+/**
+ * Create a registry of user-defined temperature units (e.g. a scale with its own origin).
+ *
+ * Units are defined on the registry, and only its methods (and formatters made for it with
+ * `createFormatter` from `joto/format/temperature`) accept them; the module-level functions are
+ * unaffected. Unit values are allocated in order of definition, after those of `Unit`.
+ *
+ * @returns {TemperatureRegistry}
+ */
+export function createRegistry() {
+  const table = unitTable("temperature");
+  return registerTable(
+    {
+      defineUnit(definition) {
+        const unit = BUILTIN_UNIT_COUNT + table.units.size;
+        return addUnit(table, unit, { ...definition, superior: null }, isBuiltinSymbol);
+      },
+      parseDim: (s, options) => withUnits(table, parseDim, s, options),
+      parseDimDiagnostic: (s, options) => withUnits(table, parseDimDiagnostic, s, options),
+      parseAs: (s, unit, options) => withUnits(table, parseAs, s, unit, options),
+      parseAsDiagnostic: (s, unit, options) => withUnits(table, parseAsDiagnostic, s, unit, options),
+      parseDelta: (s, options) => withUnits(table, parseDelta, s, options),
+      parseDeltaDiagnostic: (s, options) => withUnits(table, parseDeltaDiagnostic, s, options),
+      unitInfo: (unit) => withUnits(table, unitInfo, unit),
+    },
+    table,
+  );
+}
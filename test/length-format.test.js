@@ -2,8 +2,8 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import * as L from "@xorgy/joto/constants/length";
-import { formatDim, Unit, FracType } from "@xorgy/joto/format/length";
-import { parseDim } from "@xorgy/joto/parse/length";
+import { createFormatter, formatDim, Unit, FracType } from "@xorgy/joto/format/length";
+import { createRegistry, parseDim, parseDimBig } from "@xorgy/joto/parse/length";
 
 test("length.format: simple + separators", () => {
   assert.deepEqual(formatDim(L.FOOT, Unit.Foot, { thousandsSeparator: "," }), { text: "1\u2032", exact: true });
@@ -56,3 +56,103 @@ test("length.format: negatives", () => {
   assert.equal(formatDim(-(L.FOOT / 2 + 37 * L.SIXTY_FOURTH), Unit.Foot, { outputDeviceMode: "ascii" }).text, `-6 37/64"`);
   assert.equal(formatDim(-37 * L.SIXTY_FOURTH, Unit.Inch, { outputDeviceMode: "ascii" }).text, `-37/64"`);
 });
+
+test("length.format: negative parse/format roundtrip", () => {
+  for (const v of [-(3 * L.FOOT + 6 * L.INCH), -37 * L.SIXTY_FOURTH, -(L.FOOT + L.INCH + L.HUNDRED_THOUSANDTH)]) {
+    assert.equal(parseDim(formatDim(v, Unit.Foot).text), v);
+    assert.equal(parseDim(formatDim(v, Unit.Foot, { outputDeviceMode: "ascii" }).text), v);
+  }
+  assert.equal(parseDim(formatDim(-L.MILLIMETER / 4, Unit.Millimeter).text), -L.MILLIMETER / 4);
+});
+
+test("length.format: bigint", () => {
+  const opts = [{}, { outputDeviceMode: "ascii", thousandsSeparator: "," }, { mixed: false }];
+  for (const v of [0, -(3 * L.FOOT + 6 * L.INCH + 37 * L.SIXTY_FOURTH), 12345 * L.MILLIMETER, L.INCH / 3]) {
+    for (const unit of [Unit.Foot, Unit.Inch, Unit.Meter]) {
+      for (const o of opts) assert.deepEqual(formatDim(BigInt(v), unit, o), formatDim(v, unit, o));
+    }
+  }
+
+  const big = parseDimBig("1,000,000,000'11 1/64\"");
+  assert.deepEqual(formatDim(big, Unit.Foot, { outputDeviceMode: "ascii" }), { text: `1000000000'11 1/64"`, exact: true });
+  assert.equal(formatDim(-big, Unit.Foot, { thousandsSeparator: "," }).text, `\u22121,000,000,000\u203211\uFEFF1\u204464\u2033`);
+  assert.equal(parseDimBig(formatDim(-big, Unit.Foot).text), -big);
+  assert.throws(() => formatDim(2 ** 53, Unit.Foot), RangeError);
+});
+
+test("length.format: architectural", () => {
+  const arch = { architectural: true };
+  const archAscii = { architectural: true, outputDeviceMode: "ascii" };
+  const v = 5 * L.FOOT + 6 * L.INCH + L.INCH / 2;
+  assert.deepEqual(formatDim(v, Unit.Foot, arch), { text: "5\u2032\u20116\uFEFF1\u20442\u2033", exact: true });
+  assert.equal(formatDim(v, Unit.Foot, archAscii).text, `5'-6 1/2"`);
+  assert.equal(formatDim((3 * L.INCH) / 4, Unit.Foot, archAscii).text, `0'-3/4"`);
+  assert.equal(formatDim(-(L.FOOT + L.INCH), Unit.Foot, arch).text, "\u22121\u2032\u20111\u2033");
+
+  assert.equal(formatDim(12 * L.FOOT, Unit.Foot, arch).text, "12\u2032");
+  assert.equal(formatDim(12 * L.FOOT, Unit.Foot, { ...arch, explicitZeroInches: true }).text, "12\u2032\u20110\u2033");
+  assert.equal(formatDim(1200 * L.FOOT, Unit.Foot, { ...archAscii, thousandsSeparator: "," }).text, `1,200'`);
+  assert.equal(formatDim(L.INCH, Unit.Inch, { ...arch, explicitZeroInches: true }).text, "1\u2033");
+
+  for (const q of [v, (3 * L.INCH) / 4, -(L.FOOT + L.INCH), 12 * L.FOOT, L.FOOT + L.INCH / 3]) {
+    for (const o of [arch, archAscii, { ...arch, explicitZeroInches: true }]) {
+      const out = formatDim(q, Unit.Foot, o);
+      if (out.exact) assert.equal(parseDim(out.text), q, out.text);
+    }
+  }
+});
+
+test("length.format: registry", () => {
+  const registry = createRegistry();
+  const board = registry.defineUnit({ scale: 8 * L.FOOT, symbols: ["bd"] });
+  const plank = registry.defineUnit({ scale: 2 * L.FOOT, symbols: ["pl"], superior: board });
+  const { formatDim: formatUserDim } = createFormatter(registry);
+
+  assert.deepEqual(formatUserDim(20 * L.FOOT, board, { mixed: false }), { text: "2.5bd", exact: true });
+  assert.equal(formatUserDim(18 * L.FOOT, board).text, "2bd1pl");
+  assert.equal(formatUserDim(L.FOOT, plank).text, "0.5pl");
+  const pace = registry.defineUnit({ scale: L.FOOT, symbols: ["pace"] });
+  assert.deepEqual(formatUserDim(3 * L.FOOT, pace), { text: "3pace", exact: true });
+  assert.doesNotMatch(formatDim(20 * L.FOOT, board, { mixed: false }).text, /bd/);
+  assert.throws(() => createFormatter({}), TypeError);
+});
+
+test("length.format: typographic units", () => {
+  assert.deepEqual(formatDim(12 * L.PIXEL, Unit.Pixel), { text: "12px", exact: true });
+  assert.deepEqual(formatDim(L.POINT / 2, Unit.Twip), { text: "10twip", exact: true });
+  assert.deepEqual(formatDim(L.INCH / 64, Unit.Pixel), { text: "1.5px", exact: true });
+
+  // TeX points, Didot points and ciceros are approximations.
+  assert.deepEqual(formatDim(10 * L.TEX_POINT, Unit.TexPoint), { text: "10tpt", exact: false });
+  assert.deepEqual(formatDim(2 * L.CICERO, Unit.Cicero, { outputDeviceMode: "ascii" }), { text: "2cc", exact: false });
+  assert.deepEqual(formatDim(0, Unit.DidotPoint), { text: "0dd", exact: true });
+});
+
+test("length.format: long-distance units", () => {
+  assert.deepEqual(formatDim(1_500 * L.METER, Unit.Kilometer), { text: "1.5km", exact: true });
+  assert.deepEqual(formatDim(L.MILE + 440 * L.YARD, Unit.Mile), { text: "1.25mi", exact: true });
+  assert.deepEqual(formatDim(L.NAUTICAL_MILE, Unit.NauticalMile), { text: "1NM", exact: true });
+  assert.deepEqual(formatDim(62 * L.INCH, Unit.Hand, { outputDeviceMode: "ascii" }), { text: "15.5hh", exact: true });
+  assert.deepEqual(formatDim(L.FOOT, Unit.Mile), { text: "0.000189mi", exact: false });
+});
+
+test("length.format: mils and microinches", () => {
+  assert.deepEqual(formatDim(3 * L.THOU + 5 * L.TEN_THOUSANDTH, Unit.Mil), { text: "3.5mil", exact: true });
+  assert.deepEqual(formatDim(L.HUNDRED_THOUSANDTH, Unit.Mil), { text: "0.01mil", exact: true });
+  assert.deepEqual(formatDim(-(12 * L.THOU + 25 * L.HUNDRED_THOUSANDTH), Unit.Mil, { outputDeviceMode: "ascii" }), { text: "-12.25mil", exact: true });
+  assert.deepEqual(formatDim(L.HUNDRED_THOUSANDTH + 1_000, Unit.Mil), { text: "0.01mil", exact: false });
+  assert.deepEqual(formatDim(L.MICROINCH * 5, Unit.Microinch), { text: "5\u00b5in", exact: false });
+  assert.deepEqual(formatDim(4 * L.HUNDRED_THOUSANDTH, Unit.Microinch), { text: "40\u00b5in", exact: true });
+  assert.deepEqual(formatDim(-L.THOU, Unit.Microinch, { thousandsSeparator: ",", outputDeviceMode: "ascii" }), { text: "-1,000uin", exact: true });
+  assert.deepEqual(formatDim(9_373, Unit.Microinch), { text: "41\u00b5in", exact: false });
+  assert.deepEqual(formatDim(228, Unit.Microinch), { text: "1\u00b5in", exact: false });
+  assert.deepEqual(formatDim(114, Unit.Microinch), { text: "0\u00b5in", exact: false });
+  assert.equal(formatDim(2n ** 60n, Unit.Microinch).text, "5043401157510267\u00b5in");
+});
+
+test("length.format: US survey units", () => {
+  assert.deepEqual(formatDim(4_114_808_230, Unit.SurveyFoot), { text: "1.5ftUS", exact: false });
+  assert.deepEqual(formatDim(L.SURVEY_MILE, Unit.SurveyMile), { text: "1miUS", exact: false });
+  assert.deepEqual(formatDim(100 * L.LINK, Unit.Link, { outputDeviceMode: "ascii" }), { text: "100li", exact: false });
+  assert.deepEqual(formatDim(0, Unit.SurveyFoot), { text: "0ftUS", exact: true });
+});
@@ -2,7 +2,24 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import * as L from "@xorgy/joto/constants/length";
-import { parseDim, parseDimDiagnostic, parseAs, Unit } from "@xorgy/joto/parse/length";
+import {
+  createRegistry,
+  localeParseOptions,
+  parseAs,
+  parseAsBig,
+  parseAsRoundedDiagnostic,
+  parseDim,
+  parseDimBig,
+  parseDimBigDiagnostic,
+  parseDimDiagnostic,
+  parseDimRoundedDiagnostic,
+  parseExpr,
+  parseExprDiagnostic,
+  parseTolerance,
+  parseToleranceDiagnostic,
+  Unit,
+  unitInfo,
+} from "@xorgy/joto/parse/length";
 
 test("length.parse: invertibility sanity", () => {
   const v =
@@ -123,3 +140,479 @@ test("length.parse: diagnostics shape", () => {
   assert.equal(r.ok, false);
   assert.equal(r.error.code, "TooPrecise");
 });
+
+test("length.parse: sign", () => {
+  assert.equal(parseDim("-3mm"), -3 * L.MILLIMETER);
+  assert.equal(parseDim("−0.25mm"), -L.MILLIMETER / 4);
+  assert.equal(parseDim("+2in"), 2 * L.INCH);
+  assert.equal(parseDim("-.5in"), -L.HALF);
+  assert.equal(parseDim("-1/2\""), -L.HALF);
+  assert.equal(parseDim("-3'6\""), -(3 * L.FOOT + 6 * L.INCH));
+  assert.equal(parseDim("− 3′ 6″"), -(3 * L.FOOT + 6 * L.INCH));
+  assert.equal(parseDim("-0mm"), 0);
+  assert.equal(parseAs("-3", Unit.Centimeter), -3 * L.CENTIMETER);
+
+  assert.equal(parseDimDiagnostic("-3'6\"").value, -(3 * L.FOOT + 6 * L.INCH));
+  assert.equal(parseDimDiagnostic("-.5in").value, -L.HALF);
+});
+
+test("length.parse: sign between compound parts is rejected", () => {
+  assert.equal(parseDim("3' -6\""), null);
+  const r = parseDimDiagnostic("3' -6\"");
+  assert.equal(r.ok, false);
+  assert.equal(r.error.code, "InvalidSign");
+  assert.equal(r.error.index, 3);
+
+  // U+2212 MINUS SIGN is only ever a sign, never an architectural separator.
+  assert.equal(parseDim("3'\u22126\""), null);
+  assert.deepEqual(parseDimDiagnostic("3'\u22126\"").error, { code: "InvalidSign", index: 2, unit: Unit.Inch });
+});
+
+test("length.parse: sign directly after other text is rejected", () => {
+  assert.equal(parseDim("3-5mm"), null);
+  assert.deepEqual(parseDimDiagnostic("3-5mm"), { ok: false, error: { code: "InvalidSign", index: 1, unit: Unit.Millimeter } });
+  assert.equal(parseDim("x\u22125mm"), null);
+  assert.equal(parseDimBig("3-5mm"), null);
+  assert.equal(parseAs("3-5", Unit.Millimeter), null);
+
+  // After whitespace, a sign starts the quantity.
+  assert.equal(parseDim("3 -5mm"), -5 * L.MILLIMETER);
+});
+
+test("length.parse: compound chains", () => {
+  const cases = [
+    ["2yd 1ft 4in", 2 * L.YARD + L.FOOT + 4 * L.INCH],
+    ["2 yards 4 inches", 2 * L.YARD + 4 * L.INCH],
+    ["1yd 2'-6 1/2\"", L.YARD + 2 * L.FOOT + 6 * L.INCH + L.HALF],
+    ["1m 25cm", L.METER + 25 * L.CENTIMETER],
+    ["3 m 4 cm 5 mm", 3 * L.METER + 4 * L.CENTIMETER + 5 * L.MILLIMETER],
+    ["1 m 5.5 mm", L.METER + 5 * L.MILLIMETER + L.MILLIMETER / 2],
+    ["-1m 25cm", -(L.METER + 25 * L.CENTIMETER)],
+    ["2pc 3pt", 2 * L.PICA + 3 * L.POINT],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+    assert.equal(parseDimBig(s), BigInt(v), s);
+  }
+
+  // Units must strictly decrease along one chain; the error names the unit out of order.
+  const invalid = [
+    ["1ft 2yd", { code: "InvalidCompound", index: 3, inferior: Unit.Yard, found: Unit.Foot, expected: Unit.Rod }],
+    ["1ft 2mi", { code: "InvalidCompound", index: 3, inferior: Unit.Mile, found: Unit.Foot }],
+    ["1m 2cm 3cm", { code: "InvalidCompound", index: 6, inferior: Unit.Centimeter, found: Unit.Centimeter, expected: Unit.Decimeter }],
+    ["2m 3in", { code: "InvalidCompound", index: 2, inferior: Unit.Inch, found: Unit.Meter, expected: Unit.Foot }],
+    ["1yd-6in", { code: "InvalidCompound", index: 3, inferior: Unit.Inch, found: Unit.Yard, expected: Unit.Foot }],
+  ];
+  for (const [s, error] of invalid) {
+    assert.equal(parseDim(s), null, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: false, error }, s);
+  }
+});
+
+test("length.parse: architectural notation", () => {
+  const cases = [
+    ["5'-6 1/2\"", 5 * L.FOOT + 6 * L.INCH + L.INCH / 2],
+    ["12\u2032\u20110\u2033", 12 * L.FOOT],
+    ["0'-3/4\"", (3 * L.INCH) / 4],
+    ["3'\u20139\"", 3 * L.FOOT + 9 * L.INCH],
+    ["10ft-1.25in", 10 * L.FOOT + L.INCH + L.INCH / 4],
+    ["-5'-6\"", -(5 * L.FOOT + 6 * L.INCH)],
+    ["5' 1/2\"", 5 * L.FOOT + L.INCH / 2],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+    assert.equal(parseDimBig(s), BigInt(v), s);
+  }
+
+  assert.equal(parseDim("5m-6\""), null);
+  assert.equal(parseDimDiagnostic("5m-6\"").error.code, "InvalidCompound");
+});
+
+test("length.parse: unicode fractions", () => {
+  assert.equal(parseDim("5\u00bd\u2033"), 5 * L.INCH + L.HALF);
+  assert.equal(parseDim("3'-7\u215d\""), 3 * L.FOOT + 7 * L.INCH + 5 * L.EIGHTH);
+  assert.equal(parseDim("\u00be in"), 3 * L.QUARTER);
+  assert.equal(parseDim("-\u215c\""), -3 * L.EIGHTH);
+  assert.equal(parseDim("7 \u00b9\u2075\u2044\u2081\u2086\""), 7 * L.INCH + 15 * L.SIXTEENTH);
+  assert.equal(parseDim("\u00b3/\u2086\u2084\""), 3 * L.SIXTY_FOURTH);
+  assert.equal(parseDimBig("5\u00bd\u2033"), BigInt(5 * L.INCH + L.HALF));
+
+  assert.equal(parseDim("5\u2153\""), null);
+  assert.deepEqual(parseDimDiagnostic("5\u2153\""), { ok: false, error: { code: "BadDenominator", index: 2, unit: Unit.Inch } });
+  assert.deepEqual(parseDimDiagnostic("\u00b9\u2075\u2044\u2081\u2082\""), {
+    ok: false,
+    error: { code: "BadDenominator", index: 5, unit: Unit.Inch },
+  });
+  assert.deepEqual(parseDimDiagnostic("\u00b9\u2077\u2044\u2081\u2086\""), {
+    ok: false,
+    error: { code: "BadNumerator", index: 2, unit: Unit.Inch },
+  });
+  assert.deepEqual(parseDimDiagnostic("\u2044\u2081\u2086\""), { ok: false, error: { code: "BadNumerator", index: 0, unit: Unit.Inch } });
+});
+
+test("length.parse: exponent notation", () => {
+  assert.equal(parseDim("1.5e-3m"), 3 * L.MILLIMETER / 2);
+  assert.equal(parseDim("1.5E-3 m"), 3 * L.MILLIMETER / 2);
+  assert.equal(parseDim("4.7e2 \u00b5m"), 470 * L.MICROMETER);
+  assert.equal(parseDim("-2.5e1 mm"), -25 * L.MILLIMETER);
+  assert.equal(parseDim("2.2\u00d710\u00b3 mm"), 2_200 * L.MILLIMETER);
+  assert.equal(parseDim("2.2 \u00d7 10\u207b\u00b9 mm"), 22 * L.MILLIMETER / 100);
+  assert.equal(parseDim("2.2 x 10^-1 mm"), 22 * L.MILLIMETER / 100);
+  assert.equal(parseDim("1e-9 m"), L.NANOMETER);
+  assert.equal(parseAs("1.5e3", Unit.Millimeter), 3 * L.METER / 2);
+  assert.deepEqual(parseDimDiagnostic("1,234.5e1 mm"), { ok: true, value: 12_345 * L.MILLIMETER });
+  assert.deepEqual(parseExpr("1.5e-3 m \u00d7 2"), { value: 3 * L.MILLIMETER, exact: true });
+
+  assert.equal(parseDim("1e-10 m"), null);
+  assert.deepEqual(parseDimDiagnostic("1e-10 m"), { ok: false, error: { code: "TooPrecise", index: 1, unit: Unit.Meter } });
+  assert.equal(parseDim("1e20 m"), null);
+  assert.deepEqual(parseDimDiagnostic("1e20 m"), { ok: false, error: { code: "TooBig", index: 1, unit: Unit.Meter } });
+  assert.equal(parseDimBig("1e20 m"), 10n ** 20n * BigInt(L.METER));
+  assert.deepEqual(parseDimBigDiagnostic("1e9999 m"), { ok: false, error: { code: "TooBig", index: 1, unit: Unit.Meter } });
+
+  // An exponent with hundreds of digits is still read exactly, or is out of range.
+  const zeros = "0".repeat(400);
+  assert.equal(parseDim(`1e${zeros}1m`), 10 * L.METER);
+  assert.equal(parseDim(`2\u00d710${"\u2070".repeat(400)}\u00b9 m`), 20 * L.METER);
+  assert.equal(parseDim(`5e${zeros}1uin`), 11_430);
+  assert.deepEqual(parseDimDiagnostic(`1e${"9".repeat(400)}m`), { ok: false, error: { code: "TooBig", index: 1, unit: Unit.Meter } });
+  assert.deepEqual(parseDimDiagnostic(`1e-${"9".repeat(400)}m`), { ok: false, error: { code: "TooPrecise", index: 1, unit: Unit.Meter } });
+});
+
+test("length.parse: bigint", () => {
+  assert.equal(parseDimBig("2.5cm"), 25n * BigInt(L.MILLIMETER));
+  assert.equal(parseDimBig("-3'6\""), -(3n * BigInt(L.FOOT) + 6n * BigInt(L.INCH)));
+  assert.equal(parseDimBig("40,075,017m"), 40_075_017n * BigInt(L.METER));
+  assert.equal(
+    parseDimBig("1,000,000,000'11 1/64\""),
+    1_000_000_000n * BigInt(L.FOOT) + 11n * BigInt(L.INCH) + BigInt(L.SIXTY_FOURTH),
+  );
+  assert.equal(parseDim("40,075,017m"), null);
+  assert.equal(parseAsBig("123456789012", Unit.Foot), 123_456_789_012n * BigInt(L.FOOT));
+
+  assert.equal(parseDimDiagnostic("40,075,017m").error.code, "TooBig");
+  for (const s of ["0.1nm", "1.0000001mm", "3' -6\"", "   ", "12", "m", "1in 2yd"]) {
+    const n = parseDimDiagnostic(s);
+    const b = parseDimBigDiagnostic(s);
+    assert.equal(n.ok, false);
+    assert.deepEqual(b, n);
+  }
+});
+
+test("length.parse: unit names", () => {
+  const cases = [
+    ["3 inches", 3 * L.INCH],
+    ["1 inch", L.INCH],
+    ["12 feet", 12 * L.FOOT],
+    ["1 foot 2 inches", L.FOOT + 2 * L.INCH],
+    ["5 feet 3 1/2 inches", 5 * L.FOOT + 3 * L.INCH + L.HALF],
+    ["5 Feet 3 INS", 5 * L.FOOT + 3 * L.INCH],
+    ["2.5 centimetres", 25 * L.MILLIMETER],
+    ["2.5 centimeters", 25 * L.MILLIMETER],
+    ["1 meter", L.METER],
+    ["40 microns", 40 * L.MICROMETER],
+    ["10 yds", 10 * L.YARD],
+    ["12 points", 12 * L.POINT],
+    ["-3 millimetres", -3 * L.MILLIMETER],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+  }
+
+  // Names are whole words.
+  assert.equal(parseDim("3 xinches"), null);
+  assert.equal(parseDimDiagnostic("3 inches 5 yards").error.code, "InvalidCompound");
+});
+
+test("length.parse: locale marks", () => {
+  const de = localeParseOptions("de-DE");
+  assert.equal(parseDim("2,5 cm", de), 25 * L.MILLIMETER);
+  assert.equal(parseDim("1.250,5 mm", de), 1_250 * L.MILLIMETER + L.MILLIMETER / 2);
+  assert.equal(parseDim("3,25\"", de), 3 * L.INCH + L.INCH / 4);
+  assert.deepEqual(parseDimDiagnostic("1.250,5 mm", de), { ok: true, value: 1_250 * L.MILLIMETER + L.MILLIMETER / 2 });
+  assert.equal(parseDimBig("1.250,5 mm", de), BigInt(1_250 * L.MILLIMETER + L.MILLIMETER / 2));
+
+  assert.equal(parseDim("1'250 mm", localeParseOptions("de-CH")), 1_250 * L.MILLIMETER);
+  assert.equal(parseDim("1\u202f250,5 m", localeParseOptions("fr-FR")), 1_250 * L.METER + L.METER / 2);
+  assert.equal(parseDim("1 250,5 mm", localeParseOptions("fr-FR")), 1_250 * L.MILLIMETER + L.MILLIMETER / 2);
+  assert.equal(parseDim("2\u066b5 cm", localeParseOptions("ar-EG")), 25 * L.MILLIMETER);
+  assert.equal(parseAs("1\u066c000", Unit.Millimeter, { groupMarks: "\u066c" }), L.METER);
+
+  // The default marks are unchanged, and `,` is no longer a group mark once it is the decimal mark.
+  assert.equal(parseDim("1,250.5 mm"), 1_250 * L.MILLIMETER + L.MILLIMETER / 2);
+  assert.equal(parseDim("2,5 cm", { decimalMark: "," }), 25 * L.MILLIMETER);
+
+  // A mark the options do not accept is not skipped over, which would misread the quantity.
+  assert.equal(parseDim("2.5 cm", { decimalMark: "," }), null);
+  assert.deepEqual(parseDimDiagnostic("2.5 cm", { decimalMark: "," }), { ok: false, error: { code: "StrayMark", index: 1, unit: Unit.Centimeter } });
+  assert.equal(parseDimBig("2.5 cm", { decimalMark: "," }), null);
+  assert.equal(parseAs("2.5", Unit.Centimeter, { decimalMark: "," }), null);
+  assert.equal(parseDim("1.2.5 mm"), null);
+  assert.equal(parseDim("2\u066b5 cm"), null);
+
+  assert.throws(() => parseDim("1 mm", { decimalMark: ",," }), RangeError);
+  assert.throws(() => parseDim("1 mm", { decimalMark: ",", groupMarks: ".," }), RangeError);
+});
+
+test("length.parse: tolerance", () => {
+  const mm = L.MILLIMETER;
+  const thou = L.INCH / 1000;
+  assert.deepEqual(parseTolerance("10mm \u00b10.05"), { nominal: 10 * mm, upper: 10 * mm + mm / 20, lower: 10 * mm - mm / 20 });
+  assert.deepEqual(parseTolerance("10 +/- 0.05 mm"), parseTolerance("10mm \u00b10.05"));
+  assert.deepEqual(parseTolerance("1.500 +.002/-.001 in"), { nominal: 1_500 * thou, upper: 1_502 * thou, lower: 1_499 * thou });
+  assert.deepEqual(parseTolerance("10mm +0.2/+0.1"), { nominal: 10 * mm, upper: 10 * mm + mm / 5, lower: 10 * mm + mm / 10 });
+  assert.deepEqual(parseTolerance("9.95\u201310.05mm"), { nominal: null, upper: 10 * mm + mm / 20, lower: 10 * mm - mm / 20 });
+  assert.deepEqual(parseTolerance("1'-6\" \u00b11/16\""), { nominal: 18 * L.INCH, upper: 18 * L.INCH + L.INCH / 16, lower: 18 * L.INCH - L.INCH / 16 });
+
+  // Errors name the failing part, and index into the whole input.
+  const err = (s) => {
+    const r = parseToleranceDiagnostic(s);
+    assert.equal(r.ok, false);
+    return r.error;
+  };
+  assert.deepEqual(err("10mm"), { code: "NoTolerance", index: 4, part: "tolerance" });
+  assert.deepEqual(err("10 \u00b10.05"), { code: "NoUnit", index: 2, part: "nominal" });
+  assert.deepEqual(err("10mm \u00b1-0.05"), { code: "InvalidSign", index: 6, part: "tolerance" });
+  assert.deepEqual(err("10mm +0.1nm/-0.1"), { code: "TooPrecise", index: 9, unit: Unit.Nanometer, part: "upper" });
+  assert.deepEqual(err("10mm +0.1/-x0.2"), { code: "UnexpectedText", index: 11, part: "lower" });
+  assert.deepEqual(err("10mm +0.1/+0.2"), { code: "InvertedLimits", index: 14, part: "upper" });
+  assert.deepEqual(err("10\u20139mm"), { code: "InvertedLimits", index: 6, part: "upper" });
+});
+
+test("length.parse: expressions", () => {
+  const exact = (value) => ({ value, exact: true });
+  assert.deepEqual(parseExpr("2'6\" + 3cm - 1/8\""), exact(30 * L.INCH + 30 * L.MILLIMETER - L.INCH / 8));
+  assert.deepEqual(parseExpr("3 \u00d7 45mm"), exact(135 * L.MILLIMETER));
+  assert.deepEqual(parseExpr("(3cm + 1mm) * 2 - -1mm"), exact(63 * L.MILLIMETER));
+  assert.deepEqual(parseExpr("1/2 \u00d7 3mm"), exact(3 * L.MILLIMETER / 2));
+  assert.deepEqual(parseExpr("1'-6\" \u00f7 4"), exact(L.INCH * 9 / 2));
+  assert.deepEqual(parseExpr("2,5mm \u00d7 2", { decimalMark: "," }), exact(5 * L.MILLIMETER));
+
+  // Division which leaves a fraction of an iota rounds to nearest, and is flagged inexact.
+  assert.deepEqual(parseExpr("1in / 7"), { value: Math.round(L.INCH / 7), exact: false });
+  assert.deepEqual(parseExpr("-1in / 7"), { value: -Math.round(L.INCH / 7), exact: false });
+
+  const err = (s) => {
+    const r = parseExprDiagnostic(s);
+    assert.equal(r.ok, false);
+    return r.error;
+  };
+  assert.deepEqual(err(""), { code: "ExpectedOperand", index: 0 });
+  assert.deepEqual(err("3cm +"), { code: "ExpectedOperand", index: 5 });
+  assert.deepEqual(err("3 4cm"), { code: "ExpectedOperator", index: 2 });
+  assert.deepEqual(err("(3cm + 1mm"), { code: "UnbalancedParen", index: 0 });
+  assert.deepEqual(err("3cm) \u00d7 2"), { code: "UnbalancedParen", index: 3 });
+  assert.deepEqual(err("3cm + 2"), { code: "DimensionMismatch", index: 4 });
+  assert.deepEqual(err("3cm \u00d7 2cm"), { code: "NonLinear", index: 4 });
+  assert.deepEqual(err("3cm / 1mm"), { code: "NonLinear", index: 4 });
+  assert.deepEqual(err("3cm / (2 - 2)"), { code: "DivisionByZero", index: 4 });
+  assert.deepEqual(err("3 \u00d7 4"), { code: "NoUnit", index: 5 });
+  assert.deepEqual(err("1mm + 0.1nm"), { code: "TooPrecise", index: 9, unit: Unit.Nanometer });
+
+  // Nesting is limited, while any run of signs folds without recursion.
+  assert.deepEqual(parseExpr("(".repeat(100) + "1mm" + ")".repeat(100)), exact(L.MILLIMETER));
+  assert.deepEqual(err("(".repeat(101) + "1mm" + ")".repeat(101)), { code: "TooDeep", index: 100 });
+  assert.deepEqual(err("(".repeat(20_000) + "1mm" + ")".repeat(20_000)), { code: "TooDeep", index: 100 });
+  assert.deepEqual(parseExpr("-".repeat(20_000) + "1mm"), exact(L.MILLIMETER));
+  assert.deepEqual(parseExpr("-".repeat(20_001) + "1mm"), exact(-L.MILLIMETER));
+  assert.deepEqual(parseExpr("- + \u2212 1mm"), exact(L.MILLIMETER));
+  assert.deepEqual(err("-".repeat(20_000)), { code: "ExpectedOperand", index: 20_000 });
+});
+
+test("length.parse: long expressions", { timeout: 10_000 }, () => {
+  // Each operand looks only a few operators ahead, so this takes milliseconds rather than minutes.
+  assert.deepEqual(parseExpr("1mm + ".repeat(20_000) + "1mm"), { value: 20_001 * L.MILLIMETER, exact: true });
+  assert.deepEqual(parseExpr("1'-6\"+".repeat(20_000) + "1mm"), { value: 20_000 * 18 * L.INCH + L.MILLIMETER, exact: true });
+  assert.deepEqual(parseExprDiagnostic("2-".repeat(20_000) + "1mm"), { ok: false, error: { code: "DimensionMismatch", index: 39_999 } });
+});
+
+test("length.parse: rounding", () => {
+  const rounded = (value, numerator, denominator) => ({ ok: true, value: { value, residual: { numerator, denominator } } });
+
+  // 0.1 nm is 9/10 iota.
+  assert.equal(parseDim(".1nm"), null);
+  assert.equal(parseDim(".1nm", { rounding: "halfEven" }), 1);
+  assert.equal(parseAs("-.1", Unit.Nanometer, { rounding: "ceil" }), 0);
+  assert.deepEqual(parseDimRoundedDiagnostic(".1nm"), rounded(1, -1n, 10n));
+  assert.deepEqual(parseDimRoundedDiagnostic(".1nm", { rounding: "trunc" }), rounded(0, 9n, 10n));
+  assert.deepEqual(parseDimRoundedDiagnostic("-.1nm", { rounding: "floor" }), rounded(-1, 1n, 10n));
+  assert.deepEqual(parseDimRoundedDiagnostic("-.1nm", { rounding: "ceil" }), rounded(0, -9n, 10n));
+
+  // Ties.
+  assert.deepEqual(parseDimRoundedDiagnostic("2.5 iota"), rounded(2, 1n, 2n));
+  assert.deepEqual(parseDimRoundedDiagnostic("3.5 iota"), rounded(4, -1n, 2n));
+  assert.deepEqual(parseDimRoundedDiagnostic("-2.5 iota", { rounding: "halfUp" }), rounded(-3, 1n, 2n));
+
+  // Extra digits in inches, compounds and exponent notation.
+  const inch = 28_222_041.6; // 0.123456 in
+  assert.deepEqual(parseDimRoundedDiagnostic("0.123456 in"), rounded(Math.ceil(inch), -2n, 5n));
+  assert.deepEqual(parseDimRoundedDiagnostic("5'-0.123456\"", { rounding: "floor" }), rounded(5 * L.FOOT + Math.floor(inch), 3n, 5n));
+  assert.deepEqual(parseAsRoundedDiagnostic("0.123456", Unit.Inch, { rounding: "trunc" }), rounded(Math.floor(inch), 3n, 5n));
+  assert.deepEqual(parseDimRoundedDiagnostic("1.5e-9 m"), rounded(14, -1n, 2n));
+
+  // Exact quantities have no residual.
+  assert.deepEqual(parseDimRoundedDiagnostic("2.5cm"), rounded(25 * L.MILLIMETER, 0n, 1n));
+
+  assert.deepEqual(parseDimRoundedDiagnostic("1.5"), { ok: false, error: { code: "NoUnit", index: 3 } });
+  assert.throws(() => parseDim("1mm", { rounding: "nearest" }), RangeError);
+});
+
+test("length.parse: registry", () => {
+  const registry = createRegistry();
+  const line = registry.defineUnit({ scale: L.INCH / 12, symbols: ["ln", "line", "lines"], superior: Unit.Inch });
+  const board = registry.defineUnit({ scale: 8 * L.FOOT, symbols: ["bd"], name: "Board" });
+  const pace = registry.defineUnit({ scale: L.FOOT, symbols: ["pace", "paces"] });
+  assert.notEqual(pace, Unit.Foot);
+
+  assert.equal(registry.parseDim("3 lines"), L.INCH / 4);
+  assert.equal(registry.parseDim("1 ft 3 lines"), L.FOOT + L.INCH / 4);
+  assert.equal(registry.parseDim("2.5bd"), 20 * L.FOOT);
+  assert.equal(registry.parseAs("6", line), L.INCH / 2);
+  assert.equal(registry.parseDim("3 paces"), 3 * L.FOOT);
+  assert.equal(registry.parseDim("1.5e1 lines"), 5 * L.INCH / 4);
+  assert.deepEqual(registry.parseDimDiagnostic("1 line 2 in"), {
+    ok: false,
+    error: { code: "InvalidCompound", index: 6, inferior: Unit.Inch, found: line, expected: Unit.Foot },
+  });
+  assert.equal(registry.unitInfo(board).name, "Board");
+  assert.equal(registry.unitInfo(Unit.Inch).inferior, line);
+
+  // Module-level functions and other registries are unaffected.
+  assert.equal(parseDim("3 lines"), null);
+  assert.equal(createRegistry().parseDim("3 lines"), null);
+  assert.equal(parseDim("1mm"), L.MILLIMETER);
+
+  assert.throws(() => registry.defineUnit({ scale: 3, symbols: ["mm"] }), RangeError);
+  assert.throws(() => registry.defineUnit({ scale: 3, symbols: ["x2"] }), RangeError);
+  assert.throws(() => registry.defineUnit({ scale: L.INCH / 6, symbols: ["x"], superior: line }), RangeError);
+  assert.throws(() => registry.defineUnit({ scale: 30, symbols: ["x"], maxDecimalDigits: 2 }), RangeError);
+});
+
+test("length.parse: typographic units", () => {
+  const cases = [
+    ["12px", 12 * L.PIXEL],
+    ["1.5 px", L.SIXTY_FOURTH],
+    ["3 pixels", 3 * L.PIXEL],
+    ["1440twip", L.INCH],
+    ["20 twips", L.POINT],
+    ["10bp", 10 * L.BIG_POINT],
+    ["10tpt", 31_631_382],
+    ["12dd", L.CICERO],
+    ["1cc 3dd", 50_768_779],
+    ["2 ciceros", 81_230_046],
+  ];
+  for (const [s, v] of cases) assert.equal(parseDim(s), v, s);
+
+  assert.equal(L.BIG_POINT, L.POINT);
+  assert.equal(parseAs("1.5", Unit.Twip), 238_125);
+
+  // Approximate units are parsed exactly, then rounded to the nearest iota.
+  assert.equal(parseDim("2.5tpt"), 7_907_846);
+  assert.equal(parseAs("2.5", Unit.TexPoint), 7_907_846);
+  assert.deepEqual(parseDimRoundedDiagnostic("2.5tpt"), {
+    ok: true,
+    value: { value: 7_907_846, residual: { numerator: -338n, denominator: 803n } },
+  });
+  assert.equal(parseDim("10tpt", { rounding: "floor" }), 31_631_382);
+  assert.equal(parseDim("-10tpt", { rounding: "floor" }), -31_631_383);
+  assert.equal(parseDimDiagnostic("1dd 3cc").error.code, "InvalidCompound");
+});
+
+test("length.parse: long-distance units", () => {
+  const cases = [
+    ["1.5 km", 1_500 * L.METER],
+    ["1 km 200 m", 1_200 * L.METER],
+    ["10 kilometres", 10 * L.KILOMETER],
+    ["1.25mi", L.MILE + 440 * L.YARD],
+    ["3mi 200yd", 3 * L.MILE + 200 * L.YARD],
+    ["1 mile 3 furlongs", L.MILE + 3 * L.FURLONG],
+    ["2 NM", 2 * L.NAUTICAL_MILE],
+    ["2nmi", 2 * L.NAUTICAL_MILE],
+    ["3 ch 2 rd", 3 * L.CHAIN + 2 * L.ROD],
+    ["1 fur", 220 * L.YARD],
+    ["6ftm", 12 * L.YARD],
+    ["2 fathoms", 4 * L.YARD],
+    ["15 hands 2 in", 62 * L.INCH],
+    ["15hh", 5 * L.FOOT],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+  }
+
+  assert.equal(parseAs("0.000001", Unit.Mile), 14_484_096);
+  assert.deepEqual(parseDimDiagnostic("1 hand 2 ft").error, {
+    code: "InvalidCompound",
+    index: 6,
+    inferior: Unit.Foot,
+    found: Unit.Hand,
+    expected: Unit.Yard,
+  });
+  assert.equal(parseDimDiagnostic("1001 km").error.code, "TooBig");
+});
+
+test("length.parse: mils and microinches", () => {
+  const cases = [
+    ["12 mil", 12 * L.THOU],
+    ["12mils", 12 * L.THOU],
+    ["3.5 thou", 3 * L.THOU + 5 * L.TEN_THOUSANDTH],
+    ["12.25 mil", 12 * L.THOU + 25 * L.HUNDRED_THOUSANDTH],
+    ["0.01 mil", L.HUNDRED_THOUSANDTH],
+    ["40 \u00b5in", 4 * L.HUNDRED_THOUSANDTH],
+    ["40uin", 4 * L.HUNDRED_THOUSANDTH],
+    ["45.0 \u03bcin", 10_287],
+    ["1,000 microinches", L.THOU],
+    ["-2.5e1uin", -5_715],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+  }
+  assert.equal(parseAs("40", Unit.Microinch), 9_144);
+  assert.equal(parseDimBig("40uin"), 9_144n);
+
+  // The unit is the nearest iota, while parsing uses the exact ratio.
+  assert.equal(Unit.Microinch, L.MICROINCH);
+  assert.ok(Number.isInteger(Unit.Microinch));
+  assert.equal(BigInt(Unit.Microinch), 229n);
+  assert.equal(parseAsBig("5", Unit.Microinch), 1_143n);
+
+  // Only multiples of 5 microinches are whole numbers of iota; others are rounded by default.
+  assert.equal(unitInfo(Unit.Microinch).approximate, true);
+  assert.equal(parseDim("1\u00b5in"), 229);
+  assert.deepEqual(parseDimDiagnostic("41uin"), { ok: true, value: 9_373 });
+  assert.equal(parseAs("1", Unit.Microinch, { rounding: "floor" }), 228);
+  assert.deepEqual(parseDimRoundedDiagnostic("41uin"), { ok: true, value: { value: 9_373, residual: { numerator: -2n, denominator: 5n } } });
+  assert.equal(parseDimDiagnostic("3.125 thou").error.code, "TooPrecise");
+  assert.deepEqual(parseDimDiagnostic("uin"), { ok: false, error: { code: "EmptyQuantity", index: 0, unit: Unit.Microinch } });
+});
+
+test("length.parse: US survey units", () => {
+  const cases = [
+    ["1ftUS", L.SURVEY_FOOT],
+    ["3 survey feet", 8_229_616_459],
+    ["3 US survey feet", 8_229_616_459],
+    ["1 survey mile", L.SURVEY_MILE],
+    ["2.5miUS", 36_210_312_420_625],
+    ["100 links", 181_051_562_103],
+    ["1li", L.LINK],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+  }
+  assert.equal(parseAs("1,000", Unit.Link), 1_810_515_621_031);
+  assert.equal(parseDimBig("1e9 miUS"), 14_484_124_968_249_936_499_873n);
+
+  // Survey feet are rounded to the nearest iota, and the residual is reported.
+  assert.deepEqual(parseDimRoundedDiagnostic("1.5ftUS"), {
+    ok: true,
+    value: { value: 4_114_808_230, residual: { numerator: -1_510n, denominator: 3_937n } },
+  });
+  assert.equal(parseDim("3 surveyfeet"), null);
+  assert.equal(unitInfo(Unit.SurveyFoot).approximate, true);
+  assert.equal(unitInfo(Unit.Foot).approximate, false);
+});
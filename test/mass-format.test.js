@@ -2,7 +2,8 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import * as M from "@xorgy/joto/constants/mass";
-import { formatDim, Unit } from "@xorgy/joto/format/mass";
+import { createFormatter, formatDim, Unit } from "@xorgy/joto/format/mass";
+import { createRegistry, parseDim, parseDimBig } from "@xorgy/joto/parse/mass";
 
 test("mass.format: simple + separators", () => {
   assert.deepEqual(formatDim(M.POUND, Unit.Pound, { thousandsSeparator: "," }), { text: "1lb", exact: true });
@@ -27,3 +28,72 @@ test("mass.format: negatives", () => {
   assert.equal(formatDim(-12345 * M.GRAM, Unit.Kilogram, { outputDeviceMode: "ascii" }).text, `-12.345kg`);
   assert.equal(formatDim(-M.MICROGRAM / 100, Unit.Microgram, { outputDeviceMode: "ascii" }).text, `-0.01ug`);
 });
+
+test("mass.format: negative parse/format roundtrip", () => {
+  for (const v of [-12345 * M.GRAM, -(2 * M.POUND), -M.MICROGRAM / 100]) {
+    assert.equal(parseDim(formatDim(v, Unit.Kilogram).text), v);
+    assert.equal(parseDim(formatDim(v, Unit.Microgram, { outputDeviceMode: "ascii" }).text), v);
+  }
+});
+
+test("mass.format: mixed", () => {
+  const mixed = { mixed: true };
+  assert.deepEqual(formatDim(11 * M.STONE + 4 * M.POUND, Unit.Stone, mixed), { text: "11st 4lb", exact: true });
+  assert.deepEqual(formatDim(11 * M.STONE + M.POUND / 2, Unit.Stone, mixed), { text: "11st 0.5lb", exact: true });
+  assert.equal(formatDim(11 * M.STONE, Unit.Stone, mixed).text, "11st");
+  assert.equal(formatDim(4 * M.POUND, Unit.Stone, mixed).text, "4lb");
+  assert.equal(formatDim(M.OUNCE + 4 * M.DRAM, Unit.Ounce, mixed).text, "1oz 4dr");
+  assert.equal(formatDim(3 * M.PENNYWEIGHT + 12 * M.GRAIN, Unit.Pennyweight, mixed).text, "3dwt 12gr");
+  assert.equal(formatDim(2 * M.SHORT_TON + 3 * M.SHORT_HUNDREDWEIGHT, Unit.ShortTon, mixed).text, "2tn 3cwt");
+  assert.equal(
+    formatDim(-(3n * BigInt(M.LONG_TON) + 5n * BigInt(M.LONG_HUNDREDWEIGHT)), Unit.LongTon, { mixed: true, outputDeviceMode: "ascii" }).text,
+    "-3tn_l 5cwt_l",
+  );
+  assert.equal(formatDim(-(5 * M.POUND + 3 * M.OUNCE), Unit.Pound, mixed).text, "\u22125lb 3oz");
+
+  // Mixed output is off by default.
+  assert.equal(formatDim(11 * M.STONE + 4 * M.POUND, Unit.Stone).text, "11.285st");
+  assert.equal(parseDim(formatDim(11 * M.STONE + 4 * M.POUND, Unit.Stone, mixed).text), 11 * M.STONE + 4 * M.POUND);
+});
+
+test("mass.format: bigint", () => {
+  for (const v of [0, -12345 * M.GRAM, M.POUND + M.OUNCE, -M.MICROGRAM / 100]) {
+    for (const unit of [Unit.Pound, Unit.Kilogram, Unit.Microgram]) {
+      assert.deepEqual(formatDim(BigInt(v), unit), formatDim(v, unit));
+    }
+  }
+
+  const big = parseDimBig("5,000,000,000,000kg");
+  assert.deepEqual(formatDim(big, Unit.Megagram, { thousandsSeparator: "," }), { text: "5,000,000,000t", exact: true });
+  assert.equal(parseDimBig(formatDim(-big, Unit.Kilogram).text), -big);
+});
+
+test("mass.format: registry", () => {
+  const registry = createRegistry();
+  const pallet = registry.defineUnit({ scale: 1_000 * M.KILOGRAM + 5, symbols: ["plt"] });
+  const bag = registry.defineUnit({ scale: 25 * M.KILOGRAM, symbols: ["bag", "bags"], superior: pallet });
+  const { formatDim: formatUserDim } = createFormatter(registry);
+
+  const palletScale = 1_000 * M.KILOGRAM + 5;
+  assert.deepEqual(formatUserDim(2 * palletScale + 75 * M.KILOGRAM, pallet, { mixed: true }), { text: "2plt 3bag", exact: true });
+  assert.equal(formatUserDim(50 * M.KILOGRAM, bag, { outputDeviceMode: "ascii" }).text, "2bag");
+  const sack = registry.defineUnit({ scale: M.KILOGRAM, symbols: ["sack"] });
+  assert.deepEqual(formatUserDim(1_500 * M.GRAM, sack), { text: "1.5sack", exact: true });
+});
+
+test("mass.format: jewellery and Asian units", () => {
+  assert.deepEqual(formatDim(M.CARAT + 25 * M.CARAT_POINT, Unit.Carat), { text: "1.25ct", exact: true });
+  assert.deepEqual(formatDim(M.CARAT / 2, Unit.CaratPoint), { text: "50pt", exact: true });
+  assert.deepEqual(formatDim(M.TOLA + M.TOLA / 10, Unit.Tola), { text: "1.1tola", exact: true });
+  assert.deepEqual(formatDim(M.CATTY + 4 * M.TAEL + 5 * M.MOMME, Unit.Catty, { mixed: true }), { text: "1catty 4.5tael", exact: true });
+  assert.deepEqual(formatDim(15 * M.MOMME, Unit.Tael, { mixed: true }), { text: "1tael 5momme", exact: true });
+});
+
+test("mass.format: apothecaries' and troy units", () => {
+  const mixed = { mixed: true };
+  assert.deepEqual(formatDim(M.TROY_POUND + 3 * M.TROY_OUNCE, Unit.TroyPound, mixed), { text: "1lb t 3ozt", exact: true });
+  assert.deepEqual(formatDim(2 * M.APOTHECARY_DRAM + M.SCRUPLE, Unit.ApothecaryDram, mixed), { text: "2\u0292 1\u2108", exact: true });
+  assert.equal(formatDim(3 * M.APOTHECARY_DRAM, Unit.ApothecaryDram, { outputDeviceMode: "ascii" }).text, "3dr ap");
+  assert.equal(formatDim(3 * M.DRAM, Unit.Dram).text, "3dr");
+  assert.equal(parseDim(formatDim(M.SCRUPLE + 5 * M.GRAIN, Unit.Scruple, { ...mixed, outputDeviceMode: "ascii" }).text), 25 * M.GRAIN);
+});
@@ -2,7 +2,23 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import * as M from "@xorgy/joto/constants/mass";
-import { parseDim, parseDimDiagnostic, parseAs, Unit } from "@xorgy/joto/parse/mass";
+import {
+  createRegistry,
+  localeParseOptions,
+  parseAs,
+  parseAsBig,
+  parseAsRoundedDiagnostic,
+  parseDim,
+  parseDimBig,
+  parseDimBigDiagnostic,
+  parseDimDiagnostic,
+  parseDimRoundedDiagnostic,
+  parseExpr,
+  parseExprDiagnostic,
+  parseTolerance,
+  parseToleranceDiagnostic,
+  Unit,
+} from "@xorgy/joto/parse/mass";
 
 test("mass.parse: invertibility sanity", () => {
   const v = parseDim("2kg") + parseDim("3oz") - parseDim("2000g") - parseDim("3.000oz");
@@ -63,3 +79,213 @@ test("mass.parse: parse_as", () => {
   assert.equal(parseAs("(unrelated) 1 ", Unit.Gram), M.GRAM);
   assert.equal(parseAs("foo37", Unit.Kilogram), 37 * M.KILOGRAM);
 });
+
+test("mass.parse: compound chains", () => {
+  const cases = [
+    ["11st 4lb", 11 * M.STONE + 4 * M.POUND],
+    ["1 cwt.l 2 st 3 lb", M.LONG_HUNDREDWEIGHT + 2 * M.STONE + 3 * M.POUND],
+    ["2 tn 3 cwt 10 lb 4 oz", 2 * M.SHORT_TON + 3 * M.SHORT_HUNDREDWEIGHT + 10 * M.POUND + 4 * M.OUNCE],
+    ["1oz 4dr", M.OUNCE + 4 * M.DRAM],
+    ["3dwt 12gr", 3 * M.PENNYWEIGHT + 12 * M.GRAIN],
+    ["1 ozt 2 dwt 3 gr", M.TROY_OUNCE + 2 * M.PENNYWEIGHT + 3 * M.GRAIN],
+    ["-11 stone 4 pounds", -(11 * M.STONE + 4 * M.POUND)],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+    assert.equal(parseDimBig(s), BigInt(v), s);
+  }
+  assert.equal(parseDimBig("3 tn.l 5 cwt.l"), 3n * BigInt(M.LONG_TON) + 5n * BigInt(M.LONG_HUNDREDWEIGHT));
+
+  // Units must strictly decrease along one chain; the error names the unit out of order.
+  const invalid = [
+    ["4lb 11st", { code: "InvalidCompound", index: 3, inferior: Unit.Stone, found: Unit.Pound, expected: Unit.LongHundredweight }],
+    ["1 tn.l 2 cwt 3 lb", { code: "InvalidCompound", index: 6, inferior: Unit.ShortHundredweight, found: Unit.LongTon, expected: Unit.ShortTon }],
+    ["1 lb 2 ozt", { code: "InvalidCompound", index: 4, inferior: Unit.TroyOunce, found: Unit.Pound, expected: Unit.TroyPound }],
+    ["2kg 3lb", { code: "InvalidCompound", index: 3, inferior: Unit.Pound, found: Unit.Kilogram, expected: Unit.Stone }],
+  ];
+  for (const [s, error] of invalid) {
+    assert.equal(parseDim(s), null, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: false, error }, s);
+  }
+});
+
+test("mass.parse: sign", () => {
+  assert.equal(parseDim("-2kg"), -2 * M.KILOGRAM);
+  assert.equal(parseDim("−0.5g"), -M.GRAM / 2);
+  assert.equal(parseDim("-2lb 3oz"), -(2 * M.POUND + 3 * M.OUNCE));
+  assert.equal(parseDim("+3oz"), 3 * M.OUNCE);
+  assert.equal(parseAs("-37", Unit.Gram), -37 * M.GRAM);
+  assert.equal(parseDimDiagnostic("-2lb 3oz").value, -(2 * M.POUND + 3 * M.OUNCE));
+
+  assert.equal(parseDim("2lb -3oz"), null);
+  const r = parseDimDiagnostic("2lb -3oz");
+  assert.equal(r.ok, false);
+  assert.equal(r.error.code, "InvalidSign");
+
+  // The dash of a range is not a minus.
+  assert.equal(parseDim("3-5kg"), null);
+  assert.deepEqual(parseDimDiagnostic("3-5kg"), { ok: false, error: { code: "InvalidSign", index: 1, unit: Unit.Kilogram } });
+});
+
+test("mass.parse: exponent notation", () => {
+  assert.equal(parseDim("2.2\u00d710\u00b3 kg"), 2_200 * M.KILOGRAM);
+  assert.equal(parseDim("1e-3 g"), M.MILLIGRAM);
+  assert.equal(parseAs("5E-1", Unit.Gram), 500 * M.MILLIGRAM);
+  assert.deepEqual(parseDimDiagnostic("1e-11 g"), { ok: false, error: { code: "TooPrecise", index: 1, unit: Unit.Gram } });
+  assert.equal(parseDim(`1e${"0".repeat(400)}1kg`), 10 * M.KILOGRAM);
+  assert.deepEqual(parseDimDiagnostic(`1e${"9".repeat(400)}kg`), { ok: false, error: { code: "TooBig", index: 1, unit: Unit.Kilogram } });
+});
+
+test("mass.parse: bigint", () => {
+  assert.equal(parseDimBig("40t"), 40n * BigInt(M.MEGAGRAM));
+  assert.equal(parseDimBig("12 tn.l"), 12n * BigInt(M.LONG_TON));
+  assert.equal(parseDimBig("-2lb 3oz"), -(2n * BigInt(M.POUND) + 3n * BigInt(M.OUNCE)));
+  assert.equal(parseDimBig(".01ug"), BigInt(M.MICROGRAM / 100));
+  assert.equal(parseDim("40t"), null);
+  assert.equal(parseAsBig("1,000", Unit.ShortTon), 1_000n * BigInt(M.SHORT_TON));
+
+  assert.equal(parseDimDiagnostic("40t").error.code, "TooBig");
+  for (const s of ["1.0001oz", "2lb -3oz", "", "5", "kg"]) {
+    const n = parseDimDiagnostic(s);
+    assert.equal(n.ok, false);
+    assert.deepEqual(parseDimBigDiagnostic(s), n);
+  }
+});
+
+test("mass.parse: unit names", () => {
+  const cases = [
+    ["500 grams", 500 * M.GRAM],
+    ["2.5 kilograms", 2500 * M.GRAM],
+    ["2 pounds 4 ounces", 2 * M.POUND + 4 * M.OUNCE],
+    ["1 pound 1 ounce", M.POUND + M.OUNCE],
+    ["3 lbs", 3 * M.POUND],
+    ["3 Pennyweight", 3 * M.PENNYWEIGHT],
+    ["2 troy ounces", 2 * M.TROY_OUNCE],
+    ["1 long ton", M.LONG_TON],
+    ["1 ton", M.SHORT_TON],
+    ["1.5 tonnes", 1500 * M.KILOGRAM],
+    ["12 stone", 12 * M.STONE],
+    ["7,000 grains", M.POUND],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+  }
+
+  assert.equal(parseDim("3 xgrams"), null);
+});
+
+test("mass.parse: locale marks", () => {
+  const de = localeParseOptions("de-DE");
+  assert.equal(parseDim("1.250,5 kg", de), 1_250_500 * M.GRAM);
+  assert.equal(parseAs("0,5", Unit.Pound, de), M.POUND / 2);
+  assert.equal(parseDimBig("2 lb 1,5 oz", de), BigInt(2 * M.POUND + M.OUNCE + M.OUNCE / 2));
+  assert.equal(parseDim("1'000 g", localeParseOptions("de-CH")), M.KILOGRAM);
+  assert.equal(parseDim("1,5 kg", de), 3 * M.KILOGRAM / 2);
+  assert.deepEqual(parseDimDiagnostic("1.5 kg", { decimalMark: "," }), { ok: false, error: { code: "StrayMark", index: 1, unit: Unit.Kilogram } });
+  assert.equal(parseDim("1'000 g"), null);
+});
+
+test("mass.parse: tolerance", () => {
+  assert.deepEqual(parseTolerance("500g \u00b12"), { nominal: 500 * M.GRAM, upper: 502 * M.GRAM, lower: 498 * M.GRAM });
+  assert.deepEqual(parseTolerance("2 lb +1/-0 oz"), { nominal: 2 * M.POUND, upper: 2 * M.POUND + M.OUNCE, lower: 2 * M.POUND });
+  assert.deepEqual(parseTolerance("1.9\u20132.1kg"), { nominal: null, upper: 2_100 * M.GRAM, lower: 1_900 * M.GRAM });
+  assert.deepEqual(parseToleranceDiagnostic("500 \u00b12"), { ok: false, error: { code: "NoUnit", index: 3, part: "nominal" } });
+});
+
+test("mass.parse: expressions", () => {
+  assert.deepEqual(parseExpr("2kg + 3 \u00d7 150g"), { value: 2_450 * M.GRAM, exact: true });
+  assert.deepEqual(parseExpr("1lb - 2oz"), { value: 14 * M.OUNCE, exact: true });
+  assert.deepEqual(parseExpr("(1lb - 2oz) / 3"), { value: Math.round(14 * M.OUNCE / 3), exact: false });
+  assert.deepEqual(parseExprDiagnostic("2kg \u00d7 2g"), { ok: false, error: { code: "NonLinear", index: 4 } });
+});
+
+test("mass.parse: rounding", () => {
+  const rounded = (value, numerator, denominator) => ({ ok: true, value: { value, residual: { numerator, denominator } } });
+
+  // Grains take no decimals, but round to whit.
+  assert.equal(parseDim("0.1 gr"), null);
+  assert.equal(parseDim("0.1 gr", { rounding: "halfEven" }), 20_735_651);
+  assert.deepEqual(parseDimRoundedDiagnostic("0.1 gr"), rounded(20_735_651, 1n, 5n));
+  assert.deepEqual(parseDimRoundedDiagnostic("0.25 gr"), rounded(M.GRAIN / 4, 0n, 1n));
+  assert.deepEqual(parseDimRoundedDiagnostic("-0.15 gr"), rounded(-31_103_477, 1n, 5n));
+  assert.deepEqual(parseAsRoundedDiagnostic("0.15", Unit.Grain, { rounding: "floor" }), rounded(31_103_476, 4n, 5n));
+  assert.deepEqual(
+    parseDimRoundedDiagnostic("2 lb 0.1234567 oz", { rounding: "trunc" }),
+    rounded(2 * M.POUND + 11_199_803_429, 379n, 5000n),
+  );
+});
+
+test("mass.parse: registry", () => {
+  const registry = createRegistry();
+  const quarter = registry.defineUnit({ scale: 28 * M.POUND, symbols: ["qr", "quarter", "quarters"], superior: Unit.LongHundredweight });
+  const bag = registry.defineUnit({ scale: 25 * M.KILOGRAM, symbols: ["bag", "bags"] });
+  const sack = registry.defineUnit({ scale: M.KILOGRAM, symbols: ["sack", "sacks"], superior: bag });
+  assert.notEqual(sack, Unit.Kilogram);
+
+  assert.equal(registry.parseDim("3 qr"), 84 * M.POUND);
+  assert.equal(registry.parseDim("1 cwt.l 3 qr 5 lb"), M.LONG_HUNDREDWEIGHT + 3 * 28 * M.POUND + 5 * M.POUND);
+  assert.equal(registry.parseDim("2.5 bags"), 62_500 * M.GRAM);
+  assert.equal(registry.parseAs("2", bag), 50 * M.KILOGRAM);
+  assert.equal(registry.parseDim("2 bags 3 sacks"), 53 * M.KILOGRAM);
+  assert.equal(registry.parseDim("1.5 sacks"), 1_500 * M.GRAM);
+  assert.deepEqual(registry.unitInfo(quarter), { name: "qr", maxDecimalDigits: 3, leastSignificantDigitValue: 28 * M.POUND / 1_000 });
+  assert.equal(registry.parseDimDiagnostic("1 st 2 qr").ok, false);
+
+  assert.equal(parseDim("3 qr"), null);
+  assert.throws(() => registry.defineUnit({ scale: 3, symbols: ["lb"] }), RangeError);
+});
+
+test("mass.parse: jewellery and Asian units", () => {
+  const cases = [
+    ["1.25ct", M.CARAT + 25 * M.CARAT_POINT],
+    ["3 carats", 3 * M.CARAT],
+    ["50pt", M.CARAT / 2],
+    ["2 carat points", 4 * M.MILLIGRAM],
+    ["1 tola", 180 * M.GRAIN],
+    ["2.5 tolas", 450 * M.GRAIN],
+    ["3.75 momme", 14_062_500 * M.MICROGRAM],
+    ["1 tael 5 momme", 15 * M.MOMME],
+    ["1 catty 4 taels", 20 * M.TAEL],
+    ["2 catties", 1_200 * M.GRAM],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+  }
+  assert.equal(parseAs("0.5", Unit.Tael), 18_750 * M.MILLIGRAM);
+  assert.equal(parseDimDiagnostic("1 ct 20 pt").error.code, "InvalidCompound");
+  assert.equal(parseDimDiagnostic("1 tola 2 momme").error.code, "InvalidCompound");
+  assert.equal(parseDimDiagnostic("1.05 tola").error.code, "TooPrecise");
+});
+
+test("mass.parse: apothecaries' and troy units", () => {
+  const cases = [
+    ["2 lb t", 2 * M.TROY_POUND],
+    ["1 lb t 3 ozt", 15 * M.TROY_OUNCE],
+    ["2 troy pounds", 480 * M.PENNYWEIGHT],
+    ["1\u2125 2\u0292 1\u2108 5gr", 625 * M.GRAIN],
+    ["1 \u2125", M.APOTHECARY_OUNCE],
+    ["3 dr ap", 180 * M.GRAIN],
+    ["1 apothecary dram", M.APOTHECARY_DRAM],
+    ["2 scruples", 40 * M.GRAIN],
+    ["1 s ap 5 gr", 25 * M.GRAIN],
+    ["3 dr avdp", 3 * M.DRAM],
+    ["3 dr", 3 * M.DRAM],
+    ["2 avoirdupois drams", M.OUNCE / 8],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+  }
+  assert.equal(M.APOTHECARY_POUND, M.TROY_POUND);
+  assert.deepEqual(parseDimDiagnostic("1\u0292 2 dwt").error, {
+    code: "InvalidCompound",
+    index: 2,
+    inferior: Unit.Pennyweight,
+    found: Unit.ApothecaryDram,
+    expected: Unit.TroyOunce,
+  });
+  assert.equal(parseDimDiagnostic("1 oz 2\u0292").error.code, "InvalidCompound");
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import * as L from "@xorgy/joto/constants/length";
+import * as M from "@xorgy/joto/constants/mass";
+import * as T from "@xorgy/joto/constants/temperature";
+import * as length from "@xorgy/joto/parse/length";
+import * as temperature from "@xorgy/joto/parse/temperature";
+import { Domain, scanDims } from "@xorgy/joto/parse/scan";
+
+const spans = (text, matches) => matches.map((m) => text.slice(m.start, m.end));
+
+test("scan: mixed domains", () => {
+  const text = "drill 3/8\" holes 1'-6\" apart, max 2.5kg";
+  assert.deepEqual(scanDims(text), [
+    { start: 6, end: 10, value: 3 * L.EIGHTH, unit: length.Unit.Inch, domain: "length" },
+    { start: 17, end: 22, value: L.FOOT + 6 * L.INCH, unit: length.Unit.Inch, domain: "length" },
+    { start: 34, end: 39, value: 2500 * M.GRAM, unit: M.KILOGRAM, domain: "mass" },
+  ]);
+  assert.deepEqual(spans(text, scanDims(text, Domain.Length)), ["3/8\"", "1'-6\""]);
+  assert.deepEqual(spans(text, scanDims(text, Domain.Temperature)), []);
+  assert.throws(() => scanDims(text, "volume"), RangeError);
+});
+
+test("scan: boundaries and signs", () => {
+  const text = "5 ft 3 in wide, 3-5mm, at 10am, 7 items, offset -2mm";
+  const matches = length.scanDims(text);
+  assert.deepEqual(spans(text, matches), ["5 ft 3 in", "5mm", "-2mm"]);
+  assert.deepEqual(
+    matches.map((m) => m.value),
+    [5 * L.FOOT + 3 * L.INCH, 5 * L.MILLIMETER, -2 * L.MILLIMETER],
+  );
+
+  // Compounds follow one chain of units; a unit which cannot start a compound ends the match.
+  const chains = "hem 1 m 25 cm, shim 2 in 5 mm";
+  assert.deepEqual(spans(chains, length.scanDims(chains)), ["1 m 25 cm", "2 in", "5 mm"]);
+
+  const temps = "store at 2\u00b0C to 8\u00b0C, or 35-46\u00b0F";
+  assert.deepEqual(spans(temps, temperature.scanDims(temps)), ["2\u00b0C", "8\u00b0C", "46\u00b0F"]);
+  assert.equal(temperature.scanDims(temps)[2].value, T.ZERO_FAHRENHEIT + 46 * T.RANKINE);
+
+  // Gas marks and fixed points have no unit symbol, but are still found.
+  const oven = "bake at Gas Mark 4 for 20 min, then gas \u00bd; check the TPW and Ga MP cells";
+  const found = temperature.scanDims(oven);
+  assert.deepEqual(spans(oven, found), ["Gas Mark 4", "gas \u00bd", "TPW", "Ga MP"]);
+  assert.deepEqual(
+    found.map((m) => m.unit),
+    [temperature.Unit.GasMark, temperature.Unit.GasMark, temperature.Unit.Kelvin, temperature.Unit.Kelvin],
+  );
+  assert.equal(found[2].value, T.TRIPLE_POINT_WATER);
+  assert.deepEqual(spans(oven, scanDims(oven)), ["Gas Mark 4", "gas \u00bd", "TPW", "Ga MP"]);
+
+  // A bare `N` is a newton of force, not degrees Newton.
+  assert.deepEqual(temperature.scanDims("weigh 5 N"), []);
+  assert.deepEqual(scanDims("weigh 5 N"), []);
+});
+
+test("scan: locale marks", () => {
+  const text = "Breite 2,5 cm, Gewicht 1.250,5 kg";
+  const matches = scanDims(text, undefined, length.localeParseOptions("de-DE"));
+  assert.deepEqual(spans(text, matches), ["2,5 cm", "1.250,5 kg"]);
+  assert.equal(matches[1].value, 1_250_500 * M.GRAM);
+});
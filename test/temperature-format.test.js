@@ -2,7 +2,8 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import * as T from "@xorgy/joto/constants/temperature";
-import { formatDim, Unit } from "@xorgy/joto/format/temperature";
+import { createFormatter, formatDelta, formatDim, Unit } from "@xorgy/joto/format/temperature";
+import { createRegistry, parseDelta, parseDim, parseDimBig } from "@xorgy/joto/parse/temperature";
 
 test("temperature.format: basic", () => {
   const o1 = formatDim(373 * T.KELVIN + 150 * T.MILLIKELVIN, Unit.Kelvin);
@@ -41,3 +42,76 @@ test("temperature.format: limiting decimal places", () => {
   const o3 = formatDim(T.KELVIN / 10, Unit.Kelvin, { maxDecimalFractionDigits: 1 });
   assert.deepEqual(o3, { text: "0.1K", exact: true });
 });
+
+test("temperature.format: bigint", () => {
+  for (const v of [0, T.ZERO_CELSIUS, T.ZERO_CELSIUS + 100 * T.KELVIN, 373 * T.KELVIN + 150 * T.MILLIKELVIN]) {
+    for (const unit of [Unit.Kelvin, Unit.Celsius, Unit.Fahrenheit]) {
+      assert.deepEqual(formatDim(BigInt(v), unit), formatDim(v, unit));
+    }
+  }
+
+  const big = parseDimBig("157,000,000,000K");
+  assert.deepEqual(formatDim(big, Unit.Kelvin, { thousandsSeparator: "," }), { text: "157,000,000,000K", exact: true });
+  assert.equal(parseDimBig(formatDim(big, Unit.Celsius).text), big);
+});
+
+test("temperature.format: intervals", () => {
+  assert.deepEqual(formatDelta(5 * T.KELVIN, Unit.Celsius), { text: "5\u0394\u00b0C", exact: true });
+  assert.deepEqual(formatDelta(5 * T.KELVIN, Unit.Fahrenheit), { text: "9\u0394\u00b0F", exact: true });
+  assert.deepEqual(formatDelta(5 * T.KELVIN, Unit.Kelvin), { text: "5K", exact: true });
+  assert.equal(formatDelta(-T.KELVIN, Unit.Celsius).text, "\u22121\u0394\u00b0C");
+  assert.equal(formatDelta(-T.KELVIN, Unit.Fahrenheit, { outputDeviceMode: "ascii" }).text, "-1.8F diff");
+
+  for (const v of [0, 5 * T.KELVIN, -T.KELVIN / 2, 1_234 * T.MILLIKELVIN]) {
+    for (const unit of [Unit.Kelvin, Unit.Celsius, Unit.Fahrenheit, Unit.Rankine]) {
+      for (const outputDeviceMode of ["complex", "ascii"]) {
+        assert.equal(parseDelta(formatDelta(v, unit, { outputDeviceMode }).text), v);
+      }
+    }
+  }
+});
+
+test("temperature.format: historical scales", () => {
+  const boiling = T.ZERO_CELSIUS + 100 * T.KELVIN;
+  assert.deepEqual(formatDim(boiling, Unit.Reaumur), { text: "80\u00b0R\u00e9", exact: true });
+  assert.deepEqual(formatDim(T.ZERO_CELSIUS, Unit.Delisle), { text: "150\u00b0De", exact: true });
+  assert.deepEqual(formatDim(boiling + T.KELVIN, Unit.Delisle), { text: "\u22121.5\u00b0De", exact: true });
+  assert.deepEqual(formatDim(boiling, Unit.Romer), { text: "60\u00b0R\u00f8", exact: true });
+  assert.deepEqual(formatDim(boiling, Unit.Newton), { text: "33\u00b0N", exact: true });
+  assert.deepEqual(formatDim(0, Unit.Romer), { text: "\u2212135.9038\u00b0R\u00f8", exact: false });
+  assert.equal(formatDim(T.ZERO_CELSIUS + T.KELVIN, Unit.Newton, { outputDeviceMode: "ascii" }).text, "0.33degN");
+  assert.deepEqual(formatDelta(3 * T.KELVIN, Unit.Delisle), { text: "\u22124.5\u0394\u00b0De", exact: true });
+
+  for (const v of [0, T.ZERO_CELSIUS, 310 * T.KELVIN, boiling + 50 * T.MILLIKELVIN]) {
+    for (const unit of [Unit.Reaumur, Unit.Delisle]) {
+      assert.equal(parseDim(formatDim(v, unit).text), v);
+      assert.equal(parseDim(formatDim(v, unit, { outputDeviceMode: "ascii" }).text), v);
+    }
+  }
+});
+
+test("temperature.format: gas marks", () => {
+  const fahrenheit = (t) => T.ZERO_FAHRENHEIT + t * T.RANKINE;
+  assert.deepEqual(formatDim(fahrenheit(350), Unit.GasMark), { text: "Gas Mark 4", exact: true });
+  assert.deepEqual(formatDim(T.ZERO_CELSIUS + 180 * T.KELVIN, Unit.GasMark), { text: "Gas Mark 4", exact: false });
+  assert.deepEqual(formatDim(fahrenheit(250), Unit.GasMark), { text: "Gas Mark \u00bd", exact: true });
+  assert.deepEqual(formatDim(fahrenheit(262.5), Unit.GasMark), { text: "Gas Mark 1", exact: false });
+  assert.deepEqual(formatDim(fahrenheit(200), Unit.GasMark, { outputDeviceMode: "ascii" }), { text: "Gas Mark 1/4", exact: false });
+  assert.deepEqual(formatDim(BigInt(fahrenheit(500)), Unit.GasMark), { text: "Gas Mark 10", exact: true });
+
+  for (const mark of [225, 250, 275, 400]) {
+    for (const outputDeviceMode of ["complex", "ascii"]) {
+      assert.equal(parseDim(formatDim(fahrenheit(mark), Unit.GasMark, { outputDeviceMode }).text), fahrenheit(mark));
+    }
+  }
+  assert.throws(() => formatDelta(25 * T.KELVIN, Unit.GasMark), RangeError);
+});
+
+test("temperature.format: registry", () => {
+  const registry = createRegistry();
+  const leiden = registry.defineUnit({ scale: T.KELVIN, origin: 20_150 * T.MILLIKELVIN, symbols: ["\u00b0L"], asciiSymbol: "Ld" });
+  const { formatDim: formatUserDim } = createFormatter(registry);
+
+  assert.deepEqual(formatUserDim(T.ZERO_CELSIUS, leiden), { text: "253\u00b0L", exact: true });
+  assert.equal(formatUserDim(12_150 * T.MILLIKELVIN, leiden, { outputDeviceMode: "ascii" }).text, "-8Ld");
+});
@@ -2,7 +2,29 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import * as T from "@xorgy/joto/constants/temperature";
-import { parseDim, parseDimDiagnostic, parseAs, Unit } from "@xorgy/joto/parse/temperature";
+import {
+  addDelta,
+  addDeltaDiagnostic,
+  createRegistry,
+  localeParseOptions,
+  parseAs,
+  parseAsBig,
+  parseAsDiagnostic,
+  parseAsRoundedDiagnostic,
+  parseDim,
+  parseDimBig,
+  parseDimBigDiagnostic,
+  parseDimDiagnostic,
+  parseDimRoundedDiagnostic,
+  parseDelta,
+  parseDeltaBig,
+  parseDeltaDiagnostic,
+  parseExpr,
+  parseExprDiagnostic,
+  parseTolerance,
+  parseToleranceDiagnostic,
+  Unit,
+} from "@xorgy/joto/parse/temperature";
 
 test("temperature.parse: invertibility sanity", () => {
   assert.equal(parseDim("100\u00b0C") - parseDim("373.15K"), 0);
@@ -55,3 +77,225 @@ test("temperature.parse: parse_as", () => {
   assert.equal(parseAs("   ", Unit.Kelvin), null);
   assert.equal(parseAs("foo37", Unit.Kelvin), 37 * T.KELVIN);
 });
+
+test("temperature.parse: exponent notation", () => {
+  assert.equal(parseDim("1.5e2 K"), 150 * T.KELVIN);
+  assert.equal(parseDim("-4e1 \u00b0C"), parseDim("-40\u00b0C"));
+  assert.equal(parseAs("2.7315E2", Unit.Kelvin), parseDim("0\u00b0C"));
+  assert.deepEqual(parseDimDiagnostic("1e-9 K"), { ok: false, error: { code: "TooPrecise", index: 1, unit: Unit.Kelvin } });
+  assert.deepEqual(parseDimDiagnostic("-1e3 \u00b0C"), { ok: false, error: { code: "TooSmall", index: 0, unit: Unit.Celsius } });
+  assert.equal(parseDim(`1e${"0".repeat(400)}1K`), 10 * T.KELVIN);
+  assert.equal(parseDim(`1e${"0".repeat(400)}1\u00b0R\u00f8`), parseDim("10\u00b0R\u00f8"));
+  assert.equal(parseDimDiagnostic(`1e${"9".repeat(400)}\u00b0R\u00f8`).error.code, "TooBig");
+});
+
+test("temperature.parse: bigint", () => {
+  assert.equal(parseDimBig("100\u00b0C"), BigInt(T.ZERO_CELSIUS + 100 * T.KELVIN));
+  assert.equal(parseDimBig("-40\u00b0F"), BigInt(T.ZERO_FAHRENHEIT - 40 * T.RANKINE));
+  assert.equal(parseDimBig("157,000,000,000K"), 157_000_000_000n * BigInt(T.KELVIN));
+  assert.equal(parseDim("157,000,000,000K"), null);
+  assert.equal(parseAsBig(".0001", Unit.Kelvin), 9n);
+
+  assert.equal(parseDimDiagnostic("157,000,000,000K").error.code, "TooBig");
+  for (const s of ["-1K", "-500\u00b0C", ".00001K", "", "K"]) {
+    const n = parseDimDiagnostic(s);
+    assert.equal(n.ok, false);
+    assert.deepEqual(parseDimBigDiagnostic(s), n);
+  }
+});
+
+test("temperature.parse: unit names", () => {
+  const cases = [
+    ["20 degrees Celsius", T.ZERO_CELSIUS + 20 * T.KELVIN],
+    ["20 celsius", T.ZERO_CELSIUS + 20 * T.KELVIN],
+    ["98.6 deg Fahrenheit", T.ZERO_FAHRENHEIT + 986 * (T.RANKINE / 10)],
+    ["300 kelvins", 300 * T.KELVIN],
+    ["1 degree Rankine", T.RANKINE],
+    ["-40 degrees Fahrenheit", T.ZERO_FAHRENHEIT - 40 * T.RANKINE],
+    ["150 millikelvin", 150 * T.MILLIKELVIN],
+  ];
+  for (const [s, v] of cases) {
+    assert.equal(parseDim(s), v, s);
+    assert.deepEqual(parseDimDiagnostic(s), { ok: true, value: v }, s);
+  }
+});
+
+test("temperature.parse: locale marks", () => {
+  const fr = localeParseOptions("fr-FR");
+  assert.equal(parseDim("36,6 \u00b0C", fr), T.ZERO_CELSIUS + 366 * (T.KELVIN / 10));
+  assert.equal(parseDimDiagnostic("1\u202f000 K", fr).value, 1_000 * T.KELVIN);
+  assert.equal(parseAs("0,5", Unit.Kelvin, fr), T.KELVIN / 2);
+  assert.equal(parseDim("1 000 K", fr), 1_000 * T.KELVIN);
+  assert.deepEqual(parseDimDiagnostic("36.6 \u00b0C", fr), { ok: false, error: { code: "StrayMark", index: 2, unit: Unit.Celsius } });
+  assert.equal(parseDim("36.6 \u00b0C", fr), null);
+  assert.equal(parseDim("8.5\u00b0R\u00f8", fr), null);
+});
+
+test("temperature.parse: tolerance", () => {
+  const c20 = parseDim("20\u00b0C");
+  const halfKelvin = parseDim("0.5K");
+  // Deviations are differences, not temperatures on the scale.
+  assert.deepEqual(parseTolerance("20\u00b0C \u00b10.5"), { nominal: c20, upper: c20 + halfKelvin, lower: c20 - halfKelvin });
+  assert.deepEqual(parseTolerance("68 +0.9/-0.9 \u00b0F"), parseTolerance("20\u00b0C \u00b10.5"));
+  assert.deepEqual(parseTolerance("18\u201322\u00b0C"), { nominal: null, upper: parseDim("22\u00b0C"), lower: parseDim("18\u00b0C") });
+  assert.deepEqual(parseToleranceDiagnostic("1K \u00b12"), { ok: false, error: { code: "TooSmall", index: 5, part: "tolerance" } });
+});
+
+test("temperature.parse: expressions", () => {
+  // Temperatures are read as differences.
+  assert.deepEqual(parseExpr("20\u00b0C"), { value: 20 * T.KELVIN, exact: true });
+  assert.deepEqual(parseExpr("5K + 1.8\u00b0F"), { value: 6 * T.KELVIN, exact: true });
+  assert.deepEqual(parseExpr("(30\u00b0C - 2K) / 4"), { value: 7 * T.KELVIN, exact: true });
+  assert.deepEqual(parseExprDiagnostic("20\u00b0C + 1"), { ok: false, error: { code: "DimensionMismatch", index: 5 } });
+});
+
+test("temperature.parse: rounding", () => {
+  const rounded = (value, numerator, denominator) => ({ ok: true, value: { value, residual: { numerator, denominator } } });
+
+  // 40.00000000001 °R is 2,000,000 1/2,000,000 smidge; below the origin, floor and ceil round toward
+  // lower and higher temperatures.
+  assert.equal(parseDim("-40.00000000001\u00b0F"), null);
+  assert.deepEqual(
+    parseDimRoundedDiagnostic("-40.00000000001\u00b0F", { rounding: "floor" }),
+    rounded(T.ZERO_FAHRENHEIT - 2_000_001, 1_999_999n, 2_000_000n),
+  );
+  assert.deepEqual(
+    parseDimRoundedDiagnostic("-40.00000000001\u00b0F", { rounding: "ceil" }),
+    rounded(T.ZERO_FAHRENHEIT - 2_000_000, -1n, 2_000_000n),
+  );
+  assert.equal(parseAs("40.00000000001", Unit.Fahrenheit, { rounding: "trunc" }), T.ZERO_FAHRENHEIT + 2_000_000);
+  assert.deepEqual(parseAsRoundedDiagnostic("1", Unit.Kelvin), rounded(T.KELVIN, 0n, 1n));
+});
+
+test("temperature.parse: intervals", () => {
+  assert.equal(parseDelta("5K"), 5 * T.KELVIN);
+  assert.equal(parseDelta("5 \u0394K"), 5 * T.KELVIN);
+  assert.equal(parseDelta("5\u0394\u00b0C"), 5 * T.KELVIN);
+  assert.equal(parseDelta("5 \u2206\u00b0C"), 5 * T.KELVIN);
+  assert.equal(parseDelta("9 \u00b0F diff"), 5 * T.KELVIN);
+  assert.equal(parseDelta("-1.8 F DIFF"), -T.KELVIN);
+  assert.equal(parseDelta("\u22120.5 \u0394K"), -T.KELVIN / 2);
+  assert.equal(parseDeltaBig("-10 \u0394\u00b0C"), BigInt(-10 * T.KELVIN));
+
+  // An interval is not a temperature, and a temperature is read as an interval without its origin.
+  assert.equal(parseDim("5 \u0394\u00b0C"), null);
+  assert.equal(parseDelta("20\u00b0C"), 20 * T.KELVIN);
+
+  assert.deepEqual(parseDeltaDiagnostic(""), { ok: false, error: { code: "Empty", index: 0 } });
+  assert.deepEqual(parseDeltaDiagnostic("5 diff"), { ok: false, error: { code: "NoUnit", index: 6 } });
+  assert.equal(parseDeltaDiagnostic("\u0394\u00b0C").error.code, "EmptyQuantity");
+
+  assert.equal(addDelta(parseDim("20\u00b0C"), parseDelta("5 \u0394\u00b0C")), parseDim("25\u00b0C"));
+  assert.equal(addDelta(parseDim("1K"), parseDelta("-2 \u0394K")), null);
+  assert.deepEqual(addDeltaDiagnostic(parseDim("1K"), parseDelta("-2 \u0394K")), { ok: false, error: { code: "TooSmall" } });
+  assert.deepEqual(addDeltaDiagnostic(Number.MAX_SAFE_INTEGER, 1), { ok: false, error: { code: "TooBig" } });
+  assert.deepEqual(addDeltaDiagnostic(BigInt(Number.MAX_SAFE_INTEGER), 1), { ok: true, value: BigInt(Number.MAX_SAFE_INTEGER) + 1n });
+});
+
+test("temperature.parse: historical scales", () => {
+  assert.equal(parseDim("80\u00b0R\u00e9"), T.ZERO_CELSIUS + 100 * T.KELVIN);
+  assert.equal(parseDim("-8 degRe"), T.ZERO_CELSIUS - 10 * T.KELVIN);
+  assert.equal(parseDim("20 degrees R\u00e9aumur"), T.ZERO_CELSIUS + 25 * T.KELVIN);
+  assert.equal(parseDimDiagnostic("0.005\u00b0R\u00e9").error.code, "TooPrecise");
+
+  // Delisle counts down from the boiling point of water.
+  assert.equal(parseDim("0\u00b0De"), T.ZERO_CELSIUS + 100 * T.KELVIN);
+  assert.equal(parseDim("150 degDe"), T.ZERO_CELSIUS);
+  assert.equal(parseDim("-15 delisle"), T.ZERO_CELSIUS + 110 * T.KELVIN);
+  assert.equal(parseDim("559.725\u00b0De"), 0);
+  assert.deepEqual(parseDimDiagnostic("560\u00b0De"), { ok: false, error: { code: "TooSmall", index: 0, unit: Unit.Delisle } });
+  assert.equal(parseDelta("3 \u0394\u00b0De"), -2 * T.KELVIN);
+  assert.equal(addDelta(parseDim("100\u00b0De"), parseDelta("5 \u0394\u00b0De")), parseDim("105\u00b0De"));
+  assert.deepEqual(parseTolerance("100\u00b0De \u00b13"), {
+    nominal: parseDim("100\u00b0De"),
+    upper: parseDim("97\u00b0De"),
+    lower: parseDim("103\u00b0De"),
+  });
+
+  // R\u00f8mer and Newton degrees are not whole numbers of smidge, so they round to the nearest.
+  assert.equal(parseDim("7.5\u00b0R\u00f8"), T.ZERO_CELSIUS);
+  assert.equal(parseDim("60 \u00b0Ro"), T.ZERO_CELSIUS + 100 * T.KELVIN);
+  assert.equal(parseDim("60 degRo"), T.ZERO_CELSIUS + 100 * T.KELVIN);
+  assert.equal(parseDim("33\u00b0N"), T.ZERO_CELSIUS + 100 * T.KELVIN);
+  assert.equal(parseDim("1 newton"), T.ZERO_CELSIUS + 272_727);
+  assert.equal(parseDim("8.5\u00b0R\u00f8"), T.ZERO_CELSIUS + 171_429);
+  assert.deepEqual(parseDimRoundedDiagnostic("8.5\u00b0R\u00f8", { rounding: "floor" }), {
+    ok: true,
+    value: { value: T.ZERO_CELSIUS + 171_428, residual: { numerator: 4n, denominator: 7n } },
+  });
+  assert.equal(parseAs("-1", Unit.Newton), T.ZERO_CELSIUS - 272_727);
+  assert.equal(parseDimBig("33e20\u00b0N"), BigInt(T.ZERO_CELSIUS) + 10n ** 22n * BigInt(T.KELVIN));
+  assert.equal(parseDimDiagnostic("-200\u00b0R\u00f8").error.code, "TooSmall");
+
+  // Without the degree sign, only the spelled-out names are these scales: `5 N` is a force.
+  for (const s of ["5 N", "5 Re", "5 R\u00e9", "5 De", "5 Ro", "5 R\u00f8"]) assert.equal(parseDim(s), null, s);
+  assert.equal(parseDim("33 degN"), parseDim("33\u00b0N"));
+});
+
+test("temperature.parse: gas marks", () => {
+  const fahrenheit = (t) => T.ZERO_FAHRENHEIT + t * T.RANKINE;
+  assert.equal(parseDim("Gas Mark 4"), fahrenheit(350));
+  assert.equal(parseDim("gas mark 1"), fahrenheit(275));
+  assert.equal(parseDim("GM 9"), fahrenheit(475));
+  assert.equal(parseDim("Gas \u00bc"), fahrenheit(225));
+  assert.equal(parseDim("Gas Mark \u00bd"), fahrenheit(250));
+  assert.equal(parseDim("Gas Mark 1/4"), fahrenheit(225));
+  assert.equal(parseDim("Gas Mark 0.5"), fahrenheit(250));
+  assert.equal(parseDim("Gas Mark 4\u00bd"), fahrenheit(362.5));
+  assert.equal(parseAs("7", Unit.GasMark), fahrenheit(425));
+  assert.equal(parseDimBig("GM 2"), BigInt(fahrenheit(300)));
+  assert.deepEqual(parseDimRoundedDiagnostic("Gas Mark 4\u2153", { rounding: "floor" }), {
+    ok: true,
+    value: { value: fahrenheit(350) + 416_666, residual: { numerator: 2n, denominator: 3n } },
+  });
+
+  assert.deepEqual(parseDimDiagnostic("Gas Mark \u00be"), { ok: false, error: { code: "InvalidMark", index: 9, unit: Unit.GasMark } });
+  assert.equal(parseDimDiagnostic("Gas Mark 0").error.code, "InvalidMark");
+  assert.equal(parseDimDiagnostic("Gas Mark 4\u2153").error.code, "TooPrecise");
+  assert.equal(parseAsDiagnostic("-1", Unit.GasMark).error.code, "InvalidSign");
+  assert.deepEqual(parseDimDiagnostic("-Gas Mark 4"), { ok: false, error: { code: "InvalidSign", index: 0, unit: Unit.GasMark } });
+  assert.equal(parseDimDiagnostic("+ GM 4").error.code, "InvalidSign");
+  assert.equal(parseDim("\u2212gas 4"), null);
+  assert.equal(parseDim("Mark 4"), null);
+});
+
+test("temperature.parse: fixed points", () => {
+  assert.equal(parseDim("TPW"), T.TRIPLE_POINT_WATER);
+  assert.equal(parseDim("H2O TP"), T.ZERO_CELSIUS + 10 * T.MILLIKELVIN);
+  assert.equal(parseDim("Ga MP"), parseDim("29.7646\u00b0C"));
+  assert.equal(parseDim("e-H2 TP"), parseDim("13.8033K"));
+  assert.equal(parseDim("hg tp"), T.TRIPLE_POINT_MERCURY);
+  assert.equal(parseDim("Ag FP"), parseDim("961.78\u00b0C"));
+  assert.equal(parseDimBig("Cu FP"), BigInt(T.FREEZING_POINT_COPPER));
+  assert.equal(parseDim("Zn\u00a0FP"), T.FREEZING_POINT_ZINC);
+  assert.deepEqual(parseDimDiagnostic("Xe TP"), { ok: false, error: { code: "NoUnit", index: 5 } });
+  assert.equal(parseDim("GaMP"), null);
+});
+
+test("temperature.parse: registry", () => {
+  const registry = createRegistry();
+  const leiden = registry.defineUnit({
+    scale: T.KELVIN,
+    origin: 20_150 * T.MILLIKELVIN,
+    symbols: ["\u00b0L", "Ld"],
+    asciiSymbol: "Ld",
+    name: "Leiden",
+  });
+  assert.equal(leiden, 12);
+
+  assert.equal(registry.parseDim("253\u00b0L"), T.ZERO_CELSIUS);
+  assert.equal(registry.parseDim("-8 Ld"), 12_150 * T.MILLIKELVIN);
+  assert.equal(registry.parseAs("0.05", leiden), 20_200 * T.MILLIKELVIN);
+  assert.equal(registry.parseDim("5\u00b0R"), 5 * T.RANKINE);
+  assert.deepEqual(registry.unitInfo(leiden), {
+    name: "Leiden",
+    maxDecimalDigits: 4,
+    leastSignificantDigitValue: 9,
+    scale: T.KELVIN,
+    originOffset: 20_150 * T.MILLIKELVIN,
+  });
+
+  assert.equal(parseDim("80 Ld"), null);
+  assert.throws(() => registry.defineUnit({ scale: 3, symbols: ["\u00b0C"] }), RangeError);
+  assert.throws(() => registry.defineUnit({ scale: 3, symbols: ["\u00b0R\u00e9"] }), RangeError);
+});